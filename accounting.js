@@ -0,0 +1,476 @@
+/**
+ * Compost Coordinator - Invoicing and Payments
+ *
+ * The record of who owes and who paid, next to calculateRevenue's totals:
+ * - Subscription invoices from the roster (monthly, annual, HOA contract)
+ * - Compost and tea invoices from delivered orders (deliveries.js)
+ * - Payments against invoices, balances per invoice and per customer
+ * - Monthly income report against the calculateFullModel projection
+ *
+ * Ledger and report functions are pure and testable; invoices and
+ * payments are persisted in localStorage.
+ */
+
+import { SUBSCRIPTION_PLANS, MONTH_NAMES } from './calculator.js';
+
+const STORAGE_KEY = 'compost-accounts';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const PAYMENT_TERMS_DAYS = 30;
+
+// stream: matching key in calculateRevenue's breakdown
+export const INVOICE_TYPES = {
+    subscription: { name: 'Subscription', stream: 'subscriptions' },
+    compost: { name: 'Compost', stream: 'compost', unit: 'gal finished compost' },
+    tea: { name: 'Worm tea', stream: 'tea', unit: 'gal worm tea concentrate' }
+};
+
+export const PAYMENT_METHODS = ['cash', 'check', 'card', 'transfer'];
+
+const STREAMS = ['subscriptions', 'compost', 'tea'];
+
+// ============================================
+// Validation
+// ============================================
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+function readDate(value, label) {
+    const date = String(value ?? '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error(`${label} must be YYYY-MM-DD: ${value}`);
+    }
+    return date;
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate and normalize an invoice (one line: quantity × unit price)
+ * @param {Object} data - { id, date, dueDate, customer, householdId, type, plan, quantity, unitPrice, description, notes }
+ *        subscription: plan is a SUBSCRIPTION_PLANS key, unitPrice defaults to its price;
+ *        compost/tea: quantity in gallons
+ * @returns {Object} Normalized invoice with amount (id and householdId only if given)
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeInvoice(data, plans = SUBSCRIPTION_PLANS) {
+    const type = INVOICE_TYPES[data?.type];
+    if (!type) {
+        throw new Error(`Unknown invoice type: ${data?.type}`);
+    }
+
+    const customer = String(data.customer ?? '').trim();
+    if (customer === '') {
+        throw new Error('Invoice needs a customer');
+    }
+
+    const date = readDate(data.date, 'Invoice date');
+    const dueDate = data.dueDate ? readDate(data.dueDate, 'Due date') : addDays(date, PAYMENT_TERMS_DAYS);
+
+    const plan = data.type === 'subscription' ? data.plan || 'monthly' : null;
+    if (plan) {
+        getPlan(plans, plan);
+    }
+
+    const quantity = data.quantity === undefined || data.quantity === '' ? 1 : Number(data.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new Error(`${customer}: quantity must be positive`);
+    }
+
+    const unitPrice = data.unitPrice === undefined || data.unitPrice === ''
+        ? plan ? plans[plan].price : NaN
+        : Number(data.unitPrice);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        throw new Error(`${customer}: invalid unit price "${data.unitPrice}"`);
+    }
+
+    const description = String(data.description ?? '').trim() || (plan
+        ? `${plans[plan].name} subscription${plans[plan].lumpSum ? ` (${quantity} households)` : ''}`
+        : `${quantity} ${type.unit}`);
+
+    const invoice = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        invoice.id = String(data.id);
+    }
+
+    Object.assign(invoice, { date, dueDate, customer });
+    if (data.householdId !== undefined && data.householdId !== null && data.householdId !== '') {
+        invoice.householdId = Number(data.householdId);
+    }
+
+    return Object.assign(invoice, {
+        type: data.type,
+        plan,
+        quantity,
+        unitPrice,
+        amount: roundCents(quantity * unitPrice),
+        description,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+/**
+ * Validate and normalize a payment
+ * @param {Object} data - { id, date, invoiceId, amount, method, notes }
+ * @returns {Object} Normalized payment (id only if one was given)
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizePayment(data) {
+    const date = readDate(data?.date, 'Payment date');
+
+    const invoiceId = String(data.invoiceId ?? '').trim();
+    if (invoiceId === '') {
+        throw new Error('Payment needs an invoice');
+    }
+
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error(`Payment must be positive: ${data.amount}`);
+    }
+
+    const method = data.method || 'cash';
+    if (!PAYMENT_METHODS.includes(method)) {
+        throw new Error(`Unknown payment method: ${method}`);
+    }
+
+    const payment = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        payment.id = String(data.id);
+    }
+
+    return Object.assign(payment, {
+        date,
+        invoiceId,
+        amount: roundCents(amount),
+        method,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+// ============================================
+// Invoice Generation
+// ============================================
+
+function monthsBetween(fromMonth, toMonth) {
+    const [y1, m1] = fromMonth.split('-').map(Number);
+    const [y2, m2] = toMonth.split('-').map(Number);
+    return (y2 - y1) * 12 + (m2 - m1);
+}
+
+function getPlan(plans, plan) {
+    if (!plans[plan]) {
+        throw new Error(`Unknown subscription plan: ${plan}`);
+    }
+    return plans[plan];
+}
+
+// Billed in the start month and every termMonths after
+function isBillingMonth(startDate, month, termMonths) {
+    const elapsed = monthsBetween(startDate.slice(0, 7), month);
+    return elapsed >= 0 && elapsed % termMonths === 0;
+}
+
+/**
+ * Subscription invoices due in a month
+ *
+ * Households are billed in their start month and every plan term after
+ * (monthly every month, annual on the anniversary). Lump-sum plans (HOA
+ * contract) get one invoice for all their households, on the anniversary
+ * of the first one to join. Invoices already in `existing` are skipped.
+ *
+ * @param {Object} params
+ * @param {Array} params.households - Roster households
+ * @param {string} params.month - YYYY-MM
+ * @param {Array} params.existing - Invoices already issued
+ * @param {Object} params.plans - Plan prices (default SUBSCRIPTION_PLANS)
+ * @returns {Array} New invoices with ids
+ */
+export function generateSubscriptionInvoices({ households, month, existing = [], plans = SUBSCRIPTION_PLANS }) {
+    if (!MONTH_PATTERN.test(month)) {
+        throw new Error(`Month must be YYYY-MM: ${month}`);
+    }
+
+    const date = `${month}-01`;
+    const issued = new Set(existing.map(i => i.id));
+    const active = households.filter(h => h.startDate.slice(0, 7) <= month);
+    const invoices = [];
+
+    for (const household of active.filter(h => !getPlan(plans, h.plan).lumpSum)) {
+        if (isBillingMonth(household.startDate, month, plans[household.plan].termMonths)) {
+            invoices.push(normalizeInvoice({
+                id: `subscription-${household.id}-${month}`,
+                date,
+                customer: household.address,
+                householdId: household.id,
+                type: 'subscription',
+                plan: household.plan
+            }, plans));
+        }
+    }
+
+    for (const [key, plan] of Object.entries(plans).filter(([, p]) => p.lumpSum)) {
+        const members = active.filter(h => h.plan === key);
+        const first = members.map(h => h.startDate).sort()[0];
+        if (first && isBillingMonth(first, month, plan.termMonths)) {
+            invoices.push(normalizeInvoice({
+                id: `subscription-${key}-${month}`,
+                date,
+                customer: plan.name,
+                type: 'subscription',
+                plan: key,
+                quantity: members.length
+            }, plans));
+        }
+    }
+
+    return invoices.filter(i => !issued.has(i.id));
+}
+
+/**
+ * Invoice for a delivered compost sale or tea application
+ * @param {Object} order - Delivered order (see deliveries.js)
+ * @param {Object} prices - { compostPrice, teaPrice } per gallon
+ * @returns {Object} Invoice with id "invoice-<order id>"
+ * @throws {Error} For give-back (free) or undelivered orders
+ */
+export function invoiceFromOrder(order, { compostPrice, teaPrice }) {
+    if (order.type === 'giveback') {
+        throw new Error('Give-back deliveries are not invoiced');
+    }
+    if (order.status !== 'delivered') {
+        throw new Error(`${order.customer}: order has not been delivered`);
+    }
+
+    return normalizeInvoice({
+        id: `invoice-${order.id}`,
+        date: order.deliveredOn,
+        customer: order.customer,
+        householdId: order.householdId,
+        type: order.type,
+        quantity: order.gallons,
+        unitPrice: order.type === 'tea' ? teaPrice : compostPrice,
+        description: order.areaSqFt ? `Tea application, ${order.areaSqFt} sq ft (${order.gallons} gal concentrate)` : undefined,
+        notes: order.notes
+    });
+}
+
+// ============================================
+// Balances
+// ============================================
+
+/**
+ * Payments applied to each invoice, with balances
+ *
+ * Status is 'paid', 'open', 'overdue' (past due with a balance) or
+ * 'credit' (paid more than the amount).
+ *
+ * @param {Object} params
+ * @param {Array} params.invoices - Normalized invoices with ids
+ * @param {Array} params.payments - Normalized payments
+ * @param {string} params.asOf - YYYY-MM-DD; later invoices and payments are ignored
+ * @returns {Object} { invoices, customers: [{ customer, invoiced, paid, balance }], totals, unapplied }
+ */
+export function buildAccounts({ invoices, payments, asOf }) {
+    const issued = invoices.filter(i => i.date <= asOf);
+    const received = payments.filter(p => p.date <= asOf);
+    const ids = new Set(issued.map(i => i.id));
+
+    const rows = issued
+        .map(invoice => {
+            const paid = roundCents(received.filter(p => p.invoiceId === invoice.id).reduce((sum, p) => sum + p.amount, 0));
+            const balance = roundCents(invoice.amount - paid);
+            let status = 'paid';
+            if (balance < 0) status = 'credit';
+            else if (balance > 0) status = invoice.dueDate < asOf ? 'overdue' : 'open';
+            return { ...invoice, paid, balance, status };
+        })
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    const byCustomer = new Map();
+    for (const row of rows) {
+        const entry = byCustomer.get(row.customer) ?? { customer: row.customer, invoiced: 0, paid: 0, balance: 0 };
+        entry.invoiced = roundCents(entry.invoiced + row.amount);
+        entry.paid = roundCents(entry.paid + row.paid);
+        entry.balance = roundCents(entry.balance + row.balance);
+        byCustomer.set(row.customer, entry);
+    }
+
+    const sum = (list, field) => roundCents(list.reduce((total, row) => total + row[field], 0));
+    return {
+        invoices: rows,
+        customers: [...byCustomer.values()].sort((a, b) => b.balance - a.balance || a.customer.localeCompare(b.customer)),
+        totals: {
+            invoiced: sum(rows, 'amount'),
+            paid: sum(rows, 'paid'),
+            outstanding: sum(rows.filter(r => r.balance > 0), 'balance'),
+            overdue: sum(rows.filter(r => r.status === 'overdue'), 'balance')
+        },
+        unapplied: received.filter(p => !ids.has(p.invoiceId))
+    };
+}
+
+// ============================================
+// Income Report
+// ============================================
+
+function emptyStreams() {
+    return { subscriptions: 0, compost: 0, tea: 0, total: 0 };
+}
+
+function addToStream(streams, stream, amount) {
+    streams[stream] += amount;
+    streams.total += amount;
+}
+
+/**
+ * Month-by-month income for a year against the model projection
+ *
+ * Earned income spreads each subscription invoice over its plan term
+ * (an annual invoice counts 1/12 per month), matching the model's MRR;
+ * product invoices count in the month issued. Collected income is
+ * payments received that month.
+ *
+ * @param {Object} params
+ * @param {Array} params.invoices - Normalized invoices
+ * @param {Array} params.payments - Normalized payments
+ * @param {number} params.year - Report year
+ * @param {Array} params.projection - calculateFullModel(...).annual.months
+ * @param {Object} params.plans - Plan terms (default SUBSCRIPTION_PLANS)
+ * @returns {Object} { months: [{ month, name, earned, collected, projected, variance }], totals }
+ */
+export function monthlyIncomeReport({ invoices, payments, year, projection, plans = SUBSCRIPTION_PLANS }) {
+    const months = MONTH_NAMES.map((name, month) => {
+        const projected = projection[month].revenue;
+        return {
+            month,
+            name,
+            earned: emptyStreams(),
+            collected: 0,
+            projected: Object.fromEntries([...STREAMS, 'total'].map(stream => [stream, projected[stream]])),
+            variance: 0
+        };
+    });
+
+    for (const invoice of invoices) {
+        const termMonths = invoice.type === 'subscription' ? getPlan(plans, invoice.plan).termMonths : 1;
+        const [invoiceYear, invoiceMonth] = invoice.date.split('-').map(Number);
+        for (let i = 0; i < termMonths; i++) {
+            const index = (invoiceYear - year) * 12 + invoiceMonth - 1 + i;
+            if (index >= 0 && index < 12) {
+                addToStream(months[index].earned, INVOICE_TYPES[invoice.type].stream, invoice.amount / termMonths);
+            }
+        }
+    }
+
+    for (const payment of payments.filter(p => p.date.startsWith(`${year}-`))) {
+        months[Number(payment.date.slice(5, 7)) - 1].collected += payment.amount;
+    }
+
+    for (const row of months) {
+        row.variance = row.earned.total - row.projected.total;
+    }
+
+    const totals = {
+        earned: emptyStreams(),
+        collected: months.reduce((sum, m) => sum + m.collected, 0),
+        projected: emptyStreams()
+    };
+    for (const row of months) {
+        for (const stream of STREAMS) {
+            addToStream(totals.earned, stream, row.earned[stream]);
+            addToStream(totals.projected, stream, row.projected[stream]);
+        }
+    }
+    totals.variance = totals.earned.total - totals.projected.total;
+
+    return { months, totals };
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get invoices and payments from localStorage
+ * @returns {Object} { invoices, payments }
+ */
+export function loadAccounts() {
+    const empty = { invoices: [], payments: [] };
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? { ...empty, ...JSON.parse(saved) } : empty;
+    } catch (e) {
+        console.warn('Failed to load accounts:', e);
+        return empty;
+    }
+}
+
+/**
+ * Issue or update invoices
+ * @param {Array} invoices - Invoices (ids are assigned if missing)
+ * @returns {Object} Updated accounts
+ */
+export function saveInvoices(invoices) {
+    const accounts = loadAccounts();
+    const normalized = invoices.map((invoice, index) => {
+        const result = normalizeInvoice(invoice);
+        result.id = result.id ?? `${result.type}-${Date.now()}-${index}`;
+        return result;
+    });
+    const ids = new Set(normalized.map(i => i.id));
+    const saved = [...normalized, ...accounts.invoices.filter(i => !ids.has(i.id))]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    return writeAccounts({ ...accounts, invoices: saved });
+}
+
+/**
+ * Delete an invoice and the payments made against it
+ * @returns {Object} Updated accounts
+ */
+export function deleteInvoice(id) {
+    const accounts = loadAccounts();
+    return writeAccounts({
+        invoices: accounts.invoices.filter(i => i.id !== id),
+        payments: accounts.payments.filter(p => p.invoiceId !== id)
+    });
+}
+
+/**
+ * Record a payment
+ * @returns {Object} Updated accounts
+ */
+export function savePayment(payment) {
+    const accounts = loadAccounts();
+    const normalized = normalizePayment(payment);
+    if (!accounts.invoices.some(i => i.id === normalized.invoiceId)) {
+        throw new Error(`Unknown invoice: ${normalized.invoiceId}`);
+    }
+    normalized.id = normalized.id ?? `payment-${Date.now()}`;
+    const payments = [normalized, ...accounts.payments.filter(p => p.id !== normalized.id)]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    return writeAccounts({ ...accounts, payments });
+}
+
+/**
+ * Delete a payment by id
+ * @returns {Object} Updated accounts
+ */
+export function deletePayment(id) {
+    const accounts = loadAccounts();
+    return writeAccounts({ ...accounts, payments: accounts.payments.filter(p => p.id !== id) });
+}
+
+function writeAccounts(accounts) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(accounts));
+    } catch (e) {
+        console.warn('Failed to save accounts:', e);
+    }
+    return accounts;
+}
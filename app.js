@@ -1,12 +1,25 @@
 /**
 * Compost Coordinator - Main Application
 *
-* Drag-and-drop diagram with static model
+* Drag-and-drop diagram driven by the live business model
 */
 
 import config from './config.js';
 import * as calc from './calculator.js';
-import { renderDiagram, renderEdges, saveNodePosition, updateNodePosition } from './diagram.js';
+import { renderDiagram, renderEdges, saveNodePosition, updateNodePosition, getNodeMetrics } from './diagram.js';
+import * as scenarios from './scenarios.js';
+import * as roster from './roster.js';
+import { planRosterRoute, loadRouteSettings } from './routes.js';
+import { calculateCashFlow, calculateBreakEvenHouseholds, EQUIPMENT_CATEGORIES } from './breakeven.js';
+import * as subscriptions from './subscriptions.js';
+import { EQUIPMENT_CATEGORIES as EQUIPMENT_LABELS } from './report.js';
+
+// ============================================
+// Model State
+// ============================================
+
+let modelInputs = { ...config.defaults };
+let model = calc.calculateFullModel(modelInputs);
 
 // ============================================
 // Design Mode State
@@ -37,17 +50,528 @@ let dragState = {
 
 function init() {
 	// Initial render
-	renderDiagram();
+	renderDiagram(model);
 	
 	// Set up event listeners
 	setupDragListeners();
 	setupDesignModeToggle();
 	setupDetailPanelListeners();
+	setupControlPanel();
+	setupScenarioControls();
 	
 	// Re-render on resize
 	window.addEventListener('resize', () => {
-		renderDiagram();
+		renderDiagram(model);
+	});
+}
+
+// ============================================
+// Control Panel (Model Inputs)
+// ============================================
+
+function setupControlPanel() {
+	const panel = document.getElementById('control-panel');
+	
+	syncControls();
+	
+	// Use event delegation
+	panel.addEventListener('input', onModelInput);
+	
+	renderControlValues();
+	renderModelSummary();
+}
+
+/**
+ * Set input elements to match modelInputs
+ */
+function syncControls() {
+	document.querySelectorAll('#control-panel [data-input]').forEach(input => {
+		const key = input.getAttribute('data-input');
+		if (input.type === 'checkbox') {
+			input.checked = modelInputs[key];
+		} else {
+			input.value = modelInputs[key];
+		}
+	});
+}
+
+function onModelInput(e) {
+	const key = e.target.getAttribute('data-input');
+	if (!key) return;
+	
+	if (e.target.type === 'checkbox') {
+		modelInputs[key] = e.target.checked;
+	} else if (e.target.tagName === 'SELECT') {
+		modelInputs[key] = e.target.value;
+	} else {
+		modelInputs[key] = parseFloat(e.target.value);
+	}
+	
+	// A scenario's or roster's mixes no longer apply once households is changed by hand
+	if (key === 'households') {
+		modelInputs.housingMix = null;
+		modelInputs.planMix = null;
+		modelInputs.route = null;
+	}
+	
+	updateModel();
+}
+
+/**
+ * Recalculate the model from current inputs and refresh the display
+ */
+function updateModel() {
+	model = calc.calculateFullModel(modelInputs);
+	renderDiagram(model);
+	renderControlValues();
+	renderModelSummary();
+	if (!document.getElementById('projection-panel').classList.contains('hidden')) {
+		renderProjection();
+		renderCashFlow();
+	}
+}
+
+function renderControlValues() {
+	document.getElementById('households-val').textContent = modelInputs.households;
+	document.getElementById('subscriptionPrice-val').textContent = `${formatCurrency(modelInputs.subscriptionPrice)}/mo`;
+	document.getElementById('compostPrice-val').textContent = formatCurrency(modelInputs.compostPrice);
+	document.getElementById('teaPrice-val').textContent = formatCurrency(modelInputs.teaPrice);
+	document.getElementById('givebackPerYear-val').textContent = `${modelInputs.givebackPerYear} gal`;
+}
+
+function renderModelSummary() {
+	const { revenue, labor, hourlyRate, expenses, netIncome, netHourlyRate, capital, annual } = model;
+	const { paybackMonth } = calculateCashFlow(modelInputs);
+	const breakEvenHouseholds = calculateBreakEvenHouseholds(modelInputs);
+	
+	document.getElementById('model-summary').innerHTML = `
+        <div class="summary-stat">
+            <span class="summary-label">Subscriptions</span>
+            <span class="summary-value">${formatCurrency(revenue.subscriptions)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Compost</span>
+            <span class="summary-value">${formatCurrency(revenue.compost)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Tea</span>
+            <span class="summary-value">${formatCurrency(revenue.tea)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Revenue/mo</span>
+            <span class="summary-value">${formatCurrency(revenue.total)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Labor/mo</span>
+            <span class="summary-value">${labor.total.toFixed(1)} hr</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Collection${modelInputs.route ? ' (planned route)' : ''}</span>
+            <span class="summary-value">${labor.collection.toFixed(1)} hr</span>
+        </div>
+        <div class="summary-stat highlight">
+            <span class="summary-label">Effective rate</span>
+            <span class="summary-value">${formatCurrency(hourlyRate)}/hr</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Expenses/mo</span>
+            <span class="summary-value">${formatCurrency(expenses.total)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Net/mo</span>
+            <span class="summary-value">${formatCurrency(netIncome)}</span>
+        </div>
+        <div class="summary-stat highlight">
+            <span class="summary-label">Net rate</span>
+            <span class="summary-value">${formatCurrency(netHourlyRate)}/hr</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Annual revenue</span>
+            <span class="summary-value">${formatCurrency(annual.revenue)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Annual net</span>
+            <span class="summary-value">${formatCurrency(annual.netIncome)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Annual net rate</span>
+            <span class="summary-value">${formatCurrency(annual.netHourlyRate)}/hr</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Startup cost</span>
+            <span class="summary-value">${formatCurrency(capital.startupCost)}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Payback</span>
+            <span class="summary-value">${paybackMonth === null ? '> 3 yr' : `month ${paybackMonth + 1}`}</span>
+        </div>
+        <div class="summary-stat">
+            <span class="summary-label">Break-even</span>
+            <span class="summary-value">${breakEvenHouseholds === null ? 'n/a' : `${breakEvenHouseholds} homes`}</span>
+        </div>
+    `;
+}
+
+function formatCurrency(value) {
+	return `$${Math.round(value).toLocaleString()}`;
+}
+
+// Local date as YYYY-MM-DD
+function today() {
+	const date = new Date();
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ============================================
+// Scenarios (save, share, compare)
+// ============================================
+
+function setupScenarioControls() {
+	renderScenarioOptions();
+	
+	document.getElementById('scenario-select').addEventListener('change', (e) => {
+		const scenario = scenarios.loadScenarios().find(s => s.name === e.target.value);
+		if (scenario) applyScenario(scenario);
 	});
+	
+	document.getElementById('scenario-save').addEventListener('click', () => {
+		const name = document.getElementById('scenario-name').value;
+		try {
+			scenarios.saveScenario({ name, inputs: modelInputs });
+			renderScenarioOptions(name.trim());
+			setScenarioStatus(`Saved "${name.trim()}"`);
+		} catch (err) {
+			setScenarioStatus(err.message);
+		}
+	});
+	
+	document.getElementById('scenario-delete').addEventListener('click', () => {
+		const name = document.getElementById('scenario-select').value;
+		if (!name) return;
+		scenarios.deleteScenario(name);
+		renderScenarioOptions();
+		setScenarioStatus(`Deleted "${name}"`);
+	});
+	
+	document.getElementById('scenario-share').addEventListener('click', shareScenario);
+	document.getElementById('scenario-export').addEventListener('click', exportScenarioFile);
+	document.getElementById('scenario-import').addEventListener('change', importScenarioFile);
+	
+	document.getElementById('scenario-compare').addEventListener('click', showScenarioCompare);
+	document.getElementById('scenario-report').addEventListener('click', openScenarioReport);
+	document.getElementById('roster-apply').addEventListener('click', applyRoster);
+	document.getElementById('close-compare').addEventListener('click', hideScenarioCompare);
+	document.getElementById('compare-picker').addEventListener('change', renderScenarioCompare);
+	document.getElementById('scenario-projection').addEventListener('click', showProjection);
+	document.getElementById('close-projection').addEventListener('click', hideProjection);
+	document.getElementById('projection-form').addEventListener('input', renderProjection);
+	document.getElementById('cashflow-form').addEventListener('input', renderCashFlow);
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') {
+			hideScenarioCompare();
+			hideProjection();
+		}
+	});
+	
+	// Shared link: load scenario from URL hash
+	const shared = decodeSharedScenario();
+	if (shared) applyScenario(shared);
+}
+
+function decodeSharedScenario() {
+	try {
+		return scenarios.decodeScenarioHash(window.location.hash);
+	} catch (err) {
+		setScenarioStatus(`Shared link ignored: ${err.message}`);
+		return null;
+	}
+}
+
+function applyScenario(scenario) {
+	modelInputs = { ...config.defaults, ...scenario.inputs };
+	document.getElementById('scenario-name').value = scenario.name;
+	syncControls();
+	updateModel();
+	setScenarioStatus(`Loaded "${scenario.name}"`);
+}
+
+/**
+ * Replace the household slider with the saved customer roster
+ * Plans the collection route too when the depot and every address have coordinates.
+ */
+async function applyRoster() {
+	try {
+		const households = await roster.loadRoster();
+		if (households.length === 0) {
+			setScenarioStatus('Roster is empty');
+			return;
+		}
+		// Households starting later don't count toward today's model or route
+		const asOf = today();
+		const active = roster.getActiveHouseholds(households, asOf);
+		if (active.length === 0) {
+			setScenarioStatus('No roster households have started yet');
+			return;
+		}
+		const { route, reason } = planRosterRoute({ ...loadRouteSettings(config.route), households: active });
+		modelInputs = { ...modelInputs, ...roster.rosterToModelInputs(households, asOf), route };
+		syncControls();
+		updateModel();
+		
+		const routeNote = route
+			? `${route.miles.toFixed(1)} mi planned route`
+			: `linear collection estimate - ${reason.toLowerCase()}`;
+		const upcoming = households.length - active.length;
+		setScenarioStatus(`Using roster (${active.length} households${upcoming > 0 ? `, ${upcoming} starting later` : ''}, ${routeNote})`);
+	} catch (err) {
+		console.warn('Failed to load roster:', err);
+		setScenarioStatus('Could not open the roster');
+	}
+}
+
+function renderScenarioOptions(selected = '') {
+	const select = document.getElementById('scenario-select');
+	select.innerHTML = '<option value="">Saved scenarios…</option>';
+	
+	scenarios.loadScenarios().forEach(scenario => {
+		const option = document.createElement('option');
+		option.value = scenario.name;
+		option.textContent = scenario.name;
+		option.selected = scenario.name === selected;
+		select.appendChild(option);
+	});
+}
+
+function setScenarioStatus(message) {
+	document.getElementById('scenario-status').textContent = message;
+}
+
+function currentScenario() {
+	const name = document.getElementById('scenario-name').value.trim() || 'Shared scenario';
+	return { name, inputs: modelInputs };
+}
+
+function shareScenario() {
+	const hash = scenarios.encodeScenarioHash(currentScenario());
+	history.replaceState(null, '', hash);
+	
+	const url = window.location.href;
+	if (navigator.clipboard) {
+		navigator.clipboard.writeText(url)
+			.then(() => setScenarioStatus('Link copied'))
+			.catch(() => setScenarioStatus('Link is in the address bar'));
+	} else {
+		setScenarioStatus('Link is in the address bar');
+	}
+}
+
+function openScenarioReport() {
+	window.open(`report.html${scenarios.encodeScenarioHash(currentScenario())}`, '_blank');
+}
+
+function exportScenarioFile() {
+	const json = scenarios.exportScenarios(scenarios.loadScenarios());
+	const blob = new Blob([json], { type: 'application/json' });
+	const link = document.createElement('a');
+	link.href = URL.createObjectURL(blob);
+	link.download = 'compost-scenarios.json';
+	link.click();
+	URL.revokeObjectURL(link.href);
+}
+
+async function importScenarioFile(e) {
+	const file = e.target.files[0];
+	if (!file) return;
+	
+	try {
+		const imported = scenarios.importScenarios(await file.text());
+		imported.forEach(scenario => scenarios.saveScenario(scenario));
+		renderScenarioOptions();
+		setScenarioStatus(`Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}`);
+	} catch (err) {
+		setScenarioStatus(err.message);
+	}
+	
+	e.target.value = '';
+}
+
+function showScenarioCompare() {
+	const picker = document.getElementById('compare-picker');
+	const saved = scenarios.loadScenarios();
+	
+	picker.innerHTML = '';
+	saved.forEach((scenario, i) => {
+		const label = document.createElement('label');
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.value = scenario.name;
+		checkbox.checked = i < scenarios.MAX_COMPARE;
+		label.appendChild(checkbox);
+		label.append(` ${scenario.name}`);
+		picker.appendChild(label);
+	});
+	
+	if (saved.length === 0) {
+		picker.textContent = 'Save two or more scenarios to compare them.';
+	}
+	
+	renderScenarioCompare();
+	document.getElementById('scenario-compare-panel').classList.remove('hidden');
+}
+
+function hideScenarioCompare() {
+	document.getElementById('scenario-compare-panel').classList.add('hidden');
+}
+
+function renderScenarioCompare() {
+	const checked = [...document.querySelectorAll('#compare-picker input:checked')].map(el => el.value);
+	const selected = scenarios.loadScenarios().filter(s => checked.includes(s.name));
+	const table = document.getElementById('compare-table');
+	
+	if (selected.length === 0) {
+		table.innerHTML = '';
+		return;
+	}
+	
+	const { names, rows } = scenarios.compareScenarios(selected);
+	
+	table.innerHTML = `
+        <thead>
+            <tr><th></th>${names.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${rows.map(row => `
+                <tr>
+                    <td>${row.label}</td>
+                    ${row.values.map((value, i) => `
+                        <td>
+                            ${formatCompareValue(value, row.format)}
+                            ${i > 0 && row.diffs[i] !== 0 ? `<span class="compare-diff ${row.diffs[i] > 0 ? 'up' : 'down'}">${row.diffs[i] > 0 ? '+' : '−'}${formatCompareValue(Math.abs(row.diffs[i]), row.format)}</span>` : ''}
+                        </td>
+                    `).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+// ============================================
+// Subscription Projection (24 months from the current inputs)
+// ============================================
+
+function showProjection() {
+	const form = document.getElementById('projection-form');
+	if (form.elements.signupsPerMonth.value === '') {
+		form.elements.signupsPerMonth.value = 0;
+		form.elements.trialConversion.value = subscriptions.DEFAULT_TRIAL_CONVERSION * 100;
+		form.elements.annualShare.value = subscriptions.DEFAULT_PLAN_MIX.annual * 100;
+		form.elements.monthlyChurn.value = subscriptions.DEFAULT_CHURN.monthly * 100;
+		form.elements.annualChurn.value = subscriptions.DEFAULT_CHURN.annual * 100;
+	}
+	renderProjection();
+	renderCashFlow();
+	document.getElementById('projection-panel').classList.remove('hidden');
+}
+
+function hideProjection() {
+	document.getElementById('projection-panel').classList.add('hidden');
+}
+
+function renderProjection() {
+	const form = document.getElementById('projection-form');
+	const value = (name) => Number(form.elements[name].value) || 0;
+	const summary = document.getElementById('projection-summary');
+	const table = document.getElementById('projection-table');
+	
+	let projection;
+	try {
+		projection = subscriptions.projectModelSubscriptions(modelInputs, {
+			startMonth: new Date().getMonth(),
+			signupsPerMonth: value('signupsPerMonth'),
+			trialConversion: value('trialConversion') / 100,
+			planMix: { monthly: 1 - value('annualShare') / 100, annual: value('annualShare') / 100 },
+			churn: { monthly: value('monthlyChurn') / 100, annual: value('annualChurn') / 100 }
+		});
+	} catch (err) {
+		summary.textContent = err.message;
+		table.innerHTML = '';
+		return;
+	}
+	
+	const { months, totals } = projection;
+	summary.textContent = `Month 24: ${Math.round(totals.endingSubscribers)} subscribers, ` +
+		`${formatCurrency(totals.endingMrr)} MRR · ${formatCurrency(totals.cash)} collected over 24 months`;
+	table.innerHTML = `
+        <thead>
+            <tr><th>Month</th><th>Subscribers</th><th>MRR</th><th>Cash in</th><th>Cash to date</th></tr>
+        </thead>
+        <tbody>
+            ${months.map(m => `
+                <tr>
+                    <td>${m.name} (yr ${m.year})</td>
+                    <td>${Math.round(m.subscribers.total)}</td>
+                    <td>${formatCurrency(m.mrr)}</td>
+                    <td>${formatCurrency(m.cash.total)}</td>
+                    <td>${formatCurrency(m.cumulativeCash)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Cumulative cash from opening day, with equipment bought in the chosen months
+ */
+function renderCashFlow() {
+	const form = document.getElementById('cashflow-form');
+	if (form.elements.length === 0) {
+		form.innerHTML = EQUIPMENT_CATEGORIES.map(category => `
+            <label>${EQUIPMENT_LABELS[category]} bought in month
+                <input type="number" name="${category}" min="1" max="36" step="1" value="1">
+            </label>
+        `).join('');
+	}
+	const purchaseMonths = Object.fromEntries(EQUIPMENT_CATEGORIES
+		.map(category => [category, Math.max((Number(form.elements[category].value) || 1) - 1, 0)]));
+	
+	const { months, paybackMonth, totalInvestment } = calculateCashFlow({ ...modelInputs, purchaseMonths });
+	const payback = paybackMonth === null
+		? 'does not pay back within 3 years'
+		: `pays back in month ${paybackMonth + 1} (${months[paybackMonth].name}, yr ${months[paybackMonth].year})`;
+	document.getElementById('cashflow-summary').textContent =
+		`${formatCurrency(totalInvestment)} of equipment ${payback}`;
+	document.getElementById('cashflow-table').innerHTML = `
+        <thead>
+            <tr><th>Month</th><th>Revenue</th><th>Operating</th><th>Equipment</th><th>Cash to date</th></tr>
+        </thead>
+        <tbody>
+            ${months.map(m => `
+                <tr>
+                    <td>${m.index + 1}: ${m.name} (yr ${m.year})</td>
+                    <td>${formatCurrency(m.revenue)}</td>
+                    <td>${formatCurrency(m.operatingCost)}</td>
+                    <td>${m.equipment > 0 ? formatCurrency(m.equipment) : '-'}</td>
+                    <td>${formatCurrency(m.cumulative)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+function formatCompareValue(value, format) {
+	switch (format) {
+		case 'currency': return formatCurrency(value);
+		case 'rate': return `${formatCurrency(value)}/hr`;
+		case 'hours': return `${value.toFixed(1)} hr`;
+		default: return Math.round(value).toLocaleString();
+	}
+}
+
+function escapeHtml(text) {
+	const div = document.createElement('div');
+	div.textContent = text;
+	return div.innerHTML;
 }
 
 // ============================================
@@ -176,7 +700,7 @@ function updateDrag(clientX, clientY) {
 	saveNodePosition(dragState.nodeId, x, y);
 	
 	// Re-render edges
-	renderEdges();
+	renderEdges(model);
 }
 
 function onMouseUp(e) {
@@ -228,12 +752,14 @@ function showNodeDetail(nodeId) {
 	if (!node) return;
 	
 	const panel = document.getElementById('node-detail');
-	const tasks = calc.getTaskBreakdown(nodeId, 15); // Static 15 households
+	const tasks = calc.getTaskBreakdown(nodeId, model.households);
+	const metrics = getNodeMetrics(node, calc.calculateNodeMetrics(model));
 	
 	// Populate panel
 	document.getElementById('detail-icon').textContent = node.icon;
 	document.getElementById('detail-title').textContent = node.label;
 	document.getElementById('detail-description').textContent = node.description;
+	document.getElementById('detail-metrics').textContent = metrics.join(' · ');
 	
 	// Render tasks
 	const tasksContainer = document.getElementById('detail-tasks');
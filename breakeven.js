@@ -0,0 +1,199 @@
+/**
+ * Compost Coordinator - Break-Even & Payback
+ *
+ * When does the equipment pay for itself?
+ * - Equipment purchases, optionally phased by category (e.g. year 2)
+ * - Month-by-month cumulative cash curve from the seasonal schedule,
+ *   net of operating expenses
+ * - Payback month (cumulative cash stays non-negative from then on)
+ * - Break-even household count (annual profit after depreciation)
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+import {
+    EQUIPMENT,
+    MONTH_NAMES,
+    DEFAULT_ACTIVE_MONTHS,
+    countHouseholds,
+    calculateAnnualSchedule,
+    calculateCategoryDepreciation,
+    calculateExpenses
+} from './calculator.js';
+
+export const EQUIPMENT_CATEGORIES = ['composting', 'cardboard', 'wormTea', 'logistics', 'lawnService'];
+
+const DEFAULT_HORIZON_MONTHS = 36;
+const DEFAULT_RAMP_UP_MONTHS = 4; // first batch needs ~16 weeks through all four stages
+const MAX_BREAK_EVEN_HOUSEHOLDS = 500;
+
+// ============================================
+// Equipment Purchases
+// ============================================
+
+/**
+ * List equipment purchases with the month each category is bought
+ * @param {Object} params
+ * @param {boolean} params.includeLawnService - Include lawn service category
+ * @param {Object} params.purchaseMonths - Month offset per category (default 0 = at start)
+ * @returns {Array} [{ category, month, cost, monthlyDepreciation }]
+ */
+export function calculateEquipmentPurchases({ includeLawnService = true, purchaseMonths = {} } = {}) {
+    return EQUIPMENT_CATEGORIES
+        .filter(category => includeLawnService || category !== 'lawnService')
+        .map(category => ({
+            category,
+            month: purchaseMonths[category] || 0,
+            cost: EQUIPMENT[category].subtotal,
+            monthlyDepreciation: calculateCategoryDepreciation(category) / 12
+        }));
+}
+
+// ============================================
+// Cash Flow
+// ============================================
+
+/**
+ * Month-by-month cash curve from the start of operation
+ *
+ * Revenue and operating expenses follow calculateAnnualSchedule by
+ * calendar month. During the ramp-up months only subscriptions come in
+ * (no finished compost yet), so there are no deliveries or brews either.
+ *
+ * @param {Object} params - calculateFullModel inputs plus:
+ * @param {number} params.months - Months to project
+ * @param {number} params.startMonth - 0-indexed calendar month operation starts
+ * @param {number} params.rampUpMonths - Months before first compost/tea sales
+ * @param {Object} params.purchaseMonths - Month offset per equipment category
+ * @param {number} params.operatingCostPerMonth - Extra costs beyond the expense model
+ * @returns {Object} { months, paybackMonth, totalInvestment }
+ */
+export function calculateCashFlow({
+    months = DEFAULT_HORIZON_MONTHS,
+    startMonth = DEFAULT_ACTIVE_MONTHS[0],
+    rampUpMonths = DEFAULT_RAMP_UP_MONTHS,
+    purchaseMonths = {},
+    operatingCostPerMonth = 0,
+    includeLawnService = true,
+    ...modelParams
+}) {
+    const schedule = calculateAnnualSchedule(modelParams);
+    const purchases = calculateEquipmentPurchases({ includeLawnService, purchaseMonths });
+    const households = modelParams.housingMix
+        ? countHouseholds(modelParams.housingMix)
+        : modelParams.households;
+
+    let cumulative = 0;
+    const result = [];
+
+    for (let index = 0; index < months; index++) {
+        const calendarMonth = (startMonth + index) % 12;
+        const scheduled = schedule.months[calendarMonth];
+
+        const rampingUp = index < rampUpMonths;
+        const revenue = rampingUp
+            ? scheduled.revenue.subscriptions
+            : scheduled.revenue.total;
+
+        const expenses = rampingUp
+            ? calculateExpenses({
+                households,
+                revenue: { subscriptions: revenue, total: revenue },
+                labor: { ...scheduled.labor, delivery: 0 },
+                teaConcentrate: 0,
+                legalStructure: modelParams.legalStructure,
+                planMix: modelParams.planMix,
+                plans: modelParams.plans,
+                routeMilesPerWeek: modelParams.route?.miles
+            })
+            : scheduled.expenses;
+        const operatingCost = expenses.total + operatingCostPerMonth;
+
+        const equipment = purchases
+            .filter(p => p.month === index)
+            .reduce((sum, p) => sum + p.cost, 0);
+
+        const depreciation = purchases
+            .filter(p => p.month <= index)
+            .reduce((sum, p) => sum + p.monthlyDepreciation, 0);
+
+        const netCash = revenue - operatingCost - equipment;
+        cumulative += netCash;
+
+        result.push({
+            index,
+            calendarMonth,
+            name: MONTH_NAMES[calendarMonth],
+            year: Math.floor((startMonth + index) / 12) + 1,
+            revenue,
+            operatingCost,
+            equipment,
+            depreciation,
+            profit: revenue - operatingCost - depreciation,
+            netCash,
+            cumulative
+        });
+    }
+
+    return {
+        months: result,
+        paybackMonth: findPaybackMonth(result),
+        totalInvestment: purchases.reduce((sum, p) => sum + p.cost, 0)
+    };
+}
+
+/**
+ * First month from which cumulative cash never dips below zero
+ * @param {Array} months - Cash flow months
+ * @returns {number|null} Month index, or null if not within the horizon
+ */
+export function findPaybackMonth(months) {
+    let payback = null;
+    for (const month of months) {
+        if (month.cumulative < 0) {
+            payback = null;
+        } else if (payback === null) {
+            payback = month.index;
+        }
+    }
+    return payback;
+}
+
+// ============================================
+// Break-Even Households
+// ============================================
+
+/**
+ * Annual profit after operating expenses and depreciation
+ * @param {Object} params - calculateFullModel inputs plus operatingCostPerMonth (extra costs)
+ * @returns {number} Annual profit
+ */
+export function calculateAnnualProfit({ operatingCostPerMonth = 0, includeLawnService = true, ...modelParams }) {
+    const schedule = calculateAnnualSchedule(modelParams);
+    const depreciation = calculateEquipmentPurchases({ includeLawnService })
+        .reduce((sum, p) => sum + p.monthlyDepreciation * 12, 0);
+    return schedule.totals.netIncome - operatingCostPerMonth * 12 - depreciation;
+}
+
+/**
+ * Smallest household count with non-negative annual profit
+ * A plan mix is scaled to each trial count in the same proportions; a
+ * planned route only fits its own roster, so the linear estimate is used.
+ * @param {Object} params - calculateFullModel inputs (households ignored)
+ * @returns {number|null} Households, or null if not reached
+ */
+export function calculateBreakEvenHouseholds({ maxHouseholds = MAX_BREAK_EVEN_HOUSEHOLDS, planMix = null, ...params }) {
+    for (let households = 0; households <= maxHouseholds; households++) {
+        const trial = { ...params, households, housingMix: null, planMix: scalePlanMix(planMix, households), route: null };
+        if (calculateAnnualProfit(trial) >= 0) {
+            return households;
+        }
+    }
+    return null;
+}
+
+function scalePlanMix(planMix, households) {
+    const total = planMix ? Object.values(planMix).reduce((sum, n) => sum + n, 0) : 0;
+    if (total === 0) return null;
+    return Object.fromEntries(Object.entries(planMix).map(([plan, count]) => [plan, count * households / total]));
+}
@@ -0,0 +1,275 @@
+/**
+ * Compost Coordinator - Worm Tea Brewing
+ *
+ * Brew batches in the vat from EQUIPMENT.wormTea:
+ * - Tea capacity from vat size and brew cycle (fill, aerate, drain/rinse)
+ * - Batch plans to meet a month's concentrate demand
+ * - Logged batches: castings used, brew start/end, aeration time
+ * - Diluted volume per application site (TEA_DILUTION_RATIO)
+ *
+ * Planning functions are pure and testable; logged batches are
+ * persisted in localStorage.
+ */
+
+import {
+    WEEKS_PER_MONTH,
+    TEA_DILUTION_RATIO,
+    CASTINGS_PER_TEA_GALLON,
+    VAT_GALLONS,
+    BREW_CYCLE,
+    calculateTeaCapacity
+} from './calculator.js';
+
+// Vat capacity lives in calculator.js so the business model is capped by it too
+export { VAT_GALLONS, BREW_CYCLE, calculateTeaCapacity };
+
+const STORAGE_KEY = 'compost-brews';
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Soil drench: 1 gal of diluted tea per 100 sq ft
+export const APPLICATION_GALLONS_PER_SQFT = 1 / 100;
+
+// ============================================
+// Time Helpers
+// ============================================
+
+// Brew times are wall-clock "YYYY-MM-DDTHH:MM"; parse as UTC so DST can't shift them
+function parseDateTime(value) {
+    return Date.parse(`${value}:00Z`);
+}
+
+function formatDateTime(ms) {
+    return new Date(ms).toISOString().slice(0, 16);
+}
+
+/**
+ * Hours between two "YYYY-MM-DDTHH:MM" times
+ * @param {string} start
+ * @param {string} end
+ * @returns {number}
+ */
+export function hoursBetween(start, end) {
+    return (parseDateTime(end) - parseDateTime(start)) / MS_PER_HOUR;
+}
+
+// ============================================
+// Batch Planning
+// ============================================
+
+/**
+ * Back-to-back batches to brew a period's concentrate demand
+ * @param {Object} params
+ * @param {number} params.demandGallons - Concentrate needed
+ * @param {string} params.start - First fill, "YYYY-MM-DDTHH:MM"
+ * @param {number} params.vatGallons - Vat size
+ * @param {Object} params.cycle - Brew cycle (see BREW_CYCLE)
+ * @param {number} params.days - Days available
+ * @returns {Object} { batches, plannedGallons, unmetGallons, castingsGallons }
+ */
+export function planBatches({ demandGallons, start, vatGallons = VAT_GALLONS, cycle = BREW_CYCLE, days = WEEKS_PER_MONTH * 7 }) {
+    if (!DATETIME_PATTERN.test(start)) {
+        throw new Error(`Start must be YYYY-MM-DDTHH:MM: ${start}`);
+    }
+
+    const capacity = calculateTeaCapacity({ vatGallons, cycle, days });
+    const batches = [];
+    let remaining = demandGallons;
+
+    while (remaining > 0 && batches.length < capacity.batchesPerMonth) {
+        const fill = parseDateTime(start) + batches.length * capacity.cycleHours * MS_PER_HOUR;
+        const concentrateGallons = Math.min(capacity.batchGallons, remaining);
+        batches.push({
+            number: batches.length + 1,
+            start: formatDateTime(fill),
+            end: formatDateTime(fill + cycle.aerationHours * MS_PER_HOUR),
+            vatFree: formatDateTime(fill + capacity.cycleHours * MS_PER_HOUR),
+            concentrateGallons,
+            castingsGallons: concentrateGallons * CASTINGS_PER_TEA_GALLON
+        });
+        remaining -= concentrateGallons;
+    }
+
+    const plannedGallons = batches.reduce((sum, b) => sum + b.concentrateGallons, 0);
+    return {
+        batches,
+        plannedGallons,
+        unmetGallons: Math.max(demandGallons - plannedGallons, 0),
+        castingsGallons: plannedGallons * CASTINGS_PER_TEA_GALLON
+    };
+}
+
+// ============================================
+// Batch Log
+// ============================================
+
+/**
+ * Validate and normalize a logged batch
+ * @param {Object} data - { id, start, end, concentrateGallons, castingsGallons, aerationHours, notes }
+ *        aerationHours defaults to the time from start to end
+ * @returns {Object} Normalized batch (id only if one was given)
+ * @throws {Error} If a field is missing or the batch doesn't fit the vat
+ */
+export function normalizeBatch(data, vatGallons = VAT_GALLONS) {
+    const start = String(data?.start ?? '').trim();
+    const end = String(data?.end ?? '').trim();
+    if (!DATETIME_PATTERN.test(start) || !DATETIME_PATTERN.test(end)) {
+        throw new Error('Brew start and end must be YYYY-MM-DDTHH:MM');
+    }
+    const brewHours = hoursBetween(start, end);
+    if (!(brewHours > 0)) {
+        throw new Error(`Brew ends before it starts: ${start} to ${end}`);
+    }
+
+    const concentrateGallons = Number(data.concentrateGallons);
+    if (!Number.isFinite(concentrateGallons) || concentrateGallons <= 0) {
+        throw new Error(`Concentrate gallons must be positive: ${data.concentrateGallons}`);
+    }
+    if (concentrateGallons > vatGallons) {
+        throw new Error(`${concentrateGallons} gal exceeds the ${vatGallons}-gal vat`);
+    }
+
+    const castingsGallons = Number(data.castingsGallons ?? 0);
+    if (!Number.isFinite(castingsGallons) || castingsGallons < 0) {
+        throw new Error(`Invalid castings gallons: ${data.castingsGallons}`);
+    }
+
+    const aerationHours = data.aerationHours === undefined || data.aerationHours === ''
+        ? brewHours
+        : Number(data.aerationHours);
+    if (!Number.isFinite(aerationHours) || aerationHours < 0 || aerationHours > brewHours) {
+        throw new Error(`Aeration must be between 0 and ${brewHours} hours: ${data.aerationHours}`);
+    }
+
+    const batch = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        batch.id = String(data.id);
+    }
+
+    return Object.assign(batch, {
+        start,
+        end,
+        concentrateGallons,
+        castingsGallons,
+        aerationHours,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+/**
+ * Diluted volume and brewing checks for a logged batch
+ * @param {Object} batch - Normalized batch
+ * @param {Object} cycle - Brew cycle (see BREW_CYCLE)
+ * @returns {Object} Batch with { brewHours, dilutedGallons, castingsPerGallon, warnings }
+ */
+export function summarizeBatch(batch, cycle = BREW_CYCLE) {
+    const castingsPerGallon = batch.castingsGallons / batch.concentrateGallons;
+    const warnings = [];
+
+    if (batch.aerationHours < cycle.minAerationHours) {
+        warnings.push(`Aerated ${batch.aerationHours} hr; brew at least ${cycle.minAerationHours} hr`);
+    }
+    if (castingsPerGallon < CASTINGS_PER_TEA_GALLON / 2) {
+        warnings.push(`${batch.castingsGallons} gal castings is light for ${batch.concentrateGallons} gal (plan ${CASTINGS_PER_TEA_GALLON * batch.concentrateGallons} gal)`);
+    }
+
+    return {
+        ...batch,
+        brewHours: hoursBetween(batch.start, batch.end),
+        dilutedGallons: batch.concentrateGallons * TEA_DILUTION_RATIO,
+        castingsPerGallon,
+        warnings
+    };
+}
+
+// ============================================
+// Application Planning
+// ============================================
+
+/**
+ * Diluted tea for each application site
+ *
+ * Each site gets APPLICATION_GALLONS_PER_SQFT of diluted tea. If the
+ * concentrate on hand can't cover every site, all sites are scaled down
+ * by the same fraction.
+ *
+ * @param {Object} params
+ * @param {Array} params.sites - [{ name, areaSqFt }]
+ * @param {number} params.concentrateGallons - Concentrate available
+ * @param {number} params.gallonsPerSqFt - Diluted tea per sq ft
+ * @returns {Object} { sites: [{ name, areaSqFt, dilutedGallons, concentrateGallons }], concentrateNeeded, concentrateUsed, coverage }
+ */
+export function planApplications({ sites, concentrateGallons, gallonsPerSqFt = APPLICATION_GALLONS_PER_SQFT }) {
+    const needed = sites.map(site => {
+        const areaSqFt = Number(site.areaSqFt);
+        if (!Number.isFinite(areaSqFt) || areaSqFt <= 0) {
+            throw new Error(`${site.name}: invalid area "${site.areaSqFt}"`);
+        }
+        return { name: site.name, areaSqFt, dilutedGallons: areaSqFt * gallonsPerSqFt };
+    });
+
+    const concentrateNeeded = needed.reduce((sum, s) => sum + s.dilutedGallons, 0) / TEA_DILUTION_RATIO;
+    const coverage = concentrateNeeded > 0 ? Math.min(concentrateGallons / concentrateNeeded, 1) : 1;
+
+    const planned = needed.map(site => ({
+        ...site,
+        dilutedGallons: site.dilutedGallons * coverage,
+        concentrateGallons: (site.dilutedGallons * coverage) / TEA_DILUTION_RATIO
+    }));
+
+    return {
+        sites: planned,
+        concentrateNeeded,
+        concentrateUsed: planned.reduce((sum, s) => sum + s.concentrateGallons, 0),
+        coverage
+    };
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get logged batches from localStorage
+ * @returns {Array} Batches, newest first
+ */
+export function loadBatches() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load brew batches:', e);
+        return [];
+    }
+}
+
+/**
+ * Log or update a batch
+ * @returns {Object} The saved batch (with id)
+ */
+export function saveBatch(batch) {
+    const normalized = normalizeBatch(batch);
+    normalized.id = normalized.id ?? `brew-${Date.now()}`;
+    const batches = [normalized, ...loadBatches().filter(b => b.id !== normalized.id)]
+        .sort((a, b) => b.start.localeCompare(a.start));
+    writeBatches(batches);
+    return normalized;
+}
+
+/**
+ * Delete a batch by id
+ * @returns {Array} Updated batches
+ */
+export function deleteBatch(id) {
+    const batches = loadBatches().filter(b => b.id !== id);
+    writeBatches(batches);
+    return batches;
+}
+
+function writeBatches(batches) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(batches));
+    } catch (e) {
+        console.warn('Failed to save brew batches:', e);
+    }
+}
@@ -3,7 +3,7 @@
  *
  * Pure functions for calculating all business metrics:
  * - Input volumes from household count
- * - Output volumes (compost, tea)
+ * - Output volumes (compost, tea from set-aside castings capped by the brewing vat)
  * - Revenue streams
  * - Labor hours
  * - Hourly rate
@@ -17,8 +17,56 @@
 
 const CARDBOARD_PER_HOUSEHOLD_PER_WEEK = 6; // gallons
 const FOOD_WASTE_PER_HOUSEHOLD_PER_WEEK = 2; // gallons
-const GRASS_CLIPPINGS_PER_HOUSEHOLD_PER_WEEK = 4; // gallons (mowing season only)
-const WEEKS_PER_MONTH = 4;
+export const WEEKS_PER_MONTH = 4;
+
+// Michigan season: active March-November, winter December-February
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+export const DEFAULT_ACTIVE_MONTHS = [2, 3, 4, 5, 6, 7, 8, 9, 10]; // 0-indexed (Mar-Nov)
+const DEFAULT_CATCH_UP_MONTHS = 2; // spring months to work through the winter stockpile
+
+// ============================================
+// Housing Profiles (gallons per household per week)
+// ============================================
+
+// Grass and leaves keyed by lowercase month ('apr'); missing months are zero
+export const HOUSING_PROFILES = {
+    sfOwned: {
+        name: 'Single-Family (Owned)',
+        cardboard: 6,
+        food: 2.5,
+        grass: { apr: 4, may: 5, jun: 5, jul: 4, aug: 4, sep: 4, oct: 3 },
+        leaves: { oct: 15, nov: 25 },
+        yardSpace: true,
+        compostBuyer: true
+    },
+    sfRented: {
+        name: 'Single-Family (Rented)',
+        cardboard: 6,
+        food: 2.5,
+        grass: {},
+        leaves: {},
+        yardSpace: false,
+        compostBuyer: false
+    },
+    condo: {
+        name: 'Condo (Attached)',
+        cardboard: 4,
+        food: 2,
+        grass: {},
+        leaves: {},
+        yardSpace: false,
+        compostBuyer: true // May have planters
+    },
+    apartment: {
+        name: 'Apartment',
+        cardboard: 3,
+        food: 1.5,
+        grass: {},
+        leaves: {},
+        yardSpace: false,
+        compostBuyer: false
+    }
+};
 
 // ============================================
 // Equipment & Capital Costs
@@ -41,7 +89,7 @@ export const EQUIPMENT = {
     },
     // Worm tea production
     wormTea: {
-        brewingVat: { cost: 100, description: '50-gal drum + aerator pump', depreciationYears: 5 },
+        brewingVat: { cost: 100, description: '50-gal drum + aerator pump', depreciationYears: 5, capacityGallons: 50 },
         spigots: { cost: 30, description: 'Spigots and fittings', depreciationYears: 5 },
         subtotal: 130
     },
@@ -79,10 +127,17 @@ export function calculateAnnualDepreciation(includeLawnService = true) {
     if (includeLawnService) categories.push('lawnService');
 
     for (const cat of categories) {
-        for (const [key, item] of Object.entries(EQUIPMENT[cat])) {
-            if (key !== 'subtotal' && item.depreciationYears) {
-                depreciation += item.cost / item.depreciationYears;
-            }
+        depreciation += calculateCategoryDepreciation(cat);
+    }
+    return depreciation;
+}
+
+// Calculate annual depreciation for one equipment category
+export function calculateCategoryDepreciation(category) {
+    let depreciation = 0;
+    for (const [key, item] of Object.entries(EQUIPMENT[category])) {
+        if (key !== 'subtotal' && item.depreciationYears) {
+            depreciation += item.cost / item.depreciationYears;
         }
     }
     return depreciation;
@@ -91,33 +146,188 @@ export function calculateAnnualDepreciation(includeLawnService = true) {
 // Conversion: input shrinks ~58% to output (480 gal in → 200 gal out)
 const INPUT_TO_OUTPUT_RATIO = 200 / 480; // ~0.417
 
+// Shrinkage spread evenly across the three pile moves (1→2, 2→3, 3→4)
+export const PILE_RETENTION_PER_MOVE = Math.cbrt(INPUT_TO_OUTPUT_RATIO); // ~0.747
+
 // Worm tea production
-const TEA_CONCENTRATE_BASE = 20; // gallons per month (for base 15 households)
-const TEA_DILUTION_RATIO = 10; // 1:10 concentrate to water
+const TEA_CASTINGS_SHARE = 0.02; // finished castings set aside for brewing (4 of 200 gal)
+export const TEA_DILUTION_RATIO = 10; // 1:10 concentrate to water
+export const VAT_GALLONS = EQUIPMENT.wormTea.brewingVat.capacityGallons;
+export const CASTINGS_PER_TEA_GALLON = 0.2; // 1 gal castings per 5 gal concentrate
+
+// Pile bins: 4x4x4 ft = 64 cu ft
+const GALLONS_PER_CUBIC_FOOT = 7.48;
+export const BIN_CAPACITY = 64 * GALLONS_PER_CUBIC_FOOT; // ~479 gallons
+
+// Delivery: ~10 customer stops per month for base 15 households
+const DELIVERY_STOPS_BASE = 10;
+const DELIVERY_HOURS_PER_STOP = 0.6; // 6 hr/mo for 10 stops (includes loading)
+
+// ============================================
+// Operating Expenses (beyond equipment)
+// ============================================
+
+export const EXPENSES = {
+    // Fuel (ATV/truck at ~14 mpg, $3.50/gal)
+    fuel: {
+        costPerMile: 0.25,
+        routeMilesPerWeek: 15, // collection route for base 15 households
+        milesPerDeliveryStop: 2
+    },
+    // Consumables
+    supplies: {
+        bagCost: 0.25, // compostable liner, 1 per household per week
+        bucketCost: 5,
+        bucketsPerHousehold: 2, // one out, one being cleaned
+        bucketReplacementPerYear: 0.25 // fraction replaced each year
+    },
+    // Electricity ($0.18/kWh)
+    electricity: {
+        costPerKwh: 0.18,
+        shredderKw: 1.5,
+        shredShareOfCardboardLabor: 45 / 150, // shred 45 of 150 min/week
+        aeratorKw: 0.04,
+        aeratorHoursPerBrew: 48
+    },
+    // General liability policy
+    insurance: {
+        perYear: 600
+    },
+    // Filing fees by legal structure (cost, renewed every N years)
+    fees: {
+        dba: [
+            { item: 'Michigan DBA filing', cost: 20, everyYears: 5 }
+        ],
+        coop: [
+            { item: 'Articles of Incorporation', cost: 350, everyYears: 5 },
+            { item: 'Annual report', cost: 20, everyYears: 1 }
+        ]
+    },
+    // Card payments (per transaction)
+    paymentProcessing: {
+        percent: 0.029,
+        fixed: 0.30
+    }
+};
+
+// ============================================
+// Worm Tea Capacity
+// ============================================
+
+export const BREW_CYCLE = {
+    aerationHours: EXPENSES.electricity.aeratorHoursPerBrew, // 48 hr
+    minAerationHours: 24,  // shorter brews are under-aerated
+    turnaroundHours: 24,   // drain, bottle and rinse before the next fill
+    fillFraction: 0.9      // headspace for foam
+};
+
+/**
+ * Tea concentrate the vat(s) can produce in a month
+ * @param {Object} params
+ * @param {number} params.vats - Number of vats
+ * @param {number} params.vatGallons - Vat size
+ * @param {Object} params.cycle - Brew cycle (see BREW_CYCLE)
+ * @param {number} params.days - Days in the period (default a 4-week month)
+ * @returns {Object} { batchGallons, cycleHours, batchesPerMonth, concentratePerMonth, dilutedPerMonth, castingsPerMonth }
+ */
+export function calculateTeaCapacity({
+    vats = 1,
+    vatGallons = VAT_GALLONS,
+    cycle = BREW_CYCLE,
+    days = WEEKS_PER_MONTH * 7
+} = {}) {
+    const batchGallons = vatGallons * cycle.fillFraction;
+    const cycleHours = cycle.aerationHours + cycle.turnaroundHours;
+    const batchesPerMonth = Math.floor((days * 24) / cycleHours) * vats;
+    const concentratePerMonth = batchesPerMonth * batchGallons;
+
+    return {
+        batchGallons,
+        cycleHours,
+        batchesPerMonth,
+        concentratePerMonth,
+        dilutedPerMonth: concentratePerMonth * TEA_DILUTION_RATIO,
+        castingsPerMonth: concentratePerMonth * CASTINGS_PER_TEA_GALLON
+    };
+}
 
 // ============================================
 // Input Volume Calculations
 // ============================================
 
 /**
- * Calculate input volumes based on number of households
- * @param {number} households - Number of participating households
+ * Count households in a housing mix
+ * @param {Object} housingMix - Household count per HOUSING_PROFILES key
+ * @returns {number} Total households
+ */
+export function countHouseholds(housingMix) {
+    return Object.values(housingMix).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Calculate input volumes from a household count or a housing mix
+ *
+ * A plain count uses flat per-household rates with no yard waste.
+ * A housing mix ({ sfOwned: 10, condo: 6 }) uses HOUSING_PROFILES,
+ * including seasonal grass and leaves for the given month, or the
+ * annual average when no month is given.
+ *
+ * @param {number|Object} households - Household count or housing mix
+ * @param {number} month - Optional 0-indexed month for seasonal yard waste
  * @returns {Object} Weekly and monthly input volumes
  */
-export function calculateInputVolumes(households) {
-    const cardboardPerWeek = households * CARDBOARD_PER_HOUSEHOLD_PER_WEEK;
-    const foodWastePerWeek = households * FOOD_WASTE_PER_HOUSEHOLD_PER_WEEK;
+export function calculateInputVolumes(households, month = null) {
+    let cardboardPerWeek, foodWastePerWeek;
+    let grassPerWeek = 0;
+    let leavesPerWeek = 0;
+
+    if (typeof households === 'number') {
+        cardboardPerWeek = households * CARDBOARD_PER_HOUSEHOLD_PER_WEEK;
+        foodWastePerWeek = households * FOOD_WASTE_PER_HOUSEHOLD_PER_WEEK;
+    } else {
+        cardboardPerWeek = 0;
+        foodWastePerWeek = 0;
+        for (const [type, count] of Object.entries(households)) {
+            const profile = HOUSING_PROFILES[type];
+            if (!profile) {
+                throw new Error(`Unknown housing type: ${type}`);
+            }
+            cardboardPerWeek += count * profile.cardboard;
+            foodWastePerWeek += count * profile.food;
+            grassPerWeek += count * getSeasonalRate(profile.grass, month);
+            leavesPerWeek += count * getSeasonalRate(profile.leaves, month);
+        }
+    }
+
+    const yardWastePerWeek = grassPerWeek + leavesPerWeek;
+    const totalPerWeek = cardboardPerWeek + foodWastePerWeek + yardWastePerWeek;
 
     return {
         cardboardPerWeek,
         foodWastePerWeek,
+        grassPerWeek,
+        leavesPerWeek,
         cardboardPerMonth: cardboardPerWeek * WEEKS_PER_MONTH,
         foodWastePerMonth: foodWastePerWeek * WEEKS_PER_MONTH,
-        totalPerWeek: cardboardPerWeek + foodWastePerWeek,
-        totalPerMonth: (cardboardPerWeek + foodWastePerWeek) * WEEKS_PER_MONTH
+        yardWastePerMonth: yardWastePerWeek * WEEKS_PER_MONTH,
+        totalPerWeek,
+        totalPerMonth: totalPerWeek * WEEKS_PER_MONTH
     };
 }
 
+/**
+ * Weekly rate for a month from a seasonal profile ({ apr: 4, may: 5 })
+ * @param {Object} byMonth - Gallons per week keyed by lowercase month
+ * @param {number} month - 0-indexed month, or null for annual average
+ * @returns {number} Gallons per week
+ */
+function getSeasonalRate(byMonth, month) {
+    if (month === null) {
+        return MONTH_NAMES.reduce((sum, name) => sum + (byMonth[name.toLowerCase()] || 0), 0) / 12;
+    }
+    return byMonth[MONTH_NAMES[month].toLowerCase()] || 0;
+}
+
 // ============================================
 // Output Volume Calculations
 // ============================================
@@ -128,16 +338,28 @@ export function calculateInputVolumes(households) {
  * @returns {Object} Monthly output volumes
  */
 export function calculateOutputVolumes(inputs) {
-    const totalInput = inputs.cardboardPerMonth + inputs.foodWastePerMonth;
+    const totalInput = inputs.cardboardPerMonth + inputs.foodWastePerMonth + (inputs.yardWastePerMonth || 0);
+    return calculateOutputsFromTotal(totalInput);
+}
+
+/**
+ * Calculate output volumes from total gallons processed
+ * @param {number} totalInput - Gallons of input processed in the month
+ * @returns {Object} Monthly output volumes
+ */
+function calculateOutputsFromTotal(totalInput) {
     const finishedCompostPerMonth = totalInput * INPUT_TO_OUTPUT_RATIO;
 
-    // Tea scales with compost production
-    const teaScale = finishedCompostPerMonth / 200;
-    const teaConcentrate = TEA_CONCENTRATE_BASE * teaScale;
+    // Tea is brewed from the castings set aside, up to what the vat can brew
+    const castingsForTea = finishedCompostPerMonth * TEA_CASTINGS_SHARE;
+    const teaCapacity = calculateTeaCapacity().concentratePerMonth;
+    const teaConcentrate = Math.min(castingsForTea / CASTINGS_PER_TEA_GALLON, teaCapacity);
 
     return {
         finishedCompostPerMonth,
         wormTeaConcentrate: teaConcentrate,
+        wormTeaCapacity: teaCapacity,
+        wormTeaCastings: teaConcentrate * CASTINGS_PER_TEA_GALLON,
         wormTeaDiluted: teaConcentrate * TEA_DILUTION_RATIO
     };
 }
@@ -155,24 +377,75 @@ export function calculateSellableOutput(totalCompost, households, givebackPerYea
     return Math.max(0, sellable); // Never negative
 }
 
+// ============================================
+// Subscription Plans
+// ============================================
+
+// price: per household per billing term
+// lumpSum: billed as one invoice (HOA board), not per household
+export const SUBSCRIPTION_PLANS = {
+    monthly: { name: 'Monthly', price: 25, termMonths: 1, lumpSum: false },
+    annual: { name: 'Annual', price: 250, termMonths: 12, lumpSum: false },
+    hoa: { name: 'HOA contract', price: 240, termMonths: 12, lumpSum: true }
+};
+
+function getPlan(plans, plan) {
+    if (!plans[plan]) {
+        throw new Error(`Unknown subscription plan: ${plan}`);
+    }
+    return plans[plan];
+}
+
+/**
+ * Monthly recurring revenue for a plan mix
+ * @param {Object} planMix - Households per plan, e.g. { monthly: 5, annual: 10 }
+ * @param {Object} plans - Plan prices (default SUBSCRIPTION_PLANS)
+ * @returns {number} MRR in dollars
+ */
+export function calculateMRR(planMix, plans = SUBSCRIPTION_PLANS) {
+    return Object.entries(planMix).reduce((sum, [plan, count]) => {
+        const { price, termMonths } = getPlan(plans, plan);
+        return sum + (count * price) / termMonths;
+    }, 0);
+}
+
+/**
+ * Subscription payments collected per month (for processing fees)
+ * @param {Object} planMix - Households per plan
+ * @param {Object} plans - Plan prices (default SUBSCRIPTION_PLANS)
+ * @returns {number} Average payments per month
+ */
+export function countSubscriptionPayments(planMix, plans = SUBSCRIPTION_PLANS) {
+    return Object.entries(planMix).reduce((sum, [plan, count]) => {
+        const { termMonths, lumpSum } = getPlan(plans, plan);
+        const payments = lumpSum ? (count > 0 ? 1 : 0) : count;
+        return sum + payments / termMonths;
+    }, 0);
+}
+
 // ============================================
 // Revenue Calculations
 // ============================================
 
 /**
  * Calculate all revenue streams
+ * Pass `planMix` to price subscriptions by plan instead of a flat price.
  * @param {Object} params - Revenue parameters
  * @returns {Object} Revenue breakdown
  */
 export function calculateRevenue({
     households,
     subscriptionPrice,
+    planMix = null,
+    plans = SUBSCRIPTION_PLANS,
     compostPrice,
     teaPrice,
     sellableCompost,
     teaConcentrate
 }) {
-    const subscriptions = households * subscriptionPrice;
+    const subscriptions = planMix
+        ? calculateMRR(planMix, plans)
+        : households * subscriptionPrice;
     const compost = sellableCompost * compostPrice;
     const tea = teaConcentrate * teaPrice;
 
@@ -191,15 +464,17 @@ export function calculateRevenue({
 /**
  * Calculate labor hours for all tasks
  * @param {number} households - Number of households
+ * @param {Object} options
+ * @param {number} options.collectionHours - Planned route hours/mo (see routes.js)
  * @returns {Object} Labor hours breakdown
  */
-export function calculateLabor(households) {
+export function calculateLabor(households, { collectionHours = null } = {}) {
     // Scale factor (base is 15 households)
     const scale = households / 15;
 
-    // Collection scales linearly with households
+    // Collection scales linearly with households unless a route was planned
     // Base: 16 hr/mo for 15 households
-    const collection = 16 * scale;
+    const collection = collectionHours ?? 16 * scale;
 
     // Cardboard processing scales linearly
     // Base: 10 hr/mo for 15 households
@@ -266,6 +541,10 @@ export function getTaskBreakdown(category, households) {
             { name: 'Load brew vat', minPerMonth: 15, hoursPerMonth: 0.25 },
             { name: 'Apply at customer sites', minPerMonth: 50, hoursPerMonth: 0.83 }
         ],
+        foodWasteProcessing: [
+            { name: 'Sort and clean', minPerWeek: 30, hoursPerMonth: (30 / 60) * 4 * scale },
+            { name: 'Measure quantities', minPerWeek: 15, hoursPerMonth: (15 / 60) * 4 * scale }
+        ],
         delivery: [
             { name: 'Load truck', minPerMonth: 60, hoursPerMonth: 1 * scale },
             { name: 'Customer stops (10×30min)', minPerMonth: 300, hoursPerMonth: 5 * scale }
@@ -290,25 +569,108 @@ export function calculateHourlyRate(revenue, hours) {
     return revenue / hours;
 }
 
+// ============================================
+// Operating Expense Calculations
+// ============================================
+
+/**
+ * Calculate monthly operating expenses
+ * Activity-driven costs follow the month's labor, so winter months
+ * (collection only) carry no delivery fuel or shredder electricity.
+ * @param {Object} params - Expense parameters
+ * @returns {Object} Monthly expense breakdown
+ */
+export function calculateExpenses({
+    households,
+    revenue,
+    labor,
+    teaConcentrate,
+    legalStructure = 'dba',
+    planMix = null,
+    plans = SUBSCRIPTION_PLANS,
+    routeMilesPerWeek = null
+}) {
+    const scale = households / 15;
+    const deliveryStops = labor.delivery / DELIVERY_HOURS_PER_STOP;
+
+    // Collection route (planned, or scaled from base) plus delivery stops
+    const weeklyRouteMiles = routeMilesPerWeek ?? EXPENSES.fuel.routeMilesPerWeek * scale;
+    const routeMiles = weeklyRouteMiles * WEEKS_PER_MONTH;
+    const deliveryMiles = deliveryStops * EXPENSES.fuel.milesPerDeliveryStop;
+    const fuel = (routeMiles + deliveryMiles) * EXPENSES.fuel.costPerMile;
+
+    // Bags every week, buckets wear out over the year
+    const { bagCost, bucketCost, bucketsPerHousehold, bucketReplacementPerYear } = EXPENSES.supplies;
+    const bags = households * WEEKS_PER_MONTH * bagCost;
+    const buckets = (households * bucketsPerHousehold * bucketReplacementPerYear * bucketCost) / 12;
+    const supplies = bags + buckets;
+
+    // Shredder runs during cardboard processing, aerator during each brew
+    const { costPerKwh, shredderKw, shredShareOfCardboardLabor, aeratorKw, aeratorHoursPerBrew } = EXPENSES.electricity;
+    const shredderKwh = labor.cardboard * shredShareOfCardboardLabor * shredderKw;
+    const brewCycles = Math.ceil(teaConcentrate / calculateTeaCapacity().batchGallons);
+    const aeratorKwh = brewCycles * aeratorHoursPerBrew * aeratorKw;
+    const electricity = (shredderKwh + aeratorKwh) * costPerKwh;
+
+    const insurance = EXPENSES.insurance.perYear / 12;
+
+    const feeList = EXPENSES.fees[legalStructure];
+    if (!feeList) {
+        throw new Error(`Unknown legal structure: ${legalStructure}`);
+    }
+    const fees = feeList.reduce((sum, fee) => sum + fee.cost / fee.everyYears / 12, 0);
+
+    // Subscription charges plus one per delivery stop
+    let subscriptionPayments = 0;
+    if (revenue.subscriptions > 0) {
+        subscriptionPayments = planMix ? countSubscriptionPayments(planMix, plans) : households;
+    }
+    const transactions = subscriptionPayments + deliveryStops;
+    const paymentProcessing = revenue.total * EXPENSES.paymentProcessing.percent +
+                              transactions * EXPENSES.paymentProcessing.fixed;
+
+    return {
+        fuel,
+        supplies,
+        electricity,
+        insurance,
+        fees,
+        paymentProcessing,
+        total: fuel + supplies + electricity + insurance + fees + paymentProcessing
+    };
+}
+
 // ============================================
 // Full Model Integration
 // ============================================
 
 /**
  * Calculate complete business model from inputs
+ * Pass `housingMix` instead of `households` to use HOUSING_PROFILES
+ * Pass `planMix` (households per SUBSCRIPTION_PLANS key) to price subscriptions by plan
+ * Pass `route` (from planRoute in routes.js) to use planned collection hours and miles
  * @param {Object} params - All input parameters
  * @returns {Object} Complete business metrics
  */
 export function calculateFullModel({
-    households,
+    households: householdCount,
+    housingMix = null,
     compostPrice,
     teaPrice,
     subscriptionPrice,
+    planMix = null,
+    plans = SUBSCRIPTION_PLANS,
+    route = null,
     givebackPerYear,
-    includeLawnService = true
+    includeLawnService = true,
+    legalStructure = 'dba',
+    activeMonths = DEFAULT_ACTIVE_MONTHS,
+    catchUpMonths = DEFAULT_CATCH_UP_MONTHS
 }) {
+    const households = housingMix ? countHouseholds(housingMix) : householdCount;
+
     // Calculate input volumes
-    const inputs = calculateInputVolumes(households);
+    const inputs = calculateInputVolumes(housingMix || households);
 
     // Calculate output volumes
     const outputs = calculateOutputVolumes(inputs);
@@ -324,6 +686,8 @@ export function calculateFullModel({
     const revenue = calculateRevenue({
         households,
         subscriptionPrice,
+        planMix,
+        plans,
         compostPrice,
         teaPrice,
         sellableCompost,
@@ -331,16 +695,49 @@ export function calculateFullModel({
     });
 
     // Calculate labor
-    const labor = calculateLabor(households);
+    const labor = calculateLabor(households, { collectionHours: route?.hoursPerMonth });
 
     // Calculate hourly rate
     const hourlyRate = calculateHourlyRate(revenue.total, labor.total);
 
+    // Operating expenses and net income
+    const expenses = calculateExpenses({
+        households,
+        revenue,
+        labor,
+        teaConcentrate: outputs.wormTeaConcentrate,
+        legalStructure,
+        planMix,
+        plans,
+        routeMilesPerWeek: route?.miles
+    });
+    const netIncome = revenue.total - expenses.total;
+    const netHourlyRate = calculateHourlyRate(netIncome, labor.total);
+
     // Capital costs
     const startupCost = calculateStartupCost(includeLawnService);
     const annualDepreciation = calculateAnnualDepreciation(includeLawnService);
 
+    // Month-by-month seasonal projection
+    const schedule = calculateAnnualSchedule({
+        households,
+        housingMix,
+        compostPrice,
+        teaPrice,
+        subscriptionPrice,
+        planMix,
+        plans,
+        route,
+        givebackPerYear,
+        legalStructure,
+        activeMonths,
+        catchUpMonths
+    });
+
     return {
+        households,
+        housingMix,
+        planMix,
         inputs,
         outputs: {
             ...outputs,
@@ -349,22 +746,301 @@ export function calculateFullModel({
         revenue,
         labor,
         hourlyRate,
+        expenses,
+        grossRevenue: revenue.total,
+        netIncome,
+        netHourlyRate,
         capital: {
             startupCost,
             annualDepreciation,
             equipment: EQUIPMENT
         },
-        // Annual projections (9 months active, 3 months winter)
+        // Annual projections (from month-by-month schedule)
         annual: {
-            activeMonths: 9,
-            winterMonths: 3,
-            revenue: (revenue.total * 9) + (revenue.subscriptions * 3),
-            hours: (labor.total * 9) + (16 * 3), // Winter: collection only
-            hourlyRate: 0 // Calculated below
+            activeMonths: schedule.totals.activeMonths,
+            winterMonths: schedule.totals.winterMonths,
+            revenue: schedule.totals.revenue,
+            expenses: schedule.totals.expenses,
+            netIncome: schedule.totals.netIncome,
+            hours: schedule.totals.hours,
+            hourlyRate: schedule.totals.hourlyRate,
+            netHourlyRate: schedule.totals.netHourlyRate,
+            months: schedule.months
+        }
+    };
+}
+
+// ============================================
+// Seasonal Schedule
+// ============================================
+
+/**
+ * Step through a year month by month.
+ *
+ * Collection runs year-round. In winter months material is stockpiled
+ * rather than processed, labor is collection only and revenue is
+ * subscriptions only. When the season opens, the stockpile is worked
+ * through over the first `catchUpMonths` active months on top of the
+ * regular monthly input. Winter months at the end of the year (Dec)
+ * carry their stockpile into January. With a housing mix, each month
+ * collects that month's seasonal grass and leaves.
+ *
+ * @param {Object} params - Model inputs plus season settings
+ * @param {Array<number>} params.activeMonths - 0-indexed months with full operation
+ * @param {number} params.catchUpMonths - Active months used to clear the stockpile
+ * @returns {Object} { months: Array, totals: Object }
+ */
+export function calculateAnnualSchedule({
+    households: householdCount,
+    housingMix = null,
+    compostPrice,
+    teaPrice,
+    subscriptionPrice,
+    planMix = null,
+    plans = SUBSCRIPTION_PLANS,
+    route = null,
+    givebackPerYear,
+    legalStructure = 'dba',
+    activeMonths = DEFAULT_ACTIVE_MONTHS,
+    catchUpMonths = DEFAULT_CATCH_UP_MONTHS
+}) {
+    const isActive = (month) => activeMonths.includes(month);
+    const households = housingMix ? countHouseholds(housingMix) : householdCount;
+    const collectedIn = (month) => calculateInputVolumes(housingMix || households, month).totalPerMonth;
+    const averageInput = calculateInputVolumes(housingMix || households).totalPerMonth;
+    const baseLabor = calculateLabor(households, { collectionHours: route?.hoursPerMonth });
+    const activeCount = MONTH_NAMES.filter((_, month) => isActive(month)).length;
+
+    // Give-back is delivered during the active season only
+    const givebackPerActiveMonth = activeCount > 0 ? (households * givebackPerYear) / activeCount : 0;
+
+    // Stockpile carried in from winter months at the end of the previous year
+    let stockpile = 0;
+    for (let month = 11; month >= 0 && !isActive(month); month--) {
+        stockpile += collectedIn(month);
+    }
+
+    let catchUpPerMonth = 0;
+    let catchUpRemaining = 0;
+
+    const months = MONTH_NAMES.map((name, month) => {
+        const active = isActive(month);
+        const collected = collectedIn(month);
+        let processed = 0;
+
+        if (active) {
+            // Season opens: spread stockpile over the catch-up months
+            if (!isActive((month + 11) % 12) && stockpile > 0) {
+                catchUpRemaining = Math.max(1, catchUpMonths);
+                catchUpPerMonth = stockpile / catchUpRemaining;
+            }
+            const catchUp = catchUpRemaining > 0 ? Math.min(stockpile, catchUpPerMonth) : 0;
+            if (catchUpRemaining > 0) catchUpRemaining--;
+
+            stockpile -= catchUp;
+            processed = collected + catchUp;
+        } else {
+            stockpile += collected;
+        }
+
+        // Processing-driven work scales with volume processed this month
+        const processingScale = averageInput > 0 ? processed / averageInput : 0;
+        const processingLabor = calculateLabor(households * processingScale);
+        const outputs = calculateOutputsFromTotal(processed);
+
+        const giveback = active ? Math.min(outputs.finishedCompostPerMonth, givebackPerActiveMonth) : 0;
+        const sellableCompost = outputs.finishedCompostPerMonth - giveback;
+
+        const revenue = calculateRevenue({
+            households,
+            subscriptionPrice,
+            planMix,
+            plans,
+            compostPrice,
+            teaPrice,
+            sellableCompost,
+            teaConcentrate: outputs.wormTeaConcentrate
+        });
+
+        const labor = active
+            ? {
+                collection: baseLabor.collection,
+                cardboard: processingLabor.cardboard,
+                composting: processingLabor.composting,
+                tea: processingLabor.tea,
+                delivery: processingLabor.delivery
+            }
+            : { collection: baseLabor.collection, cardboard: 0, composting: 0, tea: 0, delivery: 0 };
+        labor.total = labor.collection + labor.cardboard + labor.composting + labor.tea + labor.delivery;
+
+        const expenses = calculateExpenses({
+            households,
+            revenue,
+            labor,
+            teaConcentrate: outputs.wormTeaConcentrate,
+            legalStructure,
+            planMix,
+            plans,
+            routeMilesPerWeek: route?.miles
+        });
+        const netIncome = revenue.total - expenses.total;
+
+        return {
+            month,
+            name,
+            active,
+            collected,
+            processed,
+            stockpile,
+            finishedCompost: outputs.finishedCompostPerMonth,
+            giveback,
+            sellableCompost,
+            teaConcentrate: outputs.wormTeaConcentrate,
+            revenue,
+            expenses,
+            netIncome,
+            labor,
+            hourlyRate: calculateHourlyRate(revenue.total, labor.total),
+            netHourlyRate: calculateHourlyRate(netIncome, labor.total)
+        };
+    });
+
+    const revenue = months.reduce((sum, m) => sum + m.revenue.total, 0);
+    const expenses = months.reduce((sum, m) => sum + m.expenses.total, 0);
+    const netIncome = revenue - expenses;
+    const hours = months.reduce((sum, m) => sum + m.labor.total, 0);
+
+    return {
+        months,
+        totals: {
+            activeMonths: activeCount,
+            winterMonths: 12 - activeCount,
+            revenue,
+            expenses,
+            netIncome,
+            hours,
+            hourlyRate: calculateHourlyRate(revenue, hours),
+            netHourlyRate: calculateHourlyRate(netIncome, hours)
         }
     };
 }
 
+// ============================================
+// Diagram Node Metrics
+// ============================================
+
+/**
+ * Sum task hours for a node's breakdown
+ * @param {string} category - Category name
+ * @param {number} households - Number of households
+ * @returns {number} Hours per month
+ */
+function sumTaskHours(category, households) {
+    return getTaskBreakdown(category, households)
+        .reduce((sum, task) => sum + task.hoursPerMonth, 0);
+}
+
+/**
+ * Calculate the values shown on each diagram node
+ * Keys match the `metrics` units in config.nodes
+ * @param {Object} model - Result of calculateFullModel
+ * @returns {Object} Metric values keyed by node id, then by unit
+ */
+export function calculateNodeMetrics(model) {
+    const { households, inputs, outputs, revenue, labor } = model;
+    const scale = households / 15;
+
+    // Piles move monthly; at higher volume Stage 1 fills (and turns over) faster
+    const cycleWeeks = inputs.totalPerWeek > 0 ? BIN_CAPACITY / inputs.totalPerWeek : 0;
+    const deliveryStops = Math.round(DELIVERY_STOPS_BASE * scale);
+
+    return {
+        households: {
+            'homes': households,
+            'gal/week input': inputs.totalPerWeek
+        },
+        collection: {
+            'hr/mo': labor.collection,
+            'stops': households
+        },
+        cardboard: {
+            'hr/mo': labor.cardboard,
+            'gal/week': inputs.cardboardPerWeek
+        },
+        foodWasteProcessing: {
+            'hr/mo': sumTaskHours('foodWasteProcessing', households)
+        },
+        stage1: {
+            'weeks': cycleWeeks,
+            'gal capacity': BIN_CAPACITY
+        },
+        stage2: {
+            'weeks': cycleWeeks
+        },
+        stage3: {
+            'weeks': cycleWeeks,
+            // Gal/week the worms work through (what reaches Stage 3 after two moves)
+            'worm activity': inputs.totalPerWeek * PILE_RETENTION_PER_MOVE ** 2
+        },
+        stage4: {
+            'gal/mo': outputs.finishedCompostPerMonth,
+            // Harvests per month; each sends the worms driven down by light back to Stage 3
+            'worm return': cycleWeeks > 0 ? WEEKS_PER_MONTH / cycleWeeks : 0
+        },
+        tea: {
+            'gal/mo': outputs.wormTeaConcentrate,
+            'brew cycles': Math.ceil(outputs.wormTeaConcentrate / calculateTeaCapacity().batchGallons)
+        },
+        delivery: {
+            'hr/mo': labor.delivery,
+            'stops': deliveryStops
+        },
+        purchasers: {
+            'buyers': deliveryStops,
+            '$/mo revenue': revenue.compost + revenue.tea
+        }
+    };
+}
+
+// ============================================
+// Diagram Edge Volumes
+// ============================================
+
+/**
+ * Calculate material volume carried by each diagram edge
+ * Keys match edge ids in config.edges. Collection flows are reported
+ * per week, pile and product flows per month; galPerWeek puts every
+ * edge on a common basis for scaling stroke width and animation.
+ * @param {Object} model - Result of calculateFullModel
+ * @returns {Object} { volume, unit, galPerWeek } keyed by edge id
+ */
+export function calculateEdgeVolumes(model) {
+    const { inputs, outputs } = model;
+
+    const weekly = (volume) => ({ volume, unit: 'gal/week', galPerWeek: volume });
+    const monthly = (volume) => ({ volume, unit: 'gal/mo', galPerWeek: volume / WEEKS_PER_MONTH });
+
+    const retainedPerMove = PILE_RETENTION_PER_MOVE;
+    const givebackPerMonth = outputs.finishedCompostPerMonth - outputs.sellableCompost;
+
+    return {
+        'food-households-collection': weekly(inputs.foodWastePerWeek),
+        'food-collection-processing': weekly(inputs.foodWastePerWeek),
+        'food-processing-stage1': weekly(inputs.foodWastePerWeek),
+        'cardboard-households-collection': weekly(inputs.cardboardPerWeek),
+        'cardboard-collection-processing': weekly(inputs.cardboardPerWeek),
+        'cardboard-processing-stage1': weekly(inputs.cardboardPerWeek),
+        'compost-stage1-stage2': monthly(inputs.totalPerMonth * retainedPerMove),
+        'compost-stage2-stage3': monthly(inputs.totalPerMonth * retainedPerMove ** 2),
+        'compost-stage3-stage4': monthly(outputs.finishedCompostPerMonth),
+        'castings-stage4-tea': monthly(outputs.wormTeaConcentrate * CASTINGS_PER_TEA_GALLON),
+        'tea-tea-delivery': monthly(outputs.wormTeaConcentrate),
+        'compost-stage4-delivery': monthly(outputs.finishedCompostPerMonth),
+        'products-delivery-purchasers': monthly(outputs.sellableCompost + outputs.wormTeaConcentrate),
+        'giveback-delivery-households': monthly(givebackPerMonth)
+    };
+}
+
 // ============================================
 // Youth Labor Regulations
 // ============================================
@@ -385,6 +1061,19 @@ export const YOUTH_LABOR = {
         tractor: { minAge: 14, certification: '4-H Tractor Safety', notes: 'Over 20 PTO HP' },
         truckDriving: { minAge: 16, certification: 'Drivers license', notes: 'No CDL for small trucks' }
     },
+    // Federal hour limits for 14-15 year olds (FLSA child labor rules)
+    hourLimits: {
+        ages: { min: 14, max: 15 },
+        schoolDay: { maxHours: 3 },
+        nonSchoolDay: { maxHours: 8 },
+        schoolWeek: { maxHours: 18 },
+        nonSchoolWeek: { maxHours: 40 },
+        schoolHours: { start: '07:30', end: '15:00' }, // no work during school hours
+        timeOfDay: {
+            schoolYear: { earliest: '07:00', latest: '19:00' },
+            summer: { earliest: '07:00', latest: '21:00' } // June 1 through Labor Day
+        }
+    },
     // Parental exemption (legal, but co-op still requires training)
     parentalExemption: 'Law allows parents to let their kids operate anything on family land, but co-op still requires certification',
     // Certification info
@@ -0,0 +1,203 @@
+/**
+ * Compost Coordinator - Child Labor Compliance
+ *
+ * Checks a week of shifts against the hour limits for 14-15 year olds
+ * (YOUTH_LABOR.hourLimits) alongside the equipment rules
+ * (YOUTH_LABOR.legalMinimums):
+ * - Daily hours (school day vs non-school day)
+ * - Weekly hours (school week vs non-school week)
+ * - Time of day (7pm cutoff, 9pm June 1 through Labor Day)
+ * - No work during school hours on school days
+ * - Equipment age / certification
+ *
+ * Shifts come from crew.scheduleWeek (or logged timesheets):
+ * { workerId, name, day, start, end, equipment } with start/end in
+ * minutes after midnight.
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+import { YOUTH_LABOR } from './calculator.js';
+import { DAYS, parseTime, formatTime, normalizeWorker, checkEligibility } from './crew.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Calendar Helpers
+// ============================================
+
+function parseDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+function formatDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Labor Day (first Monday of September)
+ * @param {number} year
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLaborDay(year) {
+    const september1 = new Date(Date.UTC(year, 8, 1));
+    const offset = (8 - september1.getUTCDay()) % 7; // days until Monday
+    return formatDate(Date.UTC(year, 8, 1 + offset));
+}
+
+/**
+ * Is this date in the summer hours period (June 1 through Labor Day)?
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isSummerDate(date) {
+    const year = Number(date.slice(0, 4));
+    return date >= `${year}-06-01` && date <= getLaborDay(year);
+}
+
+/**
+ * Dates of each day in the week starting on Monday `weekStart`
+ * @param {string} weekStart - YYYY-MM-DD (a Monday)
+ * @returns {Object} { mon: 'YYYY-MM-DD', ... }
+ */
+export function getWeekDates(weekStart) {
+    const start = parseDate(weekStart);
+    return Object.fromEntries(DAYS.map((day, i) => [day, formatDate(start + i * MS_PER_DAY)]));
+}
+
+/**
+ * Default school days: weekdays outside summer
+ * @param {string} weekStart - YYYY-MM-DD (a Monday)
+ * @returns {Array<string>} Day keys
+ */
+export function getDefaultSchoolDays(weekStart) {
+    const dates = getWeekDates(weekStart);
+    return ['mon', 'tue', 'wed', 'thu', 'fri'].filter(day => !isSummerDate(dates[day]));
+}
+
+// ============================================
+// Compliance Check
+// ============================================
+
+function hours(minutes) {
+    return Number((minutes / 60).toFixed(2));
+}
+
+/**
+ * Check one week of shifts for every worker
+ * @param {Object} params
+ * @param {Array} params.workers - Workers (see crew.normalizeWorker)
+ * @param {Array} params.shifts - { workerId, name, day, start, end, equipment }
+ * @param {string} params.weekStart - Monday of the week, YYYY-MM-DD
+ * @param {Array<string>} params.schoolDays - Days school is in session
+ *        (default: weekdays outside June 1 - Labor Day)
+ * @param {Object} params.rules - Hour limits (default YOUTH_LABOR.hourLimits)
+ * @returns {Object} { weekStart, schoolWeek, schoolDays, workers: [...], compliant }
+ */
+export function checkCompliance({
+    workers,
+    shifts,
+    weekStart,
+    schoolDays = null,
+    rules = YOUTH_LABOR.hourLimits
+}) {
+    const dates = getWeekDates(weekStart);
+    const inSchool = schoolDays ?? getDefaultSchoolDays(weekStart);
+    const schoolWeek = inSchool.length > 0;
+
+    const reports = workers.map(normalizeWorker).map(worker => {
+        const own = shifts.filter(s => s.workerId === worker.id);
+        const covered = worker.age >= rules.ages.min && worker.age <= rules.ages.max;
+        const violations = [];
+
+        // Equipment rules apply at every age
+        for (const shift of own) {
+            if (!shift.equipment) continue;
+            const { eligible, reason } = checkEligibility(worker, shift.equipment);
+            if (!eligible) {
+                violations.push({ type: 'equipment', day: shift.day, message: `${label(shift)}: ${reason}` });
+            }
+        }
+
+        const minutesByDay = Object.fromEntries(DAYS.map(day => [day, 0]));
+        for (const shift of own) {
+            minutesByDay[shift.day] += shift.end - shift.start;
+        }
+        const totalMinutes = Object.values(minutesByDay).reduce((sum, m) => sum + m, 0);
+
+        if (covered) {
+            // Daily limits
+            for (const day of DAYS) {
+                const isSchoolDay = inSchool.includes(day);
+                const limit = isSchoolDay ? rules.schoolDay.maxHours : rules.nonSchoolDay.maxHours;
+                if (minutesByDay[day] > limit * 60) {
+                    violations.push({
+                        type: 'daily-hours',
+                        day,
+                        message: `${dayName(day)}: ${hours(minutesByDay[day])} hr exceeds the ${limit} hr limit on a ${isSchoolDay ? 'school' : 'non-school'} day`
+                    });
+                }
+            }
+
+            // Weekly limit
+            const weeklyLimit = schoolWeek ? rules.schoolWeek.maxHours : rules.nonSchoolWeek.maxHours;
+            if (totalMinutes > weeklyLimit * 60) {
+                violations.push({
+                    type: 'weekly-hours',
+                    day: null,
+                    message: `${hours(totalMinutes)} hr exceeds the ${weeklyLimit} hr limit for a ${schoolWeek ? 'school' : 'non-school'} week`
+                });
+            }
+
+            // Time of day and school hours
+            for (const shift of own) {
+                const window = isSummerDate(dates[shift.day]) ? rules.timeOfDay.summer : rules.timeOfDay.schoolYear;
+                if (shift.start < parseTime(window.earliest) || shift.end > parseTime(window.latest)) {
+                    violations.push({
+                        type: 'time-of-day',
+                        day: shift.day,
+                        message: `${label(shift)} is outside ${window.earliest}-${window.latest}`
+                    });
+                }
+
+                const schoolStart = parseTime(rules.schoolHours.start);
+                const schoolEnd = parseTime(rules.schoolHours.end);
+                if (inSchool.includes(shift.day) && shift.start < schoolEnd && shift.end > schoolStart) {
+                    violations.push({
+                        type: 'school-hours',
+                        day: shift.day,
+                        message: `${label(shift)} overlaps school hours (${rules.schoolHours.start}-${rules.schoolHours.end})`
+                    });
+                }
+            }
+        }
+
+        return {
+            workerId: worker.id,
+            name: worker.name,
+            age: worker.age,
+            covered,
+            minutesByDay,
+            totalMinutes,
+            violations,
+            compliant: violations.length === 0
+        };
+    });
+
+    return {
+        weekStart,
+        schoolWeek,
+        schoolDays: inSchool,
+        workers: reports,
+        compliant: reports.every(r => r.compliant)
+    };
+}
+
+function dayName(day) {
+    return day.charAt(0).toUpperCase() + day.slice(1);
+}
+
+function label(shift) {
+    return `${dayName(shift.day)} ${formatTime(shift.start)}-${formatTime(shift.end)} ${shift.name}`;
+}
@@ -303,6 +303,28 @@ export default {
 		}
 	],
 	
+	// ============================================
+	// Default Inputs (control panel starting values)
+	// ============================================
+	defaults: {
+		households: 15,
+		subscriptionPrice: 25, // $/mo per household
+		compostPrice: 20,      // $/gal
+		teaPrice: 15,          // $/gal concentrate
+		givebackPerYear: 10,   // gal per household per year
+		includeLawnService: true,
+		legalStructure: 'dba'  // or 'coop' (filing fees in calculator EXPENSES)
+	},
+	
+	// Collection route (routes.js): default depot { lat, lng } and vehicle,
+	// overridden by the depot saved on roster.html. With a depot and
+	// geocoded households, "Use roster" plans the route instead of the
+	// linear collection estimate.
+	route: {
+		depot: null,
+		vehicle: 'atvTrailer'  // or 'truck' (driver 16+)
+	},
+	
 	// ============================================
 	// Category Colors
 	// ============================================
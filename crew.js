@@ -0,0 +1,354 @@
+/**
+ * Compost Coordinator - Crew Scheduling
+ *
+ * Assigns the week's tasks to youth workers:
+ * - Workers with age, certifications and weekly availability windows
+ * - Tasks from getTaskBreakdown, tagged with the equipment they use
+ * - Eligibility from YOUTH_LABOR.legalMinimums (age + certification)
+ *   and YOUTH_LABOR.coopPolicy (4-H for all powered equipment)
+ * - Greedy assignment into availability windows, least-loaded worker first
+ * - Unfilled shifts reported with the reason
+ *
+ * Scheduling functions are pure and testable; the crew list is
+ * persisted in localStorage.
+ */
+
+import { YOUTH_LABOR, WEEKS_PER_MONTH, getTaskBreakdown } from './calculator.js';
+
+const STORAGE_KEY = 'compost-crew';
+
+export const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Weekly task categories in scheduling order (collection first)
+export const SCHEDULED_CATEGORIES = ['collection', 'foodWasteProcessing', 'cardboard', 'composting', 'tea', 'delivery'];
+
+// Equipment used per task (key in YOUTH_LABOR.legalMinimums); others are hand tools
+const TASK_EQUIPMENT = {
+    'Shred (90 gal)': 'electricShredder',
+    'Customer stops (10×30min)': 'truckDriving'
+};
+
+// Powered equipment under YOUTH_LABOR.coopPolicy (road vehicles follow licensing instead)
+const POWERED_EQUIPMENT = ['electricShredder', 'zeroTurn', 'atv', 'tractor'];
+const COOP_CERTIFICATION = '4-H Tractor Safety';
+const ADULT_AGE = 18;
+
+// Collection route vehicle → equipment rule
+const VEHICLE_EQUIPMENT = {
+    atvTrailer: 'atv',
+    truck: 'truckDriving'
+};
+
+// ============================================
+// Time Helpers
+// ============================================
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} time - e.g. "15:30"
+ * @returns {number} Minutes
+ */
+export function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time: ${time}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatTime(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = String(Math.floor(rounded / 60)).padStart(2, '0');
+    return `${hours}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse availability text, e.g. "mon 15:30-18:00, sat 08:00-12:00"
+ * @param {string} text - Comma-separated "day start-end" entries
+ * @returns {Object} Availability keyed by day
+ * @throws {Error} If an entry is malformed
+ */
+export function parseAvailability(text) {
+    const availability = {};
+    for (const entry of String(text).split(',').map(e => e.trim()).filter(Boolean)) {
+        const match = /^(\w{3})\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(entry.toLowerCase());
+        if (!match) {
+            throw new Error(`Availability "${entry}" should look like "mon 15:30-18:00"`);
+        }
+        const [, day, start, end] = match;
+        availability[day] = [...(availability[day] || []), [start, end]];
+    }
+    return availability;
+}
+
+/**
+ * Format availability back into "mon 15:30-18:00, sat 08:00-12:00"
+ * @param {Object} availability - Keyed by day
+ * @returns {string}
+ */
+export function formatAvailability(availability) {
+    return DAYS
+        .flatMap(day => (availability[day] || []).map(([start, end]) => `${day} ${start}-${end}`))
+        .join(', ');
+}
+
+// ============================================
+// Workers
+// ============================================
+
+/**
+ * Validate and normalize a worker
+ * @param {Object} data - { id, name, age, certifications, availability }
+ *        availability: { mon: [['15:30', '18:00']], sat: [['08:00', '12:00']] }
+ * @returns {Object} Normalized worker
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeWorker(data) {
+    const name = String(data?.name ?? '').trim();
+    if (name === '') {
+        throw new Error('Worker needs a name');
+    }
+
+    const age = Number(data.age);
+    if (!Number.isInteger(age) || age < 0) {
+        throw new Error(`${name}: invalid age "${data.age}"`);
+    }
+
+    const availability = {};
+    for (const [day, windows] of Object.entries(data.availability || {})) {
+        if (!DAYS.includes(day)) {
+            throw new Error(`${name}: unknown day "${day}"`);
+        }
+        availability[day] = windows.map(([start, end]) => {
+            if (parseTime(end) <= parseTime(start)) {
+                throw new Error(`${name}: ${day} window ${start}-${end} ends before it starts`);
+            }
+            return [start, end];
+        });
+    }
+
+    return {
+        id: String(data.id ?? name),
+        name,
+        age,
+        certifications: [...(data.certifications || [])],
+        availability
+    };
+}
+
+/**
+ * Can this worker use this equipment under YOUTH_LABOR rules?
+ * Co-op policy is stricter than the law: youth need 4-H certification
+ * for any powered equipment, the shredder included.
+ * @param {Object} worker - Normalized worker
+ * @param {string} equipment - Key in YOUTH_LABOR.legalMinimums
+ * @returns {Object} { eligible, reason }
+ */
+export function checkEligibility(worker, equipment) {
+    const rule = YOUTH_LABOR.legalMinimums[equipment];
+    if (!rule) {
+        throw new Error(`Unknown equipment: ${equipment}`);
+    }
+    if (worker.age < rule.minAge) {
+        return { eligible: false, reason: `${equipment} requires age ${rule.minAge}+` };
+    }
+    if (rule.certification && !worker.certifications.includes(rule.certification)) {
+        return { eligible: false, reason: `${equipment} requires ${rule.certification}` };
+    }
+    if (POWERED_EQUIPMENT.includes(equipment) && worker.age < ADULT_AGE) {
+        const { minAgeForPoweredEquipment } = YOUTH_LABOR.coopPolicy;
+        if (worker.age < minAgeForPoweredEquipment) {
+            return { eligible: false, reason: `${equipment} requires age ${minAgeForPoweredEquipment}+ (co-op policy)` };
+        }
+        if (!worker.certifications.includes(COOP_CERTIFICATION)) {
+            return { eligible: false, reason: `${equipment} requires ${COOP_CERTIFICATION} (co-op policy)` };
+        }
+    }
+    return { eligible: true, reason: null };
+}
+
+// ============================================
+// Weekly Tasks
+// ============================================
+
+/**
+ * The week's tasks (one shift each) from getTaskBreakdown
+ * @param {Object} params
+ * @param {number} params.households - Households served
+ * @param {string} params.vehicle - Collection vehicle ('atvTrailer' or 'truck')
+ * @param {Array} params.extraTasks - Additional shifts, e.g. lawn service
+ *        [{ name, category, minutes, equipment, days }]
+ * @returns {Array} [{ name, category, minutes, equipment, days }]
+ */
+export function getWeeklyTasks({ households, vehicle = 'atvTrailer', extraTasks = [] }) {
+    const tasks = [];
+
+    for (const category of SCHEDULED_CATEGORIES) {
+        for (const task of getTaskBreakdown(category, households)) {
+            const minutes = (task.hoursPerMonth * 60) / WEEKS_PER_MONTH;
+            if (minutes <= 0) continue;
+
+            let equipment = TASK_EQUIPMENT[task.name] || 'handTools';
+            if (task.name === 'Drive route') {
+                equipment = VEHICLE_EQUIPMENT[vehicle] || 'atv';
+            }
+
+            tasks.push({ name: task.name, category, minutes, equipment, days: DAYS });
+        }
+    }
+
+    for (const task of extraTasks) {
+        tasks.push({ equipment: 'handTools', days: DAYS, ...task });
+    }
+
+    return tasks;
+}
+
+// ============================================
+// Scheduling
+// ============================================
+
+/**
+ * Earliest start in a worker's availability that fits a task
+ * @returns {Object|null} { day, start } or null
+ */
+function findSlot(worker, minutes, days, booked) {
+    for (const day of days) {
+        for (const [from, to] of worker.availability[day] || []) {
+            const windowStart = parseTime(from);
+            const windowEnd = parseTime(to);
+
+            // Start after anything already booked in this window
+            const start = booked
+                .filter(b => b.day === day && b.end > windowStart && b.start < windowEnd)
+                .reduce((latest, b) => Math.max(latest, b.end), windowStart);
+
+            if (start + minutes <= windowEnd) {
+                return { day, start };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Assign the week's tasks to eligible workers
+ *
+ * Tasks with the fewest eligible workers are placed first, then longer
+ * tasks. Each task goes to the eligible worker with the fewest minutes
+ * so far who has an availability window long enough for it.
+ *
+ * @param {Object} params
+ * @param {Array} params.workers - Workers (normalized or raw)
+ * @param {Array} params.tasks - Tasks from getWeeklyTasks
+ * @returns {Object} { assignments, unfilled, minutesByWorker }
+ */
+export function scheduleWeek({ workers, tasks }) {
+    const crew = workers.map(normalizeWorker);
+    const booked = Object.fromEntries(crew.map(w => [w.id, []]));
+
+    const eligibleFor = (task) => crew.filter(w => checkEligibility(w, task.equipment).eligible);
+    const ordered = tasks
+        .map((task, index) => ({ task, index, eligible: eligibleFor(task) }))
+        .sort((a, b) => a.eligible.length - b.eligible.length || b.task.minutes - a.task.minutes || a.index - b.index);
+
+    const assignments = [];
+    const unfilled = [];
+
+    for (const { task, eligible } of ordered) {
+        if (eligible.length === 0) {
+            const reasons = [...new Set(crew.map(w => checkEligibility(w, task.equipment).reason))];
+            unfilled.push({ ...task, reason: reasons.length > 0 ? `No eligible worker: ${reasons.join('; ')}` : 'No workers registered' });
+            continue;
+        }
+
+        const candidates = [...eligible].sort((a, b) => totalMinutes(booked[a.id]) - totalMinutes(booked[b.id]));
+        let placed = false;
+
+        for (const worker of candidates) {
+            const slot = findSlot(worker, task.minutes, task.days, booked[worker.id]);
+            if (!slot) continue;
+
+            const assignment = {
+                ...task,
+                workerId: worker.id,
+                workerName: worker.name,
+                day: slot.day,
+                start: slot.start,
+                end: slot.start + task.minutes
+            };
+            booked[worker.id].push(assignment);
+            assignments.push(assignment);
+            placed = true;
+            break;
+        }
+
+        if (!placed) {
+            unfilled.push({ ...task, reason: `No eligible worker has a ${Math.round(task.minutes)}-minute opening` });
+        }
+    }
+
+    assignments.sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.start - b.start);
+
+    return {
+        assignments,
+        unfilled,
+        minutesByWorker: Object.fromEntries(crew.map(w => [w.id, totalMinutes(booked[w.id])]))
+    };
+}
+
+function totalMinutes(shifts) {
+    return shifts.reduce((sum, s) => sum + s.minutes, 0);
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get registered workers from localStorage
+ * @returns {Array} Workers
+ */
+export function loadCrew() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load crew:', e);
+        return [];
+    }
+}
+
+/**
+ * Register or update a worker (matched by id)
+ * @returns {Array} Updated crew
+ */
+export function saveWorker(worker) {
+    const normalized = normalizeWorker(worker);
+    const crew = [...loadCrew().filter(w => w.id !== normalized.id), normalized];
+    writeCrew(crew);
+    return crew;
+}
+
+/**
+ * Remove a worker by id
+ * @returns {Array} Updated crew
+ */
+export function deleteWorker(id) {
+    const crew = loadCrew().filter(w => w.id !== id);
+    writeCrew(crew);
+    return crew;
+}
+
+function writeCrew(crew) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(crew));
+    } catch (e) {
+        console.warn('Failed to save crew:', e);
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * Compost Coordinator - Delivery Planning
+ *
+ * Who gets what, when:
+ * - Compost sales and worm tea applications booked per customer
+ * - The yearly give-back (config.defaults.givebackPerYear per subscriber)
+ *   split into drops across the active season
+ * - Orders scheduled onto delivery days, up to the delivery node's
+ *   10 stops per day, only when the inventory ledger can cover them
+ *
+ * Planning functions are pure and testable; orders are persisted
+ * in localStorage.
+ */
+
+import { DEFAULT_ACTIVE_MONTHS, TEA_DILUTION_RATIO } from './calculator.js';
+import { buildLedger, TEA_SHELF_LIFE_DAYS } from './inventory.js';
+import { APPLICATION_GALLONS_PER_SQFT } from './brewing.js';
+import { DAYS } from './crew.js';
+
+const STORAGE_KEY = 'compost-deliveries';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DELIVERY_POLICY = {
+    weekday: 'sat',
+    stopsPerDay: 10,     // delivery node: 10 stops × 30 min
+    minutesPerStop: 30,
+    givebackDrops: 3     // give-back split into drops spaced across the season
+};
+
+// inventoryType: ledger transaction recorded when the order is delivered
+export const ORDER_TYPES = {
+    compost: { name: 'Compost sale', product: 'compost', inventoryType: 'sale' },
+    tea: { name: 'Tea application', product: 'tea', inventoryType: 'sale' },
+    giveback: { name: 'Give-back', product: 'compost', inventoryType: 'giveback' }
+};
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate and normalize a delivery order
+ * @param {Object} data - { id, type, customer, householdId, date, gallons, areaSqFt, status, deliveredOn, notes }
+ *        date: earliest delivery date; tea gallons (concentrate) default from areaSqFt
+ * @returns {Object} Normalized order (id, householdId and areaSqFt only if given)
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeOrder(data) {
+    const type = ORDER_TYPES[data?.type];
+    if (!type) {
+        throw new Error(`Unknown order type: ${data?.type}`);
+    }
+
+    const customer = String(data.customer ?? '').trim();
+    if (customer === '') {
+        throw new Error('Order needs a customer');
+    }
+
+    const date = String(data.date ?? '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error(`Date must be YYYY-MM-DD: ${data.date}`);
+    }
+
+    const areaSqFt = data.areaSqFt === undefined || data.areaSqFt === null || data.areaSqFt === ''
+        ? null
+        : Number(data.areaSqFt);
+    if (areaSqFt !== null && (!Number.isFinite(areaSqFt) || areaSqFt <= 0)) {
+        throw new Error(`${customer}: invalid area "${data.areaSqFt}"`);
+    }
+
+    let gallons = data.gallons === undefined || data.gallons === '' ? null : Number(data.gallons);
+    if (gallons === null && data.type === 'tea' && areaSqFt !== null) {
+        gallons = round(areaSqFt * APPLICATION_GALLONS_PER_SQFT / TEA_DILUTION_RATIO);
+    }
+    if (!Number.isFinite(gallons) || gallons <= 0) {
+        throw new Error(`${customer}: gallons must be positive`);
+    }
+
+    const status = data.status || 'open';
+    if (status !== 'open' && status !== 'delivered') {
+        throw new Error(`Unknown order status: ${status}`);
+    }
+
+    const order = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        order.id = String(data.id);
+    }
+
+    Object.assign(order, { type: data.type, customer });
+    if (data.householdId !== undefined && data.householdId !== null && data.householdId !== '') {
+        order.householdId = Number(data.householdId);
+    }
+    Object.assign(order, { date, gallons });
+    if (areaSqFt !== null) {
+        order.areaSqFt = areaSqFt;
+    }
+
+    return Object.assign(order, {
+        status,
+        deliveredOn: status === 'delivered' ? String(data.deliveredOn || date) : null,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+function round(gallons) {
+    return Math.round(gallons * 10) / 10;
+}
+
+// ============================================
+// Delivery Days
+// ============================================
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Delivery days in the active season between two dates
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {string} params.weekday - Key in DAYS
+ * @param {Array<number>} params.activeMonths - 0-indexed months with deliveries
+ * @returns {Array<string>} Dates, oldest first
+ */
+export function deliveryDays({ from, to, weekday = DELIVERY_POLICY.weekday, activeMonths = DEFAULT_ACTIVE_MONTHS }) {
+    const dayIndex = DAYS.indexOf(weekday);
+    if (dayIndex < 0) {
+        throw new Error(`Unknown weekday: ${weekday}`);
+    }
+
+    const days = [];
+    // DAYS starts on Monday; getUTCDay() starts on Sunday
+    const offset = (dayIndex - (new Date(from).getUTCDay() + 6) % 7 + 7) % 7;
+    for (let date = addDays(from, offset); date <= to; date = addDays(date, 7)) {
+        if (activeMonths.includes(Number(date.slice(5, 7)) - 1)) {
+            days.push(date);
+        }
+    }
+    return days;
+}
+
+// ============================================
+// Give-Back
+// ============================================
+
+/**
+ * Give-back drops owed to each subscriber for a season
+ *
+ * Each household is owed `givebackPerYear`, prorated by the active months
+ * left after it joined, in `drops` deliveries spaced across the season.
+ * Drops already delivered are skipped and what is still owed is split
+ * across the rest.
+ *
+ * @param {Object} params
+ * @param {Array} params.households - Roster households
+ * @param {number} params.year - Season year
+ * @param {Array} params.orders - Saved orders (delivered give-back is subtracted)
+ * @param {number} params.givebackPerYear - Gallons per household per year
+ * @param {Array<number>} params.activeMonths - 0-indexed months with deliveries
+ * @param {number} params.drops - Deliveries per season
+ * @returns {Array} Open give-back orders, one per remaining drop
+ */
+export function planGiveback({
+    households,
+    year,
+    orders = [],
+    givebackPerYear,
+    activeMonths = DEFAULT_ACTIVE_MONTHS,
+    drops = DELIVERY_POLICY.givebackDrops
+}) {
+    const months = [...activeMonths].sort((a, b) => a - b);
+    const dropMonths = [...new Set(Array.from({ length: drops }, (_, i) => months[Math.floor(i * months.length / drops)]))];
+    const planned = [];
+
+    for (const household of households) {
+        const [startYear, startMonth] = household.startDate.split('-').map(Number);
+        if (startYear > year) continue;
+        const firstMonth = startYear < year ? 0 : startMonth - 1;
+
+        const seasonMonths = months.filter(m => m >= firstMonth);
+        if (seasonMonths.length === 0) continue;
+        const owed = givebackPerYear * seasonMonths.length / months.length;
+
+        // A household joining after the last drop still gets one in its first month
+        let householdDrops = dropMonths.filter(m => m >= firstMonth);
+        if (householdDrops.length === 0) {
+            householdDrops = [seasonMonths[0]];
+        }
+
+        const delivered = orders.filter(o => o.type === 'giveback' && o.status === 'delivered' &&
+            o.householdId === household.id && o.date.startsWith(`${year}-`));
+        const deliveredIds = new Set(delivered.map(o => o.id));
+        const remaining = owed - delivered.reduce((sum, o) => sum + o.gallons, 0);
+        const open = householdDrops
+            .map(month => ({ month, id: `giveback-${household.id}-${year}-${pad(month + 1)}` }))
+            .filter(drop => !deliveredIds.has(drop.id));
+        if (remaining <= 0 || open.length === 0) continue;
+
+        for (const drop of open) {
+            const monthStart = `${year}-${pad(drop.month + 1)}-01`;
+            planned.push({
+                id: drop.id,
+                type: 'giveback',
+                customer: household.address,
+                householdId: household.id,
+                date: household.startDate > monthStart ? household.startDate : monthStart,
+                gallons: round(remaining / open.length),
+                status: 'open',
+                deliveredOn: null,
+                notes: ''
+            });
+        }
+    }
+
+    return planned;
+}
+
+// ============================================
+// Scheduling
+// ============================================
+
+// Paid orders go out before give-back on the same day
+const PRIORITY = { compost: 0, tea: 0, giveback: 1 };
+
+function stopKey(order) {
+    return order.householdId !== undefined ? `household-${order.householdId}` : order.customer.toLowerCase();
+}
+
+/**
+ * Schedule open orders onto delivery days
+ *
+ * Orders go out on the first delivery day on or after their date that
+ * has a free stop and enough stock. Stock comes from the inventory
+ * ledger (including harvests and brews recorded for later dates) less
+ * what earlier stops on the plan take; tea past its shelf life doesn't
+ * count. Several orders for one customer on a day share a stop.
+ *
+ * @param {Object} params
+ * @param {Array} params.orders - Normalized orders (delivered ones are skipped)
+ * @param {Array<string>} params.days - Delivery dates (see deliveryDays)
+ * @param {Array} params.transactions - Inventory ledger transactions
+ * @param {number} params.stopsPerDay - Stops per delivery day
+ * @param {number} params.minutesPerStop - For the day's time estimate
+ * @returns {Object} { days: [{ date, stops, gallons, minutes }], unscheduled: [{ order, reason }] }
+ */
+export function scheduleDeliveries({
+    orders,
+    days,
+    transactions = [],
+    stopsPerDay = DELIVERY_POLICY.stopsPerDay,
+    minutesPerStop = DELIVERY_POLICY.minutesPerStop,
+    teaShelfLifeDays = TEA_SHELF_LIFE_DAYS
+}) {
+    const queue = orders
+        .map((order, index) => ({ order, index }))
+        .filter(({ order }) => order.status !== 'delivered')
+        .sort((a, b) => a.order.date.localeCompare(b.order.date) ||
+            PRIORITY[a.order.type] - PRIORITY[b.order.type] ||
+            a.index - b.index)
+        .map(({ order }) => ({ order, reason: 'No delivery day on or after its date' }));
+
+    const planned = [];
+    const scheduled = [];
+
+    for (const date of days) {
+        const stops = new Map();
+        const recorded = transactions.filter(t => t.date <= date);
+
+        for (const entry of queue.filter(e => !e.done && e.order.date <= date)) {
+            const { order } = entry;
+            const key = stopKey(order);
+            if (!stops.has(key) && stops.size >= stopsPerDay) {
+                entry.reason = `All ${stopsPerDay} stops taken`;
+                continue;
+            }
+
+            const { product, inventoryType } = ORDER_TYPES[order.type];
+            const available = buildLedger([...recorded, ...planned], { asOf: date, teaShelfLifeDays }).balances[product];
+            if (available < order.gallons - 1e-9) {
+                entry.reason = `Not enough ${product === 'tea' ? 'tea concentrate' : 'compost'} on hand`;
+                continue;
+            }
+
+            planned.push({ date, type: inventoryType, product, gallons: order.gallons });
+            if (!stops.has(key)) {
+                stops.set(key, { customer: order.customer, householdId: order.householdId, orders: [] });
+            }
+            stops.get(key).orders.push(order);
+            entry.done = true;
+        }
+
+        if (stops.size > 0) {
+            const dayStops = [...stops.values()].map(stop => ({ ...stop, gallons: sumGallons(stop.orders) }));
+            scheduled.push({
+                date,
+                stops: dayStops,
+                gallons: sumGallons(dayStops.flatMap(stop => stop.orders)),
+                minutes: dayStops.length * minutesPerStop
+            });
+        }
+    }
+
+    return {
+        days: scheduled,
+        unscheduled: queue.filter(e => !e.done).map(({ order, reason }) => ({ order, reason }))
+    };
+}
+
+function sumGallons(orders) {
+    const gallons = { compost: 0, tea: 0 };
+    for (const order of orders) {
+        gallons[ORDER_TYPES[order.type].product] += order.gallons;
+    }
+    return gallons;
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get orders from localStorage
+ * @returns {Array} Orders, newest first
+ */
+export function loadOrders() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load delivery orders:', e);
+        return [];
+    }
+}
+
+/**
+ * Book or update an order
+ * @returns {Object} The saved order (with id)
+ */
+export function saveOrder(order) {
+    const normalized = normalizeOrder(order);
+    normalized.id = normalized.id ?? `${normalized.type}-${Date.now()}`;
+    const orders = [normalized, ...loadOrders().filter(o => o.id !== normalized.id)]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    writeOrders(orders);
+    return normalized;
+}
+
+/**
+ * Delete an order by id
+ * @returns {Array} Updated orders
+ */
+export function deleteOrder(id) {
+    const orders = loadOrders().filter(o => o.id !== id);
+    writeOrders(orders);
+    return orders;
+}
+
+function writeOrders(orders) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    } catch (e) {
+        console.warn('Failed to save delivery orders:', e);
+    }
+}
@@ -5,9 +5,15 @@
  */
 
 import config from './config.js';
+import { calculateNodeMetrics, calculateEdgeVolumes } from './calculator.js';
 
 const STORAGE_KEY = 'compost-positions';
 
+// Edge stroke width (px) and flow animation speed (s per dash cycle)
+const EDGE_WIDTH = { min: 1.5, max: 8 };
+const EDGE_DURATION = { slow: 2.5, fast: 0.4 };
+const EDGE_LABEL_SPACING = 12;
+
 // ============================================
 // Position Management (localStorage)
 // ============================================
@@ -68,14 +74,17 @@ window.exportPositions = exportPositions;
 
 /**
  * Render all nodes as HTML divs
+ * @param {Object} model - Result of calculateFullModel
  */
-export function renderNodes() {
+export function renderNodes(model) {
     const nodesLayer = document.getElementById('nodes-layer');
     const container = document.querySelector('.diagram-container');
     const rect = container.getBoundingClientRect();
 
     nodesLayer.innerHTML = '';
 
+    const nodeMetrics = calculateNodeMetrics(model);
+
     Object.values(config.nodes).forEach(node => {
         const position = getNodePosition(node.id);
 
@@ -97,37 +106,43 @@ export function renderNodes() {
         label.textContent = node.label;
         nodeEl.appendChild(label);
 
-        // Metric (static values)
-        const metric = getNodeMetric(node.id);
-        if (metric) {
+        // Metrics (computed from model)
+        getNodeMetrics(node, nodeMetrics).forEach(metric => {
             const metricEl = document.createElement('div');
             metricEl.classList.add('node-metric');
             metricEl.textContent = metric;
             nodeEl.appendChild(metricEl);
-        }
+        });
 
         nodesLayer.appendChild(nodeEl);
     });
 }
 
 /**
- * Get static metric for a node (hard-coded values)
+ * Get formatted metrics for a node, in the order listed in config
+ * @param {Object} node - Node definition from config
+ * @param {Object} nodeMetrics - Result of calculateNodeMetrics
+ * @returns {Array<string>} Formatted metric strings
  */
-function getNodeMetric(nodeId) {
-    const metrics = {
-        households: '15 homes',
-        collection: '16 hr/mo',
-        cardboard: '10 hr/mo',
-        foodWasteProcessing: '3 hr/mo',
-        stage1: '3-4 weeks',
-        stage2: '3-4 weeks',
-        stage3: '3-4 weeks',
-        stage4: '200 gal/mo',
-        tea: '20 gal/mo',
-        delivery: '6 hr/mo',
-        purchasers: '$4,375/mo'
-    };
-    return metrics[nodeId] || null;
+export function getNodeMetrics(node, nodeMetrics) {
+    const values = nodeMetrics[node.id] || {};
+    return node.metrics
+        .filter(unit => values[unit] !== undefined)
+        .map(unit => formatMetric(values[unit], unit));
+}
+
+/**
+ * Format a metric value with its unit ('$/mo revenue' → '$1,234/mo revenue')
+ */
+export function formatMetric(value, unit) {
+    const rounded = Math.abs(value) < 10 && !Number.isInteger(value)
+        ? value.toFixed(1)
+        : Math.round(value).toLocaleString();
+
+    if (unit.startsWith('$')) {
+        return `$${rounded}${unit.slice(1)}`;
+    }
+    return `${rounded} ${unit}`;
 }
 
 /**
@@ -198,8 +213,10 @@ function generateBezierPath(start, end, curvature = 0.3) {
 
 /**
  * Render all edges as SVG paths
+ * Stroke width and animation speed are proportional to material volume
+ * @param {Object} model - Result of calculateFullModel
  */
-export function renderEdges() {
+export function renderEdges(model) {
     const svg = document.getElementById('edges-layer');
     const container = document.querySelector('.diagram-container');
     const rect = container.getBoundingClientRect();
@@ -211,6 +228,12 @@ export function renderEdges() {
     const nodeWidth = 120;
     const nodeHeight = 60;
 
+    const volumes = calculateEdgeVolumes(model);
+    const maxGalPerWeek = Math.max(...Object.values(volumes).map(v => v.galPerWeek));
+
+    // Edges sharing the same endpoints stack their labels
+    const labelCounts = {};
+
     config.edges.forEach(edge => {
         const fromNode = config.nodes[edge.from];
         const toNode = config.nodes[edge.to];
@@ -226,25 +249,47 @@ export function renderEdges() {
         const start = getEdgeConnectionPoint(fromPos, toPos, nodeWidth, nodeHeight);
         const end = getEdgeConnectionPoint(toPos, fromPos, nodeWidth, nodeHeight);
 
+        const volume = volumes[edge.id];
+        const share = volume && maxGalPerWeek > 0 ? volume.galPerWeek / maxGalPerWeek : null;
+
         // Create path
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.classList.add('edge', 'animated');
+        path.classList.add('edge');
         path.setAttribute('id', `edge-${edge.id}`);
         path.setAttribute('d', generateBezierPath(start, end, config.layout.edgeCurve));
         path.setAttribute('stroke', edge.color);
+
+        if (share === null) {
+            // No modeled volume (e.g. worm migration): default styling
+            path.classList.add('animated');
+        } else if (share > 0) {
+            path.classList.add('animated');
+            path.style.strokeWidth = EDGE_WIDTH.min + (EDGE_WIDTH.max - EDGE_WIDTH.min) * share;
+            path.style.animationDuration = `${EDGE_DURATION.slow - (EDGE_DURATION.slow - EDGE_DURATION.fast) * share}s`;
+        } else {
+            path.classList.add('empty');
+        }
         svg.appendChild(path);
 
-        // Add label if present
-        if (edge.label) {
+        // Label: edge name and/or volume
+        const labelParts = [];
+        if (edge.label) labelParts.push(edge.label);
+        if (volume) labelParts.push(formatMetric(volume.volume, volume.unit));
+
+        if (labelParts.length > 0) {
+            const pairKey = [edge.from, edge.to].sort().join('|');
+            const stackIndex = labelCounts[pairKey] || 0;
+            labelCounts[pairKey] = stackIndex + 1;
+
             const midX = (start.x + end.x) / 2;
-            const midY = (start.y + end.y) / 2 - 10;
+            const midY = (start.y + end.y) / 2 - 10 - stackIndex * EDGE_LABEL_SPACING;
 
             const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
             label.classList.add('edge-label');
             label.setAttribute('x', midX);
             label.setAttribute('y', midY);
             label.setAttribute('text-anchor', 'middle');
-            label.textContent = edge.label;
+            label.textContent = labelParts.join(' · ');
             svg.appendChild(label);
         }
     });
@@ -256,8 +301,9 @@ export function renderEdges() {
 
 /**
  * Render complete diagram (nodes + edges)
+ * @param {Object} model - Result of calculateFullModel
  */
-export function renderDiagram() {
-    renderNodes();
-    renderEdges();
+export function renderDiagram(model) {
+    renderNodes(model);
+    renderEdges(model);
 }
@@ -0,0 +1,191 @@
+/**
+ * Compost Coordinator - Feedstock Mix Calculator
+ *
+ * Carbon-to-nitrogen and moisture balance for Stage 1 loads:
+ * - Per-material C:N, nitrogen, moisture and bulk density
+ * - Blended C:N and moisture of a mix (by gallons)
+ * - Warnings outside the 25-35:1 C:N window
+ * - Gallons of browns (cardboard, leaves) to add or hold back
+ *
+ * Blending uses dry-mass weighting of carbon and nitrogen
+ * (On-Farm Composting Handbook method), not volume ratios.
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+import { calculateInputVolumes } from './calculator.js';
+
+// ============================================
+// Material Properties
+// ============================================
+
+// nitrogen: % of dry mass; moisture: fraction of wet mass; bulkDensity: lb per gallon (as collected)
+export const FEEDSTOCKS = {
+    cardboard: { name: 'Shredded cardboard', type: 'brown', cn: 350, nitrogen: 0.1, moisture: 0.08, bulkDensity: 0.6 },
+    leaves: { name: 'Leaves', type: 'brown', cn: 60, nitrogen: 0.9, moisture: 0.38, bulkDensity: 1.5 },
+    food: { name: 'Food waste', type: 'green', cn: 15, nitrogen: 2.5, moisture: 0.8, bulkDensity: 3.5 },
+    grass: { name: 'Grass clippings', type: 'green', cn: 17, nitrogen: 3.0, moisture: 0.82, bulkDensity: 2 }
+};
+
+export const CN_TARGET = { min: 25, max: 35, ideal: 30 };
+export const MOISTURE_TARGET = { min: 0.4, max: 0.65 };
+
+// ============================================
+// Per-Gallon Composition
+// ============================================
+
+/**
+ * Pounds of water, carbon and nitrogen in one gallon of a material
+ * @param {string} material - Key in FEEDSTOCKS
+ * @returns {Object} { wet, water, carbon, nitrogen } in lb per gallon
+ */
+export function getMaterialComposition(material) {
+    const props = FEEDSTOCKS[material];
+    if (!props) {
+        throw new Error(`Unknown feedstock: ${material}`);
+    }
+
+    const wet = props.bulkDensity;
+    const dry = wet * (1 - props.moisture);
+    const nitrogen = dry * (props.nitrogen / 100);
+
+    return {
+        wet,
+        water: wet - dry,
+        carbon: nitrogen * props.cn,
+        nitrogen
+    };
+}
+
+// ============================================
+// Mix Analysis
+// ============================================
+
+/**
+ * Calculate blended C:N ratio and moisture of a mix
+ * @param {Object} mix - Gallons per material, e.g. { cardboard: 90, food: 30 }
+ * @returns {Object} { totals, cnRatio, moisture }
+ */
+export function calculateMixBalance(mix) {
+    const totals = { gallons: 0, wet: 0, water: 0, carbon: 0, nitrogen: 0 };
+
+    for (const [material, gallons] of Object.entries(mix)) {
+        if (!gallons) continue;
+        const comp = getMaterialComposition(material);
+        totals.gallons += gallons;
+        totals.wet += comp.wet * gallons;
+        totals.water += comp.water * gallons;
+        totals.carbon += comp.carbon * gallons;
+        totals.nitrogen += comp.nitrogen * gallons;
+    }
+
+    return {
+        totals,
+        cnRatio: totals.nitrogen > 0 ? totals.carbon / totals.nitrogen : 0,
+        moisture: totals.wet > 0 ? totals.water / totals.wet : 0
+    };
+}
+
+/**
+ * Gallons of a brown material to add (positive) or hold back (negative)
+ * to bring the mix to the target C:N ratio
+ * @param {Object} mix - Gallons per material
+ * @param {string} material - Brown material to adjust
+ * @param {number} target - Target C:N ratio
+ * @returns {number} Gallon change (0 if this material cannot reach the target)
+ */
+export function calculateBrownsAdjustment(mix, material, target = CN_TARGET.ideal) {
+    const { totals } = calculateMixBalance(mix);
+    const comp = getMaterialComposition(material);
+
+    // Solve (C + x·c) / (N + x·n) = target for x
+    const denominator = comp.carbon - target * comp.nitrogen;
+    if (denominator <= 0) return 0;
+
+    const gallons = (target * totals.nitrogen - totals.carbon) / denominator;
+
+    // Can't hold back more than is in the mix
+    return Math.max(gallons, -(mix[material] || 0));
+}
+
+/**
+ * Analyze a mix: blended values, warnings and browns suggestions
+ * @param {Object} mix - Gallons per material
+ * @returns {Object} { cnRatio, moisture, totals, warnings, suggestions }
+ */
+export function analyzeMix(mix) {
+    const balance = calculateMixBalance(mix);
+    const warnings = [];
+    const suggestions = [];
+
+    const hasNitrogen = balance.totals.nitrogen > 0;
+    const cnHigh = hasNitrogen && balance.cnRatio > CN_TARGET.max;
+    const cnLow = hasNitrogen && balance.cnRatio < CN_TARGET.min;
+
+    if (cnHigh) {
+        warnings.push({
+            type: 'cn-high',
+            message: `C:N ${balance.cnRatio.toFixed(0)}:1 is above ${CN_TARGET.max}:1 - pile will be slow to heat`
+        });
+    } else if (cnLow) {
+        warnings.push({
+            type: 'cn-low',
+            message: `C:N ${balance.cnRatio.toFixed(0)}:1 is below ${CN_TARGET.min}:1 - expect ammonia odor and nitrogen loss`
+        });
+    }
+
+    if (balance.totals.wet > 0 && balance.moisture > MOISTURE_TARGET.max) {
+        warnings.push({
+            type: 'moisture-high',
+            message: `Moisture ${(balance.moisture * 100).toFixed(0)}% is above ${Math.round(MOISTURE_TARGET.max * 100)}% - risk of anaerobic pile`
+        });
+    } else if (balance.totals.wet > 0 && balance.moisture < MOISTURE_TARGET.min) {
+        warnings.push({
+            type: 'moisture-low',
+            message: `Moisture ${(balance.moisture * 100).toFixed(0)}% is below ${Math.round(MOISTURE_TARGET.min * 100)}% - add water when loading`
+        });
+    }
+
+    if (cnHigh || cnLow) {
+        for (const [material, props] of Object.entries(FEEDSTOCKS)) {
+            if (props.type !== 'brown') continue;
+            const gallons = calculateBrownsAdjustment(mix, material);
+            if (gallons === 0) continue;
+
+            const resulting = calculateMixBalance({ ...mix, [material]: (mix[material] || 0) + gallons });
+            suggestions.push({
+                material,
+                action: gallons > 0 ? 'add' : 'hold back',
+                gallons: Math.abs(gallons),
+                resultingCnRatio: resulting.cnRatio
+            });
+        }
+    }
+
+    return {
+        ...balance,
+        warnings,
+        suggestions
+    };
+}
+
+/**
+ * Analyze one week's Stage 1 load from household collection
+ * @param {number|Object} households - Household count or housing mix
+ * @param {Object} extras - Additional gallons (e.g. { leaves: 40 })
+ * @param {number} month - Optional 0-indexed month for seasonal yard waste
+ * @returns {Object} Result of analyzeMix
+ */
+export function analyzeWeeklyLoad(households, extras = {}, month = null) {
+    const inputs = calculateInputVolumes(households, month);
+    const mix = {
+        cardboard: inputs.cardboardPerWeek,
+        food: inputs.foodWastePerWeek,
+        grass: inputs.grassPerWeek,
+        leaves: inputs.leavesPerWeek
+    };
+    for (const [material, gallons] of Object.entries(extras)) {
+        mix[material] = (mix[material] || 0) + gallons;
+    }
+    return analyzeMix(mix);
+}
@@ -0,0 +1,302 @@
+/**
+ * Compost Coordinator - Governance Phases
+ *
+ * Tracks the co-op through the phases in GOVERNANCE.md:
+ * - Phase 1 → 2: 3+ youth workers active for 6+ months
+ * - Phase 2 → 3: $10k/year revenue or 5+ active workers
+ * - Member votes on pricing, equipment over $500 and bylaws
+ *
+ * Workers come from the crew list (crew.js); activity and tenure come
+ * from timesheet entries (timesheets.js) unless a worker has a startDate.
+ *
+ * Evaluation functions are pure and testable; the adopted phase,
+ * revenue history and decisions are persisted in localStorage.
+ */
+
+const STORAGE_KEY = 'compost-governance';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const PHASES = {
+    1: { name: 'Founder-Controlled', description: 'Founding operator decides; youth are paid members' },
+    2: { name: 'Advisory Board', description: 'Operator + 2-3 youth representatives; operator decides' },
+    3: { name: 'Democratic Co-op', description: '1 member = 1 vote on major decisions' }
+};
+
+// Transition triggers into each phase (GOVERNANCE.md)
+export const TRANSITIONS = {
+    2: { youthWorkers: 3, tenureMonths: 6 },
+    3: { annualRevenue: 10000, activeWorkers: 5 }
+};
+
+// A worker is active with time logged in the last 30 days
+export const ACTIVE_WINDOW_DAYS = 30;
+export const YOUTH_MAX_AGE = 17;
+
+// Decisions requiring a member vote (Phase 3; advisory before then)
+export const DECISION_TYPES = {
+    pricing: { name: 'Pricing change' },
+    equipment: { name: 'Equipment purchase', minAmount: 500 },
+    bylaws: { name: 'Bylaw amendment' }
+};
+
+export const VOTE_CHOICES = ['yes', 'no', 'abstain'];
+
+// ============================================
+// Date Helpers
+// ============================================
+
+function daysBetween(from, to) {
+    return (Date.parse(to) - Date.parse(from)) / MS_PER_DAY;
+}
+
+/**
+ * Whole calendar months from one date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+export function monthsBetween(from, to) {
+    const [y1, m1, d1] = from.split('-').map(Number);
+    const [y2, m2, d2] = to.split('-').map(Number);
+    return (y2 - y1) * 12 + (m2 - m1) - (d2 < d1 ? 1 : 0);
+}
+
+// ============================================
+// Phase Triggers
+// ============================================
+
+/**
+ * Activity and tenure for each worker as of a date
+ * @param {Array} workers - Crew workers { id, name, age, startDate? }
+ * @param {Array} entries - Timesheet entries
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {Array} [{ id, name, age, youth, firstDate, lastDate, active, tenureMonths }]
+ */
+export function summarizeWorkers(workers, entries, asOf) {
+    return workers.map(worker => {
+        const dates = entries
+            .filter(e => e.workerId === worker.id && e.date <= asOf)
+            .map(e => e.date)
+            .sort();
+        const firstDate = worker.startDate ?? dates[0] ?? null;
+        const lastDate = dates[dates.length - 1] ?? null;
+        const active = lastDate !== null && daysBetween(lastDate, asOf) <= ACTIVE_WINDOW_DAYS;
+
+        return {
+            id: worker.id,
+            name: worker.name,
+            age: worker.age,
+            youth: worker.age <= YOUTH_MAX_AGE,
+            firstDate,
+            lastDate,
+            active,
+            tenureMonths: active && firstDate ? Math.max(monthsBetween(firstDate, asOf), 0) : 0
+        };
+    });
+}
+
+/**
+ * Revenue over the 12 months ending with the month of `asOf`
+ * @param {Array} revenueHistory - [{ month: 'YYYY-MM', amount }]
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {number}
+ */
+export function trailingYearRevenue(revenueHistory, asOf) {
+    const [year, month] = asOf.split('-').map(Number);
+    const last = asOf.slice(0, 7);
+    const start = `${month === 12 ? year : year - 1}-${String(month % 12 + 1).padStart(2, '0')}`;
+
+    return revenueHistory
+        .filter(r => r.month >= start && r.month <= last)
+        .reduce((sum, r) => sum + r.amount, 0);
+}
+
+function trigger(label, current, target) {
+    return { label, current, target, progress: Math.min(current / target, 1), met: current >= target };
+}
+
+/**
+ * Evaluate the triggers for the next phase
+ * @param {Object} params
+ * @param {number} params.phase - Adopted phase (1-3)
+ * @param {Array} params.workers - Crew workers
+ * @param {Array} params.entries - Timesheet entries
+ * @param {Array} params.revenueHistory - [{ month: 'YYYY-MM', amount }]
+ * @param {string} params.asOf - YYYY-MM-DD
+ * @returns {Object} { phase, workers, revenue, next: { phase, triggers, requires, progress, ready } | null }
+ */
+export function evaluateGovernance({ phase = 1, workers, entries, revenueHistory = [], asOf }) {
+    if (!PHASES[phase]) {
+        throw new Error(`Unknown governance phase: ${phase}`);
+    }
+
+    const summary = summarizeWorkers(workers, entries, asOf);
+    const revenue = trailingYearRevenue(revenueHistory, asOf);
+    const nextPhase = phase + 1;
+    let next = null;
+
+    if (nextPhase === 2) {
+        const rule = TRANSITIONS[2];
+        const qualified = summary.filter(w => w.youth && w.active && w.tenureMonths >= rule.tenureMonths);
+        const triggers = [trigger(`Youth workers active ${rule.tenureMonths}+ months`, qualified.length, rule.youthWorkers)];
+        next = { phase: 2, triggers, requires: 'all' };
+    } else if (nextPhase === 3) {
+        const rule = TRANSITIONS[3];
+        const triggers = [
+            trigger('Revenue, last 12 months', revenue, rule.annualRevenue),
+            trigger('Active workers', summary.filter(w => w.active).length, rule.activeWorkers)
+        ];
+        next = { phase: 3, triggers, requires: 'any' };
+    }
+
+    if (next) {
+        const progress = next.triggers.map(t => t.progress);
+        next.progress = next.requires === 'all' ? Math.min(...progress) : Math.max(...progress);
+        next.ready = next.requires === 'all' ? next.triggers.every(t => t.met) : next.triggers.some(t => t.met);
+    }
+
+    return { phase, workers: summary, revenue, next };
+}
+
+// ============================================
+// Member Votes
+// ============================================
+
+/**
+ * Validate and normalize a decision and its ballots
+ * @param {Object} data - { id, date, type, title, amount, ballots: { [workerId]: 'yes'|'no'|'abstain' } }
+ * @returns {Object} Normalized decision (id only if one was given)
+ * @throws {Error} If a field is invalid or the decision doesn't need a vote
+ */
+export function normalizeDecision(data) {
+    const type = DECISION_TYPES[data?.type];
+    if (!type) {
+        throw new Error(`Unknown decision type: ${data?.type}`);
+    }
+
+    const title = String(data.title ?? '').trim();
+    if (title === '') {
+        throw new Error('Decision needs a title');
+    }
+
+    const date = String(data.date ?? '').trim();
+    if (!DATE_PATTERN.test(date)) {
+        throw new Error(`Date must be YYYY-MM-DD: ${data.date}`);
+    }
+
+    const amount = data.amount === undefined || data.amount === '' ? null : Number(data.amount);
+    if (type.minAmount !== undefined && !(amount > type.minAmount)) {
+        throw new Error(`${type.name} of $${amount ?? 0} is under $${type.minAmount} - the operator decides without a vote`);
+    }
+
+    const ballots = {};
+    for (const [workerId, choice] of Object.entries(data.ballots || {})) {
+        if (!VOTE_CHOICES.includes(choice)) {
+            throw new Error(`${workerId}: vote must be yes, no or abstain`);
+        }
+        ballots[workerId] = choice;
+    }
+
+    const decision = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        decision.id = String(data.id);
+    }
+
+    return Object.assign(decision, { date, type: data.type, title, amount, ballots });
+}
+
+/**
+ * Count a decision's ballots (1 member = 1 vote, majority of votes cast)
+ * @param {Object} decision - Normalized decision
+ * @param {number} phase - Phase when the vote was held; binding in Phase 3
+ * @returns {Object} { yes, no, abstain, passed, binding }
+ */
+export function tallyVotes(decision, phase) {
+    const tally = { yes: 0, no: 0, abstain: 0 };
+    for (const choice of Object.values(decision.ballots)) {
+        tally[choice]++;
+    }
+    return { ...tally, passed: tally.yes > tally.no, binding: phase >= 3 };
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get governance records from localStorage
+ * @returns {Object} { phase, revenueHistory, decisions }
+ */
+export function loadGovernance() {
+    const empty = { phase: 1, revenueHistory: [], decisions: [] };
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? { ...empty, ...JSON.parse(saved) } : empty;
+    } catch (e) {
+        console.warn('Failed to load governance records:', e);
+        return empty;
+    }
+}
+
+/**
+ * Record the adopted phase
+ * @returns {Object} Updated records
+ */
+export function savePhase(phase) {
+    if (!PHASES[phase]) {
+        throw new Error(`Unknown governance phase: ${phase}`);
+    }
+    return writeGovernance({ ...loadGovernance(), phase });
+}
+
+/**
+ * Record a month's revenue (replaces an existing entry for that month)
+ * @returns {Object} Updated records
+ */
+export function saveRevenue(month, amount) {
+    if (!MONTH_PATTERN.test(month)) {
+        throw new Error(`Month must be YYYY-MM: ${month}`);
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid revenue: ${amount}`);
+    }
+    const records = loadGovernance();
+    const revenueHistory = [...records.revenueHistory.filter(r => r.month !== month), { month, amount: value }]
+        .sort((a, b) => a.month.localeCompare(b.month));
+    return writeGovernance({ ...records, revenueHistory });
+}
+
+/**
+ * Record a decision and its votes, with the phase it was held in
+ * @returns {Object} Updated records
+ */
+export function saveDecision(decision) {
+    const records = loadGovernance();
+    const normalized = normalizeDecision(decision);
+    normalized.id = normalized.id ?? `${normalized.type}-${Date.now()}`;
+    normalized.phase = decision.phase ?? records.phase;
+    const decisions = [normalized, ...records.decisions.filter(d => d.id !== normalized.id)]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    return writeGovernance({ ...records, decisions });
+}
+
+/**
+ * Delete a decision by id
+ * @returns {Object} Updated records
+ */
+export function deleteDecision(id) {
+    const records = loadGovernance();
+    return writeGovernance({ ...records, decisions: records.decisions.filter(d => d.id !== id) });
+}
+
+function writeGovernance(records) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } catch (e) {
+        console.warn('Failed to save governance records:', e);
+    }
+    return records;
+}
@@ -0,0 +1,264 @@
+/**
+ * Compost Coordinator - Product Inventory
+ *
+ * Ledger of what is actually on hand, as opposed to the modeled
+ * sellable output (calculateSellableOutput):
+ * - Finished compost harvested from Stage 4 (gallons)
+ * - Worm tea concentrate brewed, with a shelf life (first in, first out)
+ * - Give-back deliveries and sales drawn against the balances
+ * - Warnings when a withdrawal or projected sales exceed stock
+ *
+ * Ledger functions are pure and testable; transactions are persisted
+ * in localStorage.
+ */
+
+const STORAGE_KEY = 'compost-inventory';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Aerated tea concentrate loses its biology; bottle and use within two weeks
+export const TEA_SHELF_LIFE_DAYS = 14;
+
+export const PRODUCTS = {
+    compost: { name: 'Finished compost' },
+    tea: { name: 'Tea concentrate' }
+};
+
+// sign: +1 adds stock, -1 draws it down; product null = chosen per entry
+export const TRANSACTION_TYPES = {
+    harvest: { name: 'Harvest (Stage 4)', product: 'compost', sign: 1 },
+    brew: { name: 'Tea brewed', product: 'tea', sign: 1 },
+    giveback: { name: 'Give-back delivery', product: 'compost', sign: -1 },
+    sale: { name: 'Sale', product: null, sign: -1 }
+};
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate and normalize a ledger transaction
+ * @param {Object} data - { id, date, type, product, gallons, notes }
+ * @returns {Object} Normalized transaction (id only if one was given)
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeTransaction(data) {
+    const type = TRANSACTION_TYPES[data?.type];
+    if (!type) {
+        throw new Error(`Unknown inventory transaction: ${data?.type}`);
+    }
+
+    const date = String(data.date ?? '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error(`Date must be YYYY-MM-DD: ${data.date}`);
+    }
+
+    const product = type.product ?? data.product;
+    if (!PRODUCTS[product]) {
+        throw new Error(`Unknown product: ${data.product}`);
+    }
+
+    const gallons = Number(data.gallons);
+    if (!Number.isFinite(gallons) || gallons <= 0) {
+        throw new Error(`Gallons must be positive: ${data.gallons}`);
+    }
+
+    const transaction = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        transaction.id = String(data.id);
+    }
+
+    return Object.assign(transaction, {
+        date,
+        type: data.type,
+        product,
+        gallons,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+// ============================================
+// Ledger
+// ============================================
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Running balances through every transaction
+ *
+ * Tea is tracked in lots: each brew expires `teaShelfLifeDays` after it
+ * was brewed, and sales draw from the oldest lot first. Expired tea is
+ * written off with an 'expired' row. A withdrawal larger than the stock
+ * on hand is recorded with a `shortfall` and leaves the balance at zero.
+ *
+ * @param {Array} transactions - Ledger transactions (any order)
+ * @param {Object} options
+ * @param {string} options.asOf - Write off tea expired by this date (default: last transaction)
+ * @param {number} options.teaShelfLifeDays - Days tea concentrate keeps
+ * @returns {Object} { rows, balances: { compost, tea }, teaLots, shortfalls }
+ */
+export function buildLedger(transactions, { asOf = null, teaShelfLifeDays = TEA_SHELF_LIFE_DAYS } = {}) {
+    // By date; stock coming in before stock going out on the same day
+    const ordered = transactions
+        .map((t, index) => ({ t, index }))
+        .sort((a, b) => a.t.date.localeCompare(b.t.date) ||
+            TRANSACTION_TYPES[b.t.type].sign - TRANSACTION_TYPES[a.t.type].sign ||
+            a.index - b.index)
+        .map(({ t }) => t);
+
+    let compost = 0;
+    let teaLots = [];
+    const rows = [];
+    const teaBalance = () => teaLots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const balances = () => ({ compost, tea: teaBalance() });
+
+    const expireBefore = (date) => {
+        for (const lot of teaLots.filter(l => l.expiresOn <= date && l.remaining > 0)) {
+            const gallons = lot.remaining;
+            lot.remaining = 0;
+            rows.push({
+                date: lot.expiresOn,
+                type: 'expired',
+                product: 'tea',
+                gallons,
+                change: -gallons,
+                shortfall: 0,
+                notes: `Brewed ${lot.date}`,
+                balance: balances()
+            });
+        }
+        teaLots = teaLots.filter(l => l.remaining > 0);
+    };
+
+    for (const transaction of ordered) {
+        expireBefore(transaction.date);
+        const { sign } = TRANSACTION_TYPES[transaction.type];
+        let change = sign * transaction.gallons;
+        let shortfall = 0;
+
+        if (transaction.product === 'compost') {
+            if (sign < 0 && transaction.gallons > compost) {
+                shortfall = transaction.gallons - compost;
+                change = -compost;
+            }
+            compost += change;
+        } else if (sign > 0) {
+            teaLots.push({
+                date: transaction.date,
+                expiresOn: addDays(transaction.date, teaShelfLifeDays),
+                remaining: transaction.gallons
+            });
+        } else {
+            let needed = transaction.gallons;
+            for (const lot of teaLots) {
+                const taken = Math.min(lot.remaining, needed);
+                lot.remaining -= taken;
+                needed -= taken;
+            }
+            teaLots = teaLots.filter(l => l.remaining > 0);
+            shortfall = needed;
+            change = -(transaction.gallons - needed);
+        }
+
+        rows.push({ ...transaction, change, shortfall, balance: balances() });
+    }
+
+    const lastDate = ordered.length > 0 ? ordered[ordered.length - 1].date : null;
+    if (asOf ?? lastDate) {
+        expireBefore(asOf ?? lastDate);
+    }
+
+    return {
+        rows,
+        balances: balances(),
+        teaLots: teaLots.map(lot => ({ ...lot })),
+        shortfalls: rows.filter(r => r.shortfall > 0)
+    };
+}
+
+/**
+ * Compare projected sales with the stock on hand
+ * @param {Object} params
+ * @param {Array} params.transactions - Ledger transactions
+ * @param {string} params.asOf - YYYY-MM-DD; transactions after this date are ignored
+ * @param {Object} params.projected - Gallons expected to sell { compost, tea }
+ * @param {string} params.until - Last day of the sales period; tea expiring before then is not counted
+ * @returns {Array} Warnings [{ product, projected, available, shortfall, message }]
+ */
+export function checkProjectedSales({ transactions, asOf, projected, until = null, teaShelfLifeDays = TEA_SHELF_LIFE_DAYS }) {
+    const ledger = buildLedger(transactions.filter(t => t.date <= asOf), { asOf, teaShelfLifeDays });
+    const available = {
+        compost: ledger.balances.compost,
+        tea: ledger.teaLots
+            .filter(lot => until === null || lot.expiresOn > until)
+            .reduce((sum, lot) => sum + lot.remaining, 0)
+    };
+
+    return Object.keys(PRODUCTS)
+        .filter(product => (projected[product] ?? 0) > available[product])
+        .map(product => {
+            const shortfall = projected[product] - available[product];
+            return {
+                product,
+                projected: projected[product],
+                available: available[product],
+                shortfall,
+                message: `Projected ${PRODUCTS[product].name.toLowerCase()} sales of ${round(projected[product])} gal exceed ${round(available[product])} gal ${product === 'tea' && until ? `usable through ${until}` : 'on hand'}`
+            };
+        });
+}
+
+function round(gallons) {
+    return Math.round(gallons * 10) / 10;
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get ledger transactions from localStorage
+ * @returns {Array} Transactions, newest first
+ */
+export function loadTransactions() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load inventory:', e);
+        return [];
+    }
+}
+
+/**
+ * Record a transaction
+ * @returns {Array} Updated transactions
+ */
+export function saveTransaction(transaction) {
+    const normalized = normalizeTransaction(transaction);
+    normalized.id = normalized.id ?? `${normalized.type}-${normalized.date}-${Date.now()}`;
+    const transactions = [normalized, ...loadTransactions().filter(t => t.id !== normalized.id)]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    writeTransactions(transactions);
+    return transactions;
+}
+
+/**
+ * Delete a transaction by id
+ * @returns {Array} Updated transactions
+ */
+export function deleteTransaction(id) {
+    const transactions = loadTransactions().filter(t => t.id !== id);
+    writeTransactions(transactions);
+    return transactions;
+}
+
+function writeTransactions(transactions) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+    } catch (e) {
+        console.warn('Failed to save inventory:', e);
+    }
+}
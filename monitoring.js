@@ -0,0 +1,321 @@
+/**
+ * Compost Coordinator - Pile Monitoring
+ *
+ * Thermometer and moisture readings per stage, with alerts:
+ * - Stage 1 must reach and hold 131°F for 3 days (pathogen kill)
+ * - Stage 1 above 160°F starts killing the composting microbes
+ * - Stage 3 above 85°F is too hot for the worms
+ * - Moisture outside each stage's band: 40-65% for the hot piles
+ *   (see feedstock.js), 60-85% for the worm bins
+ *
+ * Alert functions are pure and testable; readings are persisted
+ * in localStorage.
+ */
+
+import { STAGES } from './piles.js';
+import { MOISTURE_TARGET } from './feedstock.js';
+
+const STORAGE_KEY = 'compost-monitoring';
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Temperature band per stage (°F); null = no limit
+export const STAGE_TEMPERATURES = {
+    stage1: { min: 130, max: 160 }, // thermophilic
+    stage2: { min: null, max: 130 }, // mesophilic
+    stage3: { min: null, max: 85 },  // red wigglers
+    stage4: { min: null, max: 85 }
+};
+
+// Moisture band per stage (%); worms need a wetter bin than the hot piles
+export const STAGE_MOISTURE = {
+    stage1: { min: MOISTURE_TARGET.min * 100, max: MOISTURE_TARGET.max * 100 },
+    stage2: { min: MOISTURE_TARGET.min * 100, max: MOISTURE_TARGET.max * 100 },
+    stage3: { min: 60, max: 85 },
+    stage4: { min: 60, max: 85 }
+};
+
+// Pathogen kill (PFRP): 131°F or above for 3 consecutive days
+export const PATHOGEN_KILL = { temperatureF: 131, days: 3 };
+
+// Stage 1 is checked over its most recent readings
+export const STAGE1_WINDOW_DAYS = 14;
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate and normalize a reading
+ * @param {Object} data - { id, time, stage, temperatureF, moisturePct, deviceId, notes }
+ *        time: "YYYY-MM-DDTHH:MM"; temperature and moisture may be blank but not both;
+ *        deviceId marks probe readings (see sensors.js)
+ * @returns {Object} Normalized reading (id and deviceId only if given)
+ * @throws {Error} If a field is missing or out of range
+ */
+export function normalizeReading(data) {
+    const time = String(data?.time ?? '').trim();
+    if (!DATETIME_PATTERN.test(time)) {
+        throw new Error(`Time must be YYYY-MM-DDTHH:MM: ${data?.time}`);
+    }
+    if (!STAGES.includes(data.stage)) {
+        throw new Error(`Unknown stage: ${data.stage}`);
+    }
+
+    const temperatureF = optionalNumber(data.temperatureF);
+    const moisturePct = optionalNumber(data.moisturePct);
+    if (temperatureF === null && moisturePct === null) {
+        throw new Error('Reading needs a temperature or a moisture value');
+    }
+    if (Number.isNaN(temperatureF) || (temperatureF !== null && (temperatureF < -40 || temperatureF > 200))) {
+        throw new Error(`Temperature out of range: ${data.temperatureF}`);
+    }
+    if (Number.isNaN(moisturePct) || (moisturePct !== null && (moisturePct < 0 || moisturePct > 100))) {
+        throw new Error(`Moisture must be 0-100%: ${data.moisturePct}`);
+    }
+
+    const reading = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        reading.id = String(data.id);
+    }
+
+    Object.assign(reading, {
+        time,
+        stage: data.stage,
+        temperatureF,
+        moisturePct
+    });
+    if (data.deviceId) {
+        reading.deviceId = String(data.deviceId);
+    }
+    reading.notes = String(data.notes ?? '').trim();
+
+    return reading;
+}
+
+function optionalNumber(value) {
+    return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+// ============================================
+// Series and Alerts
+// ============================================
+
+function hoursBetween(start, end) {
+    return (Date.parse(`${end}:00Z`) - Date.parse(`${start}:00Z`)) / MS_PER_HOUR;
+}
+
+function formatDegrees(value) {
+    return `${Math.round(value)}°F`;
+}
+
+/**
+ * One stage's readings in time order
+ * @param {Array} readings - All readings
+ * @param {string} stage - Key in STAGES
+ * @param {Object} range - { from, to } "YYYY-MM-DDTHH:MM" (optional)
+ * @returns {Array} Readings for the stage, oldest first
+ */
+export function getStageSeries(readings, stage, { from = null, to = null } = {}) {
+    return readings
+        .filter(r => r.stage === stage && (!from || r.time >= from) && (!to || r.time <= to))
+        .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Longest time held at or above a temperature
+ * A run lasts from its first reading at temperature until the next
+ * reading below it; a run still going lasts until asOf (or its last
+ * reading without one).
+ * @param {Array} series - Readings, oldest first
+ * @param {number} temperatureF - Threshold
+ * @param {string} asOf - "YYYY-MM-DDTHH:MM" (optional)
+ * @returns {Object|null} { start, end, hours } or null if never reached
+ */
+export function findLongestRun(series, temperatureF, asOf = null) {
+    let best = null;
+    let start = null;
+    let last = null;
+
+    const close = (end) => {
+        const hours = hoursBetween(start, end);
+        if (!best || hours > best.hours) {
+            best = { start, end, hours };
+        }
+        start = null;
+    };
+
+    for (const reading of series.filter(r => r.temperatureF !== null)) {
+        if (reading.temperatureF >= temperatureF) {
+            start = start ?? reading.time;
+            last = reading.time;
+        } else if (start !== null) {
+            close(reading.time);
+        }
+    }
+    if (start !== null) {
+        close(asOf && asOf > last ? asOf : last);
+    }
+
+    return best;
+}
+
+/**
+ * Pathogen kill status for Stage 1 over the recent window
+ * @param {Array} readings - All readings
+ * @param {string} asOf - "YYYY-MM-DDTHH:MM"
+ * @returns {Object} { met, run, maxTemperatureF, readings } (readings with a temperature)
+ */
+export function checkPathogenKill(readings, asOf, { rule = PATHOGEN_KILL, windowDays = STAGE1_WINDOW_DAYS } = {}) {
+    const from = new Date(Date.parse(`${asOf}:00Z`) - windowDays * 24 * MS_PER_HOUR).toISOString().slice(0, 16);
+    const series = getStageSeries(readings, 'stage1', { from, to: asOf });
+    const temperatures = series.map(r => r.temperatureF).filter(t => t !== null);
+    const run = findLongestRun(series, rule.temperatureF, asOf);
+
+    return {
+        met: run !== null && run.hours >= rule.days * 24,
+        run,
+        maxTemperatureF: temperatures.length > 0 ? Math.max(...temperatures) : null,
+        readings: temperatures.length
+    };
+}
+
+/**
+ * Alerts from the latest readings of every stage
+ * @param {Array} readings - All readings
+ * @param {string} asOf - "YYYY-MM-DDTHH:MM"
+ * @returns {Array} [{ stage, type, time, message }]
+ */
+export function checkAlerts(readings, asOf) {
+    const alerts = [];
+
+    // Stage 1: reach and hold pathogen-kill temperature
+    const kill = checkPathogenKill(readings, asOf);
+    if (kill.readings > 0 && !kill.met) {
+        const { temperatureF, days } = PATHOGEN_KILL;
+        alerts.push(kill.run === null
+            ? {
+                stage: 'stage1',
+                type: 'not-thermophilic',
+                time: asOf,
+                message: `Stage 1 has not reached ${temperatureF}°F in ${STAGE1_WINDOW_DAYS} days (max ${formatDegrees(kill.maxTemperatureF)}) - check moisture and greens`
+            }
+            : {
+                stage: 'stage1',
+                type: 'pathogen-kill',
+                time: kill.run.end,
+                message: `Stage 1 held ${temperatureF}°F+ for ${(kill.run.hours / 24).toFixed(1)} of ${days} days needed for pathogen kill`
+            });
+    }
+
+    for (const stage of STAGES) {
+        const series = getStageSeries(readings, stage, { to: asOf });
+        const band = STAGE_TEMPERATURES[stage];
+
+        const lastTemperature = [...series].reverse().find(r => r.temperatureF !== null);
+        if (lastTemperature && band.max !== null && lastTemperature.temperatureF > band.max) {
+            alerts.push({
+                stage,
+                type: 'too-hot',
+                time: lastTemperature.time,
+                message: stage === 'stage1'
+                    ? `Stage 1 at ${formatDegrees(lastTemperature.temperatureF)} is above ${band.max}°F - turn the pile`
+                    : `${stageName(stage)} at ${formatDegrees(lastTemperature.temperatureF)} is above ${band.max}°F${stage === 'stage3' ? ' - too hot for worms' : ''}`
+            });
+        }
+
+        const lastMoisture = [...series].reverse().find(r => r.moisturePct !== null);
+        if (lastMoisture) {
+            const { min, max } = STAGE_MOISTURE[stage];
+            if (lastMoisture.moisturePct < min || lastMoisture.moisturePct > max) {
+                alerts.push({
+                    stage,
+                    type: lastMoisture.moisturePct < min ? 'too-dry' : 'too-wet',
+                    time: lastMoisture.time,
+                    message: `${stageName(stage)} moisture ${lastMoisture.moisturePct}% is outside ${min}-${max}%`
+                });
+            }
+        }
+    }
+
+    return alerts;
+}
+
+function stageName(stage) {
+    return `Stage ${stage.slice(-1)}`;
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get readings from localStorage
+ * @returns {Array} Readings, newest first
+ */
+export function loadReadings() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load readings:', e);
+        return [];
+    }
+}
+
+/**
+ * Record a reading
+ * @returns {Array} Updated readings
+ */
+export function saveReading(reading) {
+    const normalized = normalizeReading(reading);
+    normalized.id = normalized.id ?? `${normalized.stage}-${normalized.time}-${Date.now()}`;
+    const readings = [normalized, ...loadReadings().filter(r => r.id !== normalized.id)]
+        .sort((a, b) => b.time.localeCompare(a.time));
+    writeReadings(readings);
+    return readings;
+}
+
+/**
+ * Merge readings into a history; a reading with the same id replaces the old one
+ * @param {Array} existing - Current readings
+ * @param {Array} incoming - Normalized readings with ids
+ * @returns {Array} Merged readings, newest first
+ */
+export function mergeReadings(existing, incoming) {
+    const ids = new Set(incoming.map(r => r.id));
+    return [...incoming, ...existing.filter(r => !ids.has(r.id))]
+        .sort((a, b) => b.time.localeCompare(a.time));
+}
+
+/**
+ * Record many readings at once (e.g. a probe upload)
+ * @returns {Array} Updated readings
+ */
+export function saveReadings(incoming) {
+    const readings = mergeReadings(loadReadings(), incoming.map(r => {
+        const normalized = normalizeReading(r);
+        normalized.id = normalized.id ?? `${normalized.deviceId ?? normalized.stage}-${normalized.time}`;
+        return normalized;
+    }));
+    writeReadings(readings);
+    return readings;
+}
+
+/**
+ * Delete a reading by id
+ * @returns {Array} Updated readings
+ */
+export function deleteReading(id) {
+    const readings = loadReadings().filter(r => r.id !== id);
+    writeReadings(readings);
+    return readings;
+}
+
+function writeReadings(readings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(readings));
+    } catch (e) {
+        console.warn('Failed to save readings:', e);
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Compost Coordinator - Member Payouts
+ *
+ * Distributes a period's net income to worker-members by patronage
+ * (hours worked), following the profit distribution in GOVERNANCE.md:
+ * 1. Operating expenses (already out of net income)
+ * 2. Equipment maintenance/replacement fund (10% of revenue)
+ * 3. Worker payments: members' base pay by hours (a per-period input;
+ *    GOVERNANCE.md sets no rate), then the founding operator's
+ *    consulting line ($50/hr, paid when revenue allows)
+ * 4. Surplus: 50% to members by (optionally weighted) hours, 30% to
+ *    the equipment/growth fund, 20% to the founding operator
+ *
+ * Net income is the model's netIncome: revenue after operating
+ * expenses, before any member pay.
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+// Defaults from GOVERNANCE.md; every value can be passed to calculateDistribution
+export const DISTRIBUTION_POLICY = {
+    equipmentFundPct: 0.10, // of revenue, before worker payments
+    workerRate: 0,          // $/hr member base pay (none set in GOVERNANCE.md)
+    consultingRate: 50,     // $/hr, founding operator
+    retainedPct: 0.30,      // equipment/growth fund
+    founderSharePct: 0.20   // infrastructure maintenance
+};
+
+// ============================================
+// Patronage Hours
+// ============================================
+
+/**
+ * Logged hours per worker and category from timesheet entries
+ * @param {Array} entries - Timesheet entries (see timesheets.normalizeEntry)
+ * @param {Object} range - { from, to } YYYY-MM-DD, inclusive (optional)
+ * @returns {Object} { [workerId]: { [category]: hours } }
+ */
+export function sumTimesheetHours(entries, { from = null, to = null } = {}) {
+    const hours = {};
+    for (const entry of entries) {
+        if ((from && entry.date < from) || (to && entry.date > to)) continue;
+        const byCategory = hours[entry.workerId] || (hours[entry.workerId] = {});
+        byCategory[entry.category] = (byCategory[entry.category] || 0) + entry.minutes / 60;
+    }
+    return hours;
+}
+
+/**
+ * A member's patronage: hours, or hours weighted by task category
+ * @param {Object} member - { hours } or { hoursByCategory }
+ * @param {Object} weights - Multiplier per category (missing = 1)
+ * @returns {Object} { hours, weightedHours }
+ * @throws {Error} If hours are missing or negative
+ */
+export function calculatePatronage(member, weights = null) {
+    const byCategory = member.hoursByCategory ?? { all: member.hours };
+    let hours = 0;
+    let weightedHours = 0;
+
+    for (const [category, value] of Object.entries(byCategory)) {
+        const categoryHours = Number(value);
+        if (!Number.isFinite(categoryHours) || categoryHours < 0) {
+            throw new Error(`${member.name ?? member.id}: invalid hours "${value}"`);
+        }
+        hours += categoryHours;
+        weightedHours += categoryHours * (weights?.[category] ?? 1);
+    }
+
+    return { hours, weightedHours };
+}
+
+// ============================================
+// Distribution
+// ============================================
+
+/**
+ * Per-member payouts for a period, in the GOVERNANCE.md order
+ *
+ * Each step is paid only from what the steps before it left; what
+ * can't be covered is reported as unpaid.
+ *
+ * @param {Object} params
+ * @param {number} params.netIncome - Period net income (revenue - operating expenses)
+ * @param {number} params.revenue - Period revenue (sets the equipment fund)
+ * @param {Array} params.members - [{ id, name, hours }] or [{ id, name, hoursByCategory }]
+ * @param {number} params.founderHours - Founding operator consulting hours
+ * @param {Object} params.weights - Patronage weight per task category (default all 1)
+ * @param {number} params.equipmentFundPct - Share of revenue to the equipment fund
+ * @param {number} params.workerRate - Member base pay $/hr
+ * @param {number} params.consultingRate - Founding operator $/hr
+ * @param {number} params.retainedPct - Share of surplus to the growth fund
+ * @param {number} params.founderSharePct - Share of surplus to the founding operator
+ * @returns {Object} { netIncome, equipmentFund, workerPay, consulting, surplus, retained, founderShare, memberPool, members, totals }
+ * @throws {Error} If revenue is missing or the percentages exceed 100%
+ */
+export function calculateDistribution({
+    netIncome,
+    revenue,
+    members,
+    founderHours = 0,
+    weights = null,
+    equipmentFundPct = DISTRIBUTION_POLICY.equipmentFundPct,
+    workerRate = DISTRIBUTION_POLICY.workerRate,
+    consultingRate = DISTRIBUTION_POLICY.consultingRate,
+    retainedPct = DISTRIBUTION_POLICY.retainedPct,
+    founderSharePct = DISTRIBUTION_POLICY.founderSharePct
+}) {
+    if (!Number.isFinite(revenue) || revenue < 0) {
+        throw new Error(`Revenue for the period is needed for the equipment fund: ${revenue}`);
+    }
+    if (equipmentFundPct < 0 || equipmentFundPct > 1) {
+        throw new Error(`Equipment fund (${equipmentFundPct}) must be between 0% and 100% of revenue`);
+    }
+    if (retainedPct < 0 || founderSharePct < 0 || retainedPct + founderSharePct > 1) {
+        throw new Error(`Retained (${retainedPct}) and founder share (${founderSharePct}) must be between 0% and 100% combined`);
+    }
+
+    let available = Math.max(netIncome, 0);
+    const pay = (amount) => {
+        const paid = Math.min(amount, available);
+        available -= paid;
+        return paid;
+    };
+
+    // 2. Equipment maintenance/replacement fund
+    const equipmentFundDue = revenue * equipmentFundPct;
+    const equipmentFund = pay(equipmentFundDue);
+
+    // 3. Worker payments: members' base pay, then consulting when revenue allows
+    const patronage = members.map(member => ({ member, ...calculatePatronage(member, weights) }));
+    const memberHours = patronage.reduce((sum, p) => sum + p.hours, 0);
+    const workerPayBilled = memberHours * workerRate;
+    const workerPayPaid = pay(workerPayBilled);
+    const workerPayRatio = workerPayBilled > 0 ? workerPayPaid / workerPayBilled : 0;
+
+    const consultingBilled = founderHours * consultingRate;
+    const consultingPaid = pay(consultingBilled);
+
+    // Surplus: 50% members / 30% growth fund / 20% founding operator
+    const surplus = available;
+    const retained = surplus * retainedPct;
+    const founderShare = surplus * founderSharePct;
+    const memberPool = surplus - retained - founderShare;
+
+    const totalWeighted = patronage.reduce((sum, p) => sum + p.weightedHours, 0);
+
+    const payouts = patronage.map(({ member, hours, weightedHours }) => {
+        const share = totalWeighted > 0 ? weightedHours / totalWeighted : 0;
+        const basePay = hours * workerRate * workerPayRatio;
+        const surplusShare = memberPool * share;
+        const payout = basePay + surplusShare;
+        return {
+            id: member.id,
+            name: member.name ?? member.id,
+            hours,
+            weightedHours,
+            share,
+            basePay,
+            surplusShare,
+            payout,
+            effectiveRate: hours > 0 ? payout / hours : 0
+        };
+    });
+
+    // Nobody worked: the member pool stays with the co-op
+    const distributed = payouts.reduce((sum, p) => sum + p.surplusShare, 0);
+
+    return {
+        netIncome,
+        equipmentFund: {
+            due: equipmentFundDue,
+            paid: equipmentFund,
+            unpaid: equipmentFundDue - equipmentFund
+        },
+        workerPay: {
+            hours: memberHours,
+            rate: workerRate,
+            billed: workerPayBilled,
+            paid: workerPayPaid,
+            unpaid: workerPayBilled - workerPayPaid
+        },
+        consulting: {
+            hours: founderHours,
+            rate: consultingRate,
+            billed: consultingBilled,
+            paid: consultingPaid,
+            unpaid: consultingBilled - consultingPaid
+        },
+        surplus,
+        retained: retained + (memberPool - distributed),
+        founderShare,
+        memberPool: distributed,
+        members: payouts,
+        totals: {
+            hours: memberHours,
+            weightedHours: totalWeighted,
+            memberTotal: payouts.reduce((sum, p) => sum + p.payout, 0),
+            founderTotal: consultingPaid + founderShare
+        }
+    };
+}
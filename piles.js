@@ -0,0 +1,145 @@
+/**
+ * Compost Coordinator - Pile Inventory Simulator
+ *
+ * Week-by-week model of material in the four composting stages:
+ * - Collected food waste + cardboard added to Stage 1 weekly
+ * - Piles advance one stage on each move (monthly by default)
+ * - Material shrinks on every move (Stage 4 holds finished compost)
+ * - Stage 4 is harvested just before it receives the next batch
+ *
+ * Each pile is compared with the 4x4x4 ft bin capacity, flagging
+ * weeks where a bin overflows or sits empty (shown on monitoring.html).
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+import { BIN_CAPACITY, PILE_RETENTION_PER_MOVE, calculateInputVolumes } from './calculator.js';
+
+export const STAGES = ['stage1', 'stage2', 'stage3', 'stage4'];
+
+const DEFAULT_WEEKS_PER_STAGE = 4; // monthly pile moves
+
+/**
+ * Simulate pile volumes week by week
+ * @param {Object} params - Simulation parameters
+ * @param {number} params.households - Number of households (sets weekly input)
+ * @param {number} params.weeks - Number of weeks to simulate
+ * @param {number} params.weeksPerStage - Weeks between pile moves
+ * @param {Array<number>} params.weeklyInputs - Optional gallons added per week (overrides households)
+ * @param {Object} params.initial - Optional starting volume per stage
+ * @param {number} params.capacity - Bin capacity in gallons
+ * @returns {Object} { weeks: Array, totals: Object }
+ */
+export function simulatePiles({
+    households = 0,
+    weeks = 52,
+    weeksPerStage = DEFAULT_WEEKS_PER_STAGE,
+    weeklyInputs = null,
+    initial = {},
+    capacity = BIN_CAPACITY
+}) {
+    const baseInput = calculateInputVolumes(households).totalPerWeek;
+    const piles = {
+        stage1: initial.stage1 || 0,
+        stage2: initial.stage2 || 0,
+        stage3: initial.stage3 || 0,
+        stage4: initial.stage4 || 0
+    };
+
+    const results = [];
+    let totalAdded = 0;
+    let totalHarvested = 0;
+
+    for (let week = 0; week < weeks; week++) {
+        const moved = week > 0 && week % weeksPerStage === 0;
+        let harvested = 0;
+
+        if (moved) {
+            harvested = piles.stage4;
+            piles.stage4 = piles.stage3 * PILE_RETENTION_PER_MOVE;
+            piles.stage3 = piles.stage2 * PILE_RETENTION_PER_MOVE;
+            piles.stage2 = piles.stage1 * PILE_RETENTION_PER_MOVE;
+            piles.stage1 = 0;
+        }
+
+        const added = weeklyInputs ? (weeklyInputs[week] || 0) : baseInput;
+        piles.stage1 += added;
+
+        totalAdded += added;
+        totalHarvested += harvested;
+
+        results.push({
+            week,
+            moved,
+            added,
+            harvested,
+            piles: { ...piles },
+            flags: getPileFlags(piles, capacity)
+        });
+    }
+
+    return {
+        weeks: results,
+        totals: {
+            added: totalAdded,
+            harvested: totalHarvested,
+            overflowWeeks: countFlags(results, 'overflow'),
+            emptyWeeks: countFlags(results, 'empty'),
+            capacity
+        }
+    };
+}
+
+/**
+ * Flag piles that exceed bin capacity or hold nothing
+ * @param {Object} piles - Volume per stage
+ * @param {number} capacity - Bin capacity in gallons
+ * @returns {Array} Array of { stage, type, volume } objects
+ */
+export function getPileFlags(piles, capacity = BIN_CAPACITY) {
+    const flags = [];
+    for (const stage of STAGES) {
+        const volume = piles[stage];
+        if (volume > capacity) {
+            flags.push({ stage, type: 'overflow', volume });
+        } else if (volume <= 0) {
+            flags.push({ stage, type: 'empty', volume });
+        }
+    }
+    return flags;
+}
+
+/**
+ * Count flagged weeks per stage
+ * @param {Array} weeks - Simulation weeks
+ * @param {string} type - 'overflow' or 'empty'
+ * @returns {Object} Week count keyed by stage
+ */
+function countFlags(weeks, type) {
+    const counts = Object.fromEntries(STAGES.map(stage => [stage, 0]));
+    for (const week of weeks) {
+        for (const flag of week.flags) {
+            if (flag.type === type) counts[flag.stage]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Per-stage peak volume and flagged weeks, for display
+ * @param {Object} simulation - Result of simulatePiles
+ * @returns {Array} [{ stage, peak, overflowWeeks, emptyWeeks, firstOverflow }]
+ */
+export function summarizeStages(simulation) {
+    const { weeks, totals } = simulation;
+    return STAGES.map(stage => {
+        const overflow = weeks.find(w => w.flags.some(f => f.stage === stage && f.type === 'overflow'));
+        return {
+            stage,
+            peak: Math.max(0, ...weeks.map(w => w.piles[stage])),
+            overflowWeeks: totals.overflowWeeks[stage],
+            emptyWeeks: totals.emptyWeeks[stage],
+            firstOverflow: overflow ? overflow.week : null
+        };
+    });
+}
@@ -0,0 +1,351 @@
+/**
+ * Compost Coordinator - Business Plan Report
+ *
+ * The README's business model tables, computed from calculator.js for
+ * any scenario (for grant applications and HOA pitches):
+ * - Scenario inputs and summary
+ * - Revenue streams and operating expenses
+ * - Labor breakdown by task
+ * - Capital costs
+ * - Seasonal projection (periods and month by month)
+ * - YOUTH_LABOR policy
+ *
+ * Each section is { id, title, columns, rows: [{ cells, kind }] } with
+ * kind 'category', 'task' or 'total' for styling. All functions are
+ * pure (no side effects) and testable.
+ */
+
+import {
+    calculateFullModel,
+    calculateStartupCost,
+    getTaskBreakdown,
+    EQUIPMENT,
+    EXPENSES,
+    HOUSING_PROFILES,
+    SUBSCRIPTION_PLANS,
+    MONTH_NAMES,
+    YOUTH_LABOR
+} from './calculator.js';
+
+export const LABOR_CATEGORIES = {
+    collection: 'Collection',
+    cardboard: 'Cardboard Processing',
+    composting: 'Composting',
+    tea: 'Worm Tea',
+    delivery: 'Delivery'
+};
+
+export const EQUIPMENT_CATEGORIES = {
+    composting: 'Composting',
+    cardboard: 'Cardboard',
+    wormTea: 'Worm Tea',
+    logistics: 'Logistics',
+    lawnService: 'Lawn Service'
+};
+
+const EQUIPMENT_NAMES = {
+    handTools: 'Hand tools',
+    electricShredder: 'Electric shredder',
+    zeroTurn: 'Zero-turn mower',
+    atv: 'ATV',
+    tractor: 'Tractor',
+    truckDriving: 'Truck driving'
+};
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Dollars as in the README: "$3,700", cents only under $10 ("$0.33")
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatMoney(value) {
+    const sign = value < 0 ? '-' : '';
+    const amount = Math.abs(value);
+    if (amount < 10 && Math.round(amount) !== amount) {
+        return `${sign}$${amount.toFixed(2)}`;
+    }
+    return `${sign}$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+function formatGallons(value) {
+    return `${Math.round(value * 10) / 10} gal`;
+}
+
+function formatHours(value) {
+    return value.toFixed(1);
+}
+
+function row(cells, kind = null) {
+    return { cells, kind };
+}
+
+/**
+ * Month range label, e.g. "Mar-Apr (2)"
+ * @param {Array<number>} months - 0-indexed months in order
+ * @returns {string}
+ */
+export function formatMonthRange(months) {
+    const first = MONTH_NAMES[months[0]];
+    const last = MONTH_NAMES[months[months.length - 1]];
+    return `${months.length === 1 ? first : `${first}-${last}`} (${months.length})`;
+}
+
+// ============================================
+// Sections
+// ============================================
+
+function inputsSection(inputs, model) {
+    const rows = [
+        row(['Households', String(model.households)]),
+        row(['Subscription', model.planMix ? 'By plan (see revenue)' : `${formatMoney(inputs.subscriptionPrice)}/mo`]),
+        row(['Compost price', `${formatMoney(inputs.compostPrice)}/gal`]),
+        row(['Tea price', `${formatMoney(inputs.teaPrice)}/gal concentrate`]),
+        row(['Give-back', `${inputs.givebackPerYear} gal/year per household`]),
+        row(['Lawn service equipment', inputs.includeLawnService === false ? 'Not included' : 'Included']),
+        row(['Legal structure', inputs.legalStructure === 'coop' ? 'Cooperative' : 'DBA (sole proprietor)']),
+        row(['Active season', formatMonthRange(groupSeasons(model.annual.months)
+            .filter(group => group.period !== 'Winter')
+            .flatMap(group => group.months))])
+    ];
+    if (model.housingMix) {
+        rows.splice(1, 0, row(['Housing mix', Object.entries(model.housingMix)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${HOUSING_PROFILES[type].name.toLowerCase()}`)
+            .join(', ')]));
+    }
+    if (inputs.route) {
+        rows.splice(rows.length - 1, 0, row(['Collection route', `${inputs.route.miles.toFixed(1)} mi/week planned, ${formatHours(inputs.route.hoursPerMonth)} hours/month`]));
+    }
+    if (model.planMix) {
+        rows.splice(2, 0, row(['Plan mix', Object.entries(model.planMix)
+            .filter(([, count]) => count > 0)
+            .map(([plan, count]) => `${count} ${SUBSCRIPTION_PLANS[plan].name}`)
+            .join(', ')]));
+    }
+
+    return { id: 'inputs', title: 'Scenario Inputs', columns: ['Input', 'Value'], rows };
+}
+
+function summarySection(model) {
+    return {
+        id: 'summary',
+        title: 'Business Model Summary',
+        columns: ['Metric', 'Value'],
+        rows: [
+            row(['Households served', String(model.households)]),
+            row(['Monthly revenue', formatMoney(model.revenue.total)]),
+            row(['Monthly labor', `${formatHours(model.labor.total)} hours`]),
+            row(['Effective rate', `${formatMoney(model.hourlyRate)}/hr`], 'total'),
+            row(['Equipment cost', formatMoney(model.capital.startupCost)]),
+            row(['Annual revenue', formatMoney(model.annual.revenue)]),
+            row(['Annual net income', formatMoney(model.annual.netIncome)])
+        ]
+    };
+}
+
+function revenueSection(inputs, model) {
+    const { revenue, outputs, households } = model;
+    const subscriptionPrice = model.planMix
+        ? `${formatMoney(revenue.subscriptions / Math.max(households, 1))}/mo avg`
+        : `${formatMoney(inputs.subscriptionPrice)}/mo`;
+
+    return {
+        id: 'revenue',
+        title: 'Revenue Streams',
+        columns: ['Stream', 'Units', 'Price', 'Monthly'],
+        rows: [
+            row(['Waste pickup subscription', `${households} households`, subscriptionPrice, formatMoney(revenue.subscriptions)]),
+            row(['Vermicompost sales', formatGallons(outputs.sellableCompost), `${formatMoney(inputs.compostPrice)}/gal`, formatMoney(revenue.compost)]),
+            row(['Worm tea application', formatGallons(outputs.wormTeaConcentrate), `${formatMoney(inputs.teaPrice)}/gal`, formatMoney(revenue.tea)]),
+            row(['Total', '', '', formatMoney(revenue.total)], 'total')
+        ]
+    };
+}
+
+function expensesSection(inputs, model) {
+    const { expenses } = model;
+    const fees = EXPENSES.fees[inputs.legalStructure || 'dba']
+        .map(fee => `${fee.item} $${fee.cost} every ${fee.everyYears === 1 ? 'year' : `${fee.everyYears} yr`}`)
+        .join(', ');
+
+    return {
+        id: 'expenses',
+        title: 'Operating Expenses (per month)',
+        columns: ['Expense', 'Monthly', 'Notes'],
+        rows: [
+            row(['Fuel', formatMoney(expenses.fuel), `Collection route + delivery stops at $${EXPENSES.fuel.costPerMile}/mi`]),
+            row(['Bags & buckets', formatMoney(expenses.supplies), 'Liner bag per pickup, buckets replaced over time']),
+            row(['Electricity', formatMoney(expenses.electricity), `Shredder + tea aerator at $${EXPENSES.electricity.costPerKwh}/kWh`]),
+            row(['Insurance', formatMoney(expenses.insurance), `General liability, $${EXPENSES.insurance.perYear}/yr`]),
+            row(['Filing fees', formatMoney(expenses.fees), fees]),
+            row(['Payment processing', formatMoney(expenses.paymentProcessing), `${(EXPENSES.paymentProcessing.percent * 100).toFixed(1)}% + $${EXPENSES.paymentProcessing.fixed.toFixed(2)} per card payment`]),
+            row(['Total', formatMoney(expenses.total), `Net income ${formatMoney(model.netIncome)}/mo, ${formatMoney(model.netHourlyRate)}/hr net`], 'total')
+        ]
+    };
+}
+
+function laborSection(model) {
+    const rows = [];
+    for (const [category, label] of Object.entries(LABOR_CATEGORIES)) {
+        rows.push(row([label, formatHours(model.labor[category]), ''], 'category'));
+        for (const task of getTaskBreakdown(category, model.households)) {
+            const note = task.minPerWeek !== undefined ? `${task.minPerWeek} min/week` : `${task.minPerMonth} min/month`;
+            rows.push(row([task.name, task.hoursPerMonth.toFixed(2), note], 'task'));
+        }
+    }
+    rows.push(row(['Total', formatHours(model.labor.total), ''], 'total'));
+
+    return { id: 'labor', title: 'Labor Hours (per month)', columns: ['Task', 'Hours', 'Notes'], rows };
+}
+
+function capitalSection(inputs, model) {
+    const includeLawnService = inputs.includeLawnService !== false;
+    const rows = [];
+    for (const [category, label] of Object.entries(EQUIPMENT_CATEGORIES)) {
+        if (category === 'lawnService' && !includeLawnService) continue;
+        const items = Object.entries(EQUIPMENT[category]).filter(([key]) => key !== 'subtotal');
+        items.forEach(([, item], index) => {
+            rows.push(row([index === 0 ? label : '', item.description, formatMoney(item.cost)], index === 0 ? 'category' : null));
+        });
+    }
+    rows.push(row(['Total', '', formatMoney(calculateStartupCost(includeLawnService))], 'total'));
+    rows.push(row(['Depreciation', '', `${formatMoney(model.capital.annualDepreciation)}/yr`]));
+
+    return { id: 'capital', title: 'Capital Costs', columns: ['Category', 'Item', 'Cost'], rows };
+}
+
+/**
+ * Group the seasonal schedule into periods like the README's table
+ *
+ * Months are walked from the first month of the season. Active months
+ * that work through the winter stockpile are "Spring catch-up".
+ *
+ * @param {Array} months - calculateFullModel(...).annual.months
+ * @returns {Array} [{ period, activity, months: [0-indexed], revenue (avg/mo) }]
+ */
+export function groupSeasons(months) {
+    const start = months.findIndex((m, i) => m.active && !months[(i + 11) % 12].active);
+    const ordered = start < 0 ? months : [...months.slice(start), ...months.slice(0, start)];
+
+    const kindOf = (m) => {
+        if (!m.active) return 'winter';
+        return m.processed > m.collected + 1e-9 ? 'catchUp' : 'active';
+    };
+    const labels = {
+        catchUp: { period: 'Spring catch-up', activity: 'Full operation + process winter stockpile' },
+        active: { period: 'Active', activity: 'Full operation' },
+        winter: { period: 'Winter', activity: 'Collection only, stockpile' }
+    };
+
+    const groups = [];
+    for (const month of ordered) {
+        const kind = kindOf(month);
+        const last = groups[groups.length - 1];
+        if (last && last.kind === kind) {
+            last.list.push(month);
+        } else {
+            groups.push({ kind, list: [month] });
+        }
+    }
+
+    return groups.map(({ kind, list }) => ({
+        ...labels[kind],
+        months: list.map(m => m.month),
+        revenue: list.reduce((sum, m) => sum + m.revenue.total, 0) / list.length
+    }));
+}
+
+function seasonalSection(model) {
+    const { annual } = model;
+    return {
+        id: 'seasonal',
+        title: 'Seasonal Operation',
+        columns: ['Period', 'Months', 'Activity', 'Revenue'],
+        rows: [
+            ...groupSeasons(annual.months).map(group => row([
+                group.period,
+                formatMonthRange(group.months),
+                group.activity,
+                `${formatMoney(group.revenue)}/mo`
+            ])),
+            row(['Annual', '12', `${Math.round(annual.hours)} hours, ${formatMoney(annual.hourlyRate)}/hr`, formatMoney(annual.revenue)], 'total')
+        ]
+    };
+}
+
+function monthlySection(model) {
+    const { annual } = model;
+    return {
+        id: 'monthly',
+        title: 'Month-by-Month Projection',
+        columns: ['Month', 'Processed', 'Sellable compost', 'Revenue', 'Expenses', 'Net', 'Hours'],
+        rows: [
+            ...annual.months.map(m => row([
+                m.name,
+                formatGallons(m.processed),
+                formatGallons(m.sellableCompost),
+                formatMoney(m.revenue.total),
+                formatMoney(m.expenses.total),
+                formatMoney(m.netIncome),
+                formatHours(m.labor.total)
+            ])),
+            row(['Year', '', '', formatMoney(annual.revenue), formatMoney(annual.expenses), formatMoney(annual.netIncome), formatHours(annual.hours)], 'total')
+        ]
+    };
+}
+
+function youthLaborSection() {
+    const { legalMinimums, hourLimits } = YOUTH_LABOR;
+    return {
+        id: 'youth',
+        title: 'Youth Labor Policy',
+        columns: ['Equipment', 'Minimum age', 'Certification', 'Notes'],
+        rows: Object.entries(legalMinimums).map(([key, rule]) => row([
+            EQUIPMENT_NAMES[key] ?? key,
+            String(rule.minAge),
+            rule.certification ?? '-',
+            rule.notes
+        ])),
+        notes: [
+            `Co-op policy: ${YOUTH_LABOR.coopPolicy.rule} (${YOUTH_LABOR.coopPolicy.reason.toLowerCase()}).`,
+            `Ages ${hourLimits.ages.min}-${hourLimits.ages.max}: up to ${hourLimits.schoolDay.maxHours} hr on a school day, ` +
+                `${hourLimits.schoolWeek.maxHours} hr in a school week, ${hourLimits.nonSchoolDay.maxHours} hr on other days and ` +
+                `${hourLimits.nonSchoolWeek.maxHours} hr in other weeks; no work ${hourLimits.schoolHours.start}-${hourLimits.schoolHours.end} on school days; ` +
+                `${hourLimits.timeOfDay.schoolYear.earliest}-${hourLimits.timeOfDay.schoolYear.latest} during the school year ` +
+                `(${hourLimits.timeOfDay.summer.latest} in summer).`,
+            `${YOUTH_LABOR.certification.name}: ${YOUTH_LABOR.certification.provider}, ${YOUTH_LABOR.certification.cost.toLowerCase()}, ${YOUTH_LABOR.certification.duration}. ${YOUTH_LABOR.certification.penalty}.`,
+            YOUTH_LABOR.parentalExemption + '.'
+        ]
+    };
+}
+
+// ============================================
+// Report
+// ============================================
+
+/**
+ * Build the business plan report for a scenario
+ * @param {Object} scenario - { name, inputs } (calculateFullModel inputs)
+ * @returns {Object} { name, model, sections }
+ */
+export function buildReport({ name, inputs }) {
+    const model = calculateFullModel(inputs);
+    return {
+        name,
+        model,
+        sections: [
+            summarySection(model),
+            inputsSection(inputs, model),
+            revenueSection(inputs, model),
+            expensesSection(inputs, model),
+            laborSection(model),
+            capitalSection(inputs, model),
+            seasonalSection(model),
+            monthlySection(model),
+            youthLaborSection()
+        ]
+    };
+}
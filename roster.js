@@ -0,0 +1,345 @@
+/**
+ * Compost Coordinator - Customer Roster
+ *
+ * The actual subscriber list (replaces the spreadsheet):
+ * - Household records: address, coordinates, housing type, plan,
+ *   start date, bucket count, give-back owed/delivered, notes
+ * - Persisted in IndexedDB
+ * - CSV import / export
+ * - Summarized into calculateFullModel inputs (housing mix + plan mix)
+ *
+ * Validation, CSV and summary functions are pure and testable;
+ * the storage functions wrap IndexedDB in promises.
+ */
+
+import { HOUSING_PROFILES, SUBSCRIPTION_PLANS } from './calculator.js';
+
+const DB_NAME = 'compost-roster';
+const DB_VERSION = 1;
+const STORE_NAME = 'households';
+
+// CSV column order (also the export header)
+export const ROSTER_FIELDS = [
+    'id',
+    'address',
+    'lat',
+    'lng',
+    'housingType',
+    'plan',
+    'startDate',
+    'buckets',
+    'givebackOwed',
+    'givebackDelivered',
+    'notes'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate and normalize a household record
+ * @param {Object} data - Raw household (form fields or CSV row)
+ * @returns {Object} Normalized household (id only if one was given)
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeHousehold(data) {
+    const address = String(data?.address ?? '').trim();
+    if (address === '') {
+        throw new Error('Household needs an address');
+    }
+
+    const housingType = data.housingType || 'sfOwned';
+    if (!HOUSING_PROFILES[housingType]) {
+        throw new Error(`${address}: unknown housing type "${housingType}"`);
+    }
+
+    const plan = data.plan || 'monthly';
+    if (!SUBSCRIPTION_PLANS[plan]) {
+        throw new Error(`${address}: unknown plan "${plan}"`);
+    }
+
+    const startDate = String(data.startDate ?? '').trim();
+    if (!DATE_PATTERN.test(startDate) || Number.isNaN(Date.parse(startDate))) {
+        throw new Error(`${address}: start date must be YYYY-MM-DD`);
+    }
+
+    const household = {};
+
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        household.id = Number(data.id);
+        if (!Number.isInteger(household.id)) {
+            throw new Error(`${address}: invalid id "${data.id}"`);
+        }
+    }
+
+    Object.assign(household, {
+        address,
+        lat: readCoordinate(data.lat, 90, 'latitude', address),
+        lng: readCoordinate(data.lng, 180, 'longitude', address),
+        housingType,
+        plan,
+        startDate,
+        buckets: readNumber(data.buckets, 1, 'buckets', address),
+        givebackOwed: readNumber(data.givebackOwed, 0, 'give-back owed', address),
+        givebackDelivered: readNumber(data.givebackDelivered, 0, 'give-back delivered', address),
+        notes: String(data.notes ?? '').trim()
+    });
+
+    return household;
+}
+
+// Coordinates are optional (null until geocoded) but needed for route planning
+function readCoordinate(value, limit, label, address) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || Math.abs(number) > limit) {
+        throw new Error(`${address}: invalid ${label} "${value}"`);
+    }
+    return number;
+}
+
+function readNumber(value, fallback, label, address) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${address}: invalid ${label} "${value}"`);
+    }
+    return number;
+}
+
+// ============================================
+// Summary & Model Inputs
+// ============================================
+
+/**
+ * Households on the roster as of a date (started on or before it)
+ * @param {Array} households - Roster
+ * @param {string} asOf - YYYY-MM-DD (default: everyone)
+ * @returns {Array} Active households
+ */
+export function getActiveHouseholds(households, asOf = null) {
+    if (!asOf) return households;
+    return households.filter(h => h.startDate <= asOf);
+}
+
+/**
+ * Roll up the roster into counts and give-back balances
+ * @param {Array} households - Roster
+ * @param {string} asOf - Optional YYYY-MM-DD cutoff
+ * @returns {Object} { households, housingMix, planMix, buckets, givebackOwed, givebackDelivered, givebackOutstanding }
+ */
+export function summarizeRoster(households, asOf = null) {
+    const active = getActiveHouseholds(households, asOf);
+    const housingMix = {};
+    const planMix = {};
+
+    for (const household of active) {
+        housingMix[household.housingType] = (housingMix[household.housingType] || 0) + 1;
+        planMix[household.plan] = (planMix[household.plan] || 0) + 1;
+    }
+
+    const givebackOwed = active.reduce((sum, h) => sum + h.givebackOwed, 0);
+    const givebackDelivered = active.reduce((sum, h) => sum + h.givebackDelivered, 0);
+
+    return {
+        households: active.length,
+        housingMix,
+        planMix,
+        buckets: active.reduce((sum, h) => sum + h.buckets, 0),
+        givebackOwed,
+        givebackDelivered,
+        givebackOutstanding: Math.max(0, givebackOwed - givebackDelivered)
+    };
+}
+
+/**
+ * calculateFullModel inputs taken from the roster
+ * Merge over the price inputs: { ...prices, ...rosterToModelInputs(roster) }
+ * @param {Array} households - Roster
+ * @param {string} asOf - Optional YYYY-MM-DD cutoff
+ * @returns {Object} { households, housingMix, planMix }
+ */
+export function rosterToModelInputs(households, asOf = null) {
+    const summary = summarizeRoster(households, asOf);
+    return {
+        households: summary.households,
+        housingMix: summary.housingMix,
+        planMix: summary.planMix
+    };
+}
+
+// ============================================
+// CSV Import / Export
+// ============================================
+
+function escapeCsv(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize the roster as CSV (header row + one row per household)
+ * @param {Array} households - Roster
+ * @returns {string} CSV text
+ */
+export function exportRosterCsv(households) {
+    const rows = households.map(h => ROSTER_FIELDS.map(field => escapeCsv(h[field])).join(','));
+    return [ROSTER_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Split CSV text into rows of fields (handles quoted commas, quotes, newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a roster CSV (columns matched by header name, any order)
+ * @param {string} text - CSV text
+ * @returns {Array} Normalized households
+ * @throws {Error} If the header lacks required columns or a row is invalid
+ */
+export function importRosterCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error('Roster file is empty');
+    }
+
+    const columns = header.map(name => name.trim());
+    for (const required of ['address', 'startDate']) {
+        if (!columns.includes(required)) {
+            throw new Error(`Roster file is missing the "${required}" column`);
+        }
+    }
+
+    return rows.map((values, index) => {
+        const data = {};
+        columns.forEach((column, i) => {
+            if (ROSTER_FIELDS.includes(column)) data[column] = values[i];
+        });
+        try {
+            return normalizeHousehold(data);
+        } catch (e) {
+            throw new Error(`Row ${index + 2}: ${e.message}`);
+        }
+    });
+}
+
+// ============================================
+// Storage (IndexedDB)
+// ============================================
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a callback against the households store inside one transaction
+ * @returns {Promise} Resolves with the callback's request result when the transaction completes
+ */
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request?.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get every household on the roster
+ * @returns {Promise<Array>} Households, sorted by address
+ */
+export async function loadRoster() {
+    const households = await withStore('readonly', store => store.getAll());
+    return households.sort((a, b) => a.address.localeCompare(b.address));
+}
+
+/**
+ * Add or update a household
+ * @param {Object} household - Household (with id to update)
+ * @returns {Promise<number>} Household id
+ */
+export function saveHousehold(household) {
+    const normalized = normalizeHousehold(household);
+    return withStore('readwrite', store => store.put(normalized));
+}
+
+/**
+ * Delete a household by id
+ * @returns {Promise}
+ */
+export function deleteHousehold(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Add or update many households (CSV import) in one transaction
+ * Rows with an id overwrite that household; rows without are added.
+ * @param {Array} households - Normalized households
+ * @returns {Promise}
+ */
+export function saveHouseholds(households) {
+    return withStore('readwrite', store => {
+        households.forEach(household => store.put(household));
+    });
+}
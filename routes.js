@@ -0,0 +1,266 @@
+/**
+ * Compost Coordinator - Collection Route Planner
+ *
+ * Weekly pickup route from the depot through every subscriber:
+ * - Stop order by nearest neighbor, improved with 2-opt
+ * - Road miles from straight-line distance (circuity factor)
+ * - Drive time by vehicle (ATV + trailer vs truck)
+ * - Stop time per household plus bucket cleaning back at the depot
+ *
+ * The result's hoursPerMonth replaces calculateLabor's linear
+ * collection estimate (pass `route` to calculateFullModel).
+ *
+ * Planning functions are pure and testable; the depot and vehicle
+ * (set on roster.html, defaulting to config.route) are persisted in
+ * localStorage.
+ */
+
+import { EQUIPMENT, WEEKS_PER_MONTH } from './calculator.js';
+
+const STORAGE_KEY = 'compost-route';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Neighborhood streets aren't straight lines
+export const ROAD_CIRCUITY = 1.3;
+
+// Per household per week, from the 15-household collection breakdown:
+// collect food waste (75) + cardboard (45) + return buckets (45) = 165 min
+export const STOP_MINUTES = 11;
+// Bucket cleaning (30 min for 15 households), done at the depot
+export const CLEANING_MINUTES_PER_STOP = 2;
+
+export const VEHICLES = {
+    atvTrailer: {
+        name: 'ATV + trailer',
+        equipment: [EQUIPMENT.logistics.atv, EQUIPMENT.logistics.trailer],
+        speedMph: 12,
+        minDriverAge: 14 // with ATV certification (see YOUTH_LABOR)
+    },
+    truck: {
+        name: 'Pickup truck',
+        equipment: [], // family or volunteer vehicle, not purchased
+        speedMph: 20,
+        minDriverAge: 16
+    }
+};
+
+// ============================================
+// Distance
+// ============================================
+
+/**
+ * Straight-line distance between two points (haversine)
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Miles
+ */
+export function distanceMiles(a, b) {
+    const toRadians = (deg) => deg * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Length of a closed tour depot → stops → depot
+ * @param {Object} depot - { lat, lng }
+ * @param {Array} stops - Ordered stops with lat/lng
+ * @returns {number} Straight-line miles
+ */
+export function tourMiles(depot, stops) {
+    let miles = 0;
+    let previous = depot;
+    for (const stop of stops) {
+        miles += distanceMiles(previous, stop);
+        previous = stop;
+    }
+    return miles + distanceMiles(previous, depot);
+}
+
+// ============================================
+// Stop Ordering
+// ============================================
+
+/**
+ * Order stops by always driving to the closest unvisited one
+ * @param {Object} depot - { lat, lng }
+ * @param {Array} stops - Stops with lat/lng
+ * @returns {Array} Stops in visiting order
+ */
+export function nearestNeighborOrder(depot, stops) {
+    const remaining = [...stops];
+    const order = [];
+    let current = depot;
+
+    while (remaining.length > 0) {
+        let closest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (distanceMiles(current, remaining[i]) < distanceMiles(current, remaining[closest])) {
+                closest = i;
+            }
+        }
+        current = remaining.splice(closest, 1)[0];
+        order.push(current);
+    }
+
+    return order;
+}
+
+/**
+ * Improve a tour by reversing segments while that shortens it (2-opt)
+ * @param {Object} depot - { lat, lng }
+ * @param {Array} stops - Stops in visiting order
+ * @returns {Array} Improved order
+ */
+export function twoOpt(depot, stops) {
+    let order = [...stops];
+    let best = tourMiles(depot, order);
+    let improved = true;
+
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < order.length - 1; i++) {
+            for (let j = i + 1; j < order.length; j++) {
+                const candidate = [
+                    ...order.slice(0, i),
+                    ...order.slice(i, j + 1).reverse(),
+                    ...order.slice(j + 1)
+                ];
+                const miles = tourMiles(depot, candidate);
+                if (miles < best - 1e-9) {
+                    order = candidate;
+                    best = miles;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return order;
+}
+
+// ============================================
+// Route Plan
+// ============================================
+
+/**
+ * Plan the weekly collection route
+ * @param {Object} params
+ * @param {Object} params.depot - { lat, lng } where the route starts and ends
+ * @param {Array} params.stops - Subscribers with lat/lng (e.g. roster households)
+ * @param {string} params.vehicle - Key in VEHICLES
+ * @returns {Object} { vehicle, stops, miles, driveMinutes, stopMinutes, cleaningMinutes, minutesPerWeek, hoursPerMonth }
+ * @throws {Error} If the vehicle is unknown or a stop has no coordinates
+ */
+export function planRoute({ depot, stops, vehicle = 'atvTrailer' }) {
+    const spec = VEHICLES[vehicle];
+    if (!spec) {
+        throw new Error(`Unknown vehicle: ${vehicle}`);
+    }
+    for (const point of [depot, ...stops]) {
+        if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lng)) {
+            throw new Error(`Missing coordinates for ${point?.address || 'depot'}`);
+        }
+    }
+
+    const order = twoOpt(depot, nearestNeighborOrder(depot, stops));
+    const miles = stops.length > 0 ? tourMiles(depot, order) * ROAD_CIRCUITY : 0;
+
+    const driveMinutes = (miles / spec.speedMph) * 60;
+    const stopMinutes = stops.length * STOP_MINUTES;
+    const cleaningMinutes = stops.length * CLEANING_MINUTES_PER_STOP;
+    const minutesPerWeek = driveMinutes + stopMinutes + cleaningMinutes;
+
+    return {
+        vehicle,
+        stops: order,
+        miles,
+        driveMinutes,
+        stopMinutes,
+        cleaningMinutes,
+        minutesPerWeek,
+        hoursPerMonth: (minutesPerWeek / 60) * WEEKS_PER_MONTH
+    };
+}
+
+/**
+ * Plan the route for a roster, or explain why it can't be planned
+ * Without a route the model keeps the linear collection estimate.
+ * @param {Object} params
+ * @param {Object|null} params.depot - { lat, lng }
+ * @param {string} params.vehicle - Key in VEHICLES
+ * @param {Array} params.households - Roster households
+ * @returns {Object} { route, reason } - route is null when reason is set
+ */
+export function planRosterRoute({ depot, vehicle, households }) {
+    if (!depot) {
+        return { route: null, reason: 'No depot set' };
+    }
+    const missing = households.filter(h => !Number.isFinite(h.lat) || !Number.isFinite(h.lng)).length;
+    if (missing > 0) {
+        return { route: null, reason: `${missing} address${missing === 1 ? ' has' : 'es have'} no coordinates` };
+    }
+    return { route: planRoute({ depot, stops: households, vehicle }), reason: null };
+}
+
+// ============================================
+// Route Settings (localStorage)
+// ============================================
+
+/**
+ * Validate depot coordinates and vehicle
+ * @param {Object} data - { depot: { lat, lng } | null, vehicle }
+ * @returns {Object} Normalized settings
+ * @throws {Error} If the coordinates or vehicle are invalid
+ */
+export function normalizeRouteSettings(data) {
+    if (!VEHICLES[data.vehicle]) {
+        throw new Error(`Unknown vehicle: ${data.vehicle}`);
+    }
+
+    const { lat, lng } = data.depot || {};
+    if ((lat === '' || lat == null) && (lng === '' || lng == null)) {
+        return { depot: null, vehicle: data.vehicle };
+    }
+
+    const depot = { lat: Number(lat), lng: Number(lng) };
+    if (!Number.isFinite(depot.lat) || lat === '' || Math.abs(depot.lat) > 90) {
+        throw new Error(`Invalid depot latitude: ${lat}`);
+    }
+    if (!Number.isFinite(depot.lng) || lng === '' || Math.abs(depot.lng) > 180) {
+        throw new Error(`Invalid depot longitude: ${lng}`);
+    }
+    return { depot, vehicle: data.vehicle };
+}
+
+/**
+ * Get the saved depot and vehicle
+ * @param {Object} defaults - { depot, vehicle } (config.route)
+ * @returns {Object} { depot, vehicle }
+ */
+export function loadRouteSettings(defaults) {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? { ...defaults, ...JSON.parse(saved) } : { ...defaults };
+    } catch (e) {
+        console.warn('Failed to load route settings:', e);
+        return { ...defaults };
+    }
+}
+
+/**
+ * Save the depot and vehicle
+ * @returns {Object} Normalized settings
+ */
+export function saveRouteSettings(data) {
+    const settings = normalizeRouteSettings(data);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Failed to save route settings:', e);
+    }
+    return settings;
+}
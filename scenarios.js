@@ -0,0 +1,307 @@
+/**
+ * Compost Coordinator - Scenarios
+ *
+ * Named sets of model inputs for pitching different neighborhoods:
+ * - Save / load / delete in localStorage
+ * - Export / import as JSON files
+ * - Encode into a shareable URL hash (plan mix and planned route included,
+ *   so the report matches the dashboard)
+ * - Side-by-side comparison of calculateFullModel outputs
+ */
+
+import { calculateFullModel, EXPENSES, HOUSING_PROFILES, SUBSCRIPTION_PLANS } from './calculator.js';
+
+const STORAGE_KEY = 'compost-scenarios';
+const EXPORT_VERSION = 1;
+
+export const MAX_COMPARE = 3;
+
+// Inputs a scenario carries (housingMix, planMix and route optional, legalStructure defaults to 'dba')
+const NUMBER_INPUTS = ['households', 'subscriptionPrice', 'compostPrice', 'teaPrice', 'givebackPerYear'];
+
+// Rows shown in the comparison view
+export const COMPARE_METRICS = [
+    { label: 'Households', path: 'households', format: 'number' },
+    { label: 'Subscriptions/mo', path: 'revenue.subscriptions', format: 'currency' },
+    { label: 'Compost/mo', path: 'revenue.compost', format: 'currency' },
+    { label: 'Tea/mo', path: 'revenue.tea', format: 'currency' },
+    { label: 'Revenue/mo', path: 'revenue.total', format: 'currency' },
+    { label: 'Labor/mo', path: 'labor.total', format: 'hours' },
+    { label: 'Effective rate', path: 'hourlyRate', format: 'rate' },
+    { label: 'Expenses/mo', path: 'expenses.total', format: 'currency' },
+    { label: 'Net/mo', path: 'netIncome', format: 'currency' },
+    { label: 'Net rate', path: 'netHourlyRate', format: 'rate' },
+    { label: 'Annual revenue', path: 'annual.revenue', format: 'currency' },
+    { label: 'Annual hours', path: 'annual.hours', format: 'hours' },
+    { label: 'Annual rate', path: 'annual.hourlyRate', format: 'rate' },
+    { label: 'Startup cost', path: 'capital.startupCost', format: 'currency' }
+];
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate and normalize a scenario object
+ * @param {Object} data - { name, inputs }
+ *        inputs.route keeps only the planned { miles, hoursPerMonth } the model uses
+ * @returns {Object} Normalized scenario
+ * @throws {Error} If the scenario is missing a name or has invalid inputs
+ */
+export function normalizeScenario(data) {
+    if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Scenario needs a name');
+    }
+
+    const source = data.inputs || {};
+    const inputs = {};
+
+    for (const key of NUMBER_INPUTS) {
+        const value = Number(source[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Scenario "${data.name}" has invalid ${key}: ${source[key]}`);
+        }
+        inputs[key] = value;
+    }
+
+    inputs.includeLawnService = source.includeLawnService !== false;
+    inputs.legalStructure = source.legalStructure || 'dba';
+    if (!EXPENSES.fees[inputs.legalStructure]) {
+        throw new Error(`Scenario "${data.name}" has unknown legal structure: ${inputs.legalStructure}`);
+    }
+    inputs.housingMix = source.housingMix ? normalizeHousingMix(source.housingMix, data.name) : null;
+    inputs.planMix = source.planMix ? normalizePlanMix(source.planMix, data.name) : null;
+    inputs.route = source.route ? normalizeRoute(source.route, data.name) : null;
+
+    if (inputs.housingMix) {
+        inputs.households = Object.values(inputs.housingMix).reduce((sum, n) => sum + n, 0);
+    }
+
+    return { name: data.name.trim(), inputs };
+}
+
+function normalizeHousingMix(mix, name) {
+    const normalized = {};
+    for (const [type, count] of Object.entries(mix)) {
+        if (!HOUSING_PROFILES[type]) {
+            throw new Error(`Scenario "${name}" has unknown housing type: ${type}`);
+        }
+        const value = Number(count);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Scenario "${name}" has invalid ${type} count: ${count}`);
+        }
+        normalized[type] = value;
+    }
+    return normalized;
+}
+
+function normalizePlanMix(mix, name) {
+    const normalized = {};
+    for (const [plan, count] of Object.entries(mix)) {
+        if (!SUBSCRIPTION_PLANS[plan]) {
+            throw new Error(`Scenario "${name}" has unknown plan: ${plan}`);
+        }
+        const value = Number(count);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Scenario "${name}" has invalid ${plan} count: ${count}`);
+        }
+        normalized[plan] = value;
+    }
+    return normalized;
+}
+
+function normalizeRoute(route, name) {
+    const miles = Number(route.miles);
+    const hoursPerMonth = Number(route.hoursPerMonth);
+    if (!Number.isFinite(miles) || miles < 0 || !Number.isFinite(hoursPerMonth) || hoursPerMonth < 0) {
+        throw new Error(`Scenario "${name}" has an invalid route: ${route.miles} mi, ${route.hoursPerMonth} hr`);
+    }
+    return { miles, hoursPerMonth };
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get saved scenarios from localStorage
+ * @returns {Array} Array of scenarios
+ */
+export function loadScenarios() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load scenarios:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a scenario, replacing any with the same name
+ * @returns {Array} Updated scenarios
+ */
+export function saveScenario(scenario) {
+    const normalized = normalizeScenario(scenario);
+    const scenarios = upsertScenario(loadScenarios(), normalized);
+    writeScenarios(scenarios);
+    return scenarios;
+}
+
+/**
+ * Delete a scenario by name
+ * @returns {Array} Updated scenarios
+ */
+export function deleteScenario(name) {
+    const scenarios = loadScenarios().filter(s => s.name !== name);
+    writeScenarios(scenarios);
+    return scenarios;
+}
+
+function writeScenarios(scenarios) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (e) {
+        console.warn('Failed to save scenarios:', e);
+    }
+}
+
+/**
+ * Insert or replace a scenario by name
+ * @param {Array} scenarios - Existing scenarios
+ * @param {Object} scenario - Normalized scenario
+ * @returns {Array} New array of scenarios
+ */
+export function upsertScenario(scenarios, scenario) {
+    const others = scenarios.filter(s => s.name !== scenario.name);
+    return [...others, scenario];
+}
+
+// ============================================
+// JSON Export / Import
+// ============================================
+
+/**
+ * Serialize scenarios for download
+ * @param {Array} scenarios - Scenarios to export
+ * @returns {string} JSON text
+ */
+export function exportScenarios(scenarios) {
+    return JSON.stringify({ version: EXPORT_VERSION, scenarios }, null, 2);
+}
+
+/**
+ * Parse an exported file (or a single bare scenario)
+ * @param {string} json - JSON text
+ * @returns {Array} Normalized scenarios
+ * @throws {Error} If the file is not valid scenario JSON
+ */
+export function importScenarios(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Scenario file is not valid JSON');
+    }
+
+    const list = Array.isArray(data) ? data : (data.scenarios || [data]);
+    return list.map(normalizeScenario);
+}
+
+// ============================================
+// Shareable URL Hash
+// ============================================
+
+/**
+ * Encode a scenario as a URL hash
+ * e.g. #name=Eagle+Crest&households=15&...&legal=coop&mix=sfOwned:10,condo:6&plans=monthly:12,annual:4&route=14.2:9.5
+ * @param {Object} scenario - { name, inputs }
+ * @returns {string} Hash string including leading '#'
+ */
+export function encodeScenarioHash(scenario) {
+    const { name, inputs } = normalizeScenario(scenario);
+    const params = new URLSearchParams({ name });
+
+    for (const key of NUMBER_INPUTS) {
+        params.set(key, inputs[key]);
+    }
+    params.set('lawn', inputs.includeLawnService ? '1' : '0');
+    params.set('legal', inputs.legalStructure);
+
+    if (inputs.housingMix) {
+        params.set('mix', Object.entries(inputs.housingMix)
+            .map(([type, count]) => `${type}:${count}`)
+            .join(','));
+    }
+    if (inputs.planMix) {
+        params.set('plans', Object.entries(inputs.planMix)
+            .map(([plan, count]) => `${plan}:${count}`)
+            .join(','));
+    }
+    if (inputs.route) {
+        params.set('route', `${inputs.route.miles}:${inputs.route.hoursPerMonth}`);
+    }
+
+    return `#${params.toString()}`;
+}
+
+/**
+ * Decode a scenario from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {Object|null} Scenario, or null if the hash holds none
+ */
+export function decodeScenarioHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (!params.has('households')) return null;
+
+    const inputs = {};
+    for (const key of NUMBER_INPUTS) {
+        inputs[key] = params.get(key);
+    }
+    inputs.includeLawnService = params.get('lawn') !== '0';
+    inputs.legalStructure = params.get('legal') || 'dba';
+
+    if (params.get('mix')) {
+        inputs.housingMix = Object.fromEntries(params.get('mix').split(',').map(pair => pair.split(':')));
+    }
+    if (params.get('plans')) {
+        inputs.planMix = Object.fromEntries(params.get('plans').split(',').map(pair => pair.split(':')));
+    }
+    if (params.get('route')) {
+        const [miles, hoursPerMonth] = params.get('route').split(':');
+        inputs.route = { miles, hoursPerMonth };
+    }
+
+    return normalizeScenario({ name: params.get('name') || 'Shared scenario', inputs });
+}
+
+// ============================================
+// Comparison
+// ============================================
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Compare model outputs for up to MAX_COMPARE scenarios
+ * The first scenario is the baseline for differences.
+ * @param {Array} scenarios - Scenarios to compare
+ * @returns {Object} { names, rows: [{ label, format, values, diffs }] }
+ */
+export function compareScenarios(scenarios) {
+    const selected = scenarios.slice(0, MAX_COMPARE);
+    const models = selected.map(s => calculateFullModel(s.inputs));
+
+    const rows = COMPARE_METRICS.map(metric => {
+        const values = models.map(model => getPath(model, metric.path));
+        return {
+            label: metric.label,
+            format: metric.format,
+            values,
+            diffs: values.map(v => v - values[0])
+        };
+    });
+
+    return { names: selected.map(s => s.name), rows };
+}
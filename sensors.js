@@ -0,0 +1,286 @@
+/**
+ * Compost Coordinator - Pile Probe Ingestion
+ *
+ * Turns pile probe data into monitoring readings (monitoring.js):
+ * - MQTT-style JSON messages, one reading or an array per message
+ * - CSV uploads from a data logger
+ * - Device IDs mapped to stage1-stage4
+ * - Readings thinned to one per device per interval
+ *
+ * Messages look like:
+ *   topic:   compost/probe-01/telemetry
+ *   payload: { "time": "2025-06-01T08:00", "temperatureF": 142, "moisturePct": 55 }
+ * The device comes from the payload's `device` field or the topic.
+ * Celsius (`temperatureC`) is converted. Times without a zone are pile
+ * wall-clock time; ISO times with a zone and epoch seconds are converted
+ * to local time.
+ *
+ * Parsing functions are pure and testable; the device map is persisted
+ * in localStorage.
+ */
+
+import { STAGES } from './piles.js';
+import { normalizeReading } from './monitoring.js';
+import { parseCsv } from './roster.js';
+
+const STORAGE_KEY = 'compost-sensors';
+
+export const DEFAULT_TOPIC = 'compost/+/telemetry';
+
+// Probes log every few minutes; keep one reading per device per hour
+export const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Accepted field names (JSON keys and CSV headers, case-insensitive)
+const FIELD_ALIASES = {
+    device: ['device', 'deviceid', 'device_id', 'probe', 'sensor'],
+    time: ['time', 'timestamp', 'ts', 'datetime'],
+    temperatureF: ['temperaturef', 'temperature_f', 'tempf', 'temp_f'],
+    temperatureC: ['temperaturec', 'temperature_c', 'tempc', 'temp_c'],
+    moisturePct: ['moisturepct', 'moisture_pct', 'moisture', 'vwc']
+};
+
+// ============================================
+// Field Helpers
+// ============================================
+
+function pick(record, field) {
+    for (const [key, value] of Object.entries(record)) {
+        if (FIELD_ALIASES[field].includes(key.toLowerCase())) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Probe time as "YYYY-MM-DDTHH:MM"
+ * @param {string|number} value - Wall-clock time, ISO time with zone, or epoch seconds
+ * @returns {string}
+ * @throws {Error} If the time can't be read
+ */
+export function parseProbeTime(value) {
+    const text = String(value ?? '').trim();
+    const wallClock = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/.exec(text);
+    if (wallClock) {
+        return `${wallClock[1]}T${wallClock[2]}`;
+    }
+
+    const ms = /^\d+(\.\d+)?$/.test(text) ? Number(text) * 1000 : Date.parse(text);
+    if (text === '' || Number.isNaN(ms)) {
+        throw new Error(`Unreadable time: ${value}`);
+    }
+    const date = new Date(ms);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Convert one probe record to a monitoring reading
+ * @param {Object} record - Raw JSON object or CSV row keyed by header
+ * @param {Object} devices - { [deviceId]: stage }
+ * @param {string} fallbackDevice - Device from the MQTT topic
+ * @returns {Object} Normalized reading with deviceId
+ * @throws {Error} If the device is unmapped or a value is invalid
+ */
+export function toReading(record, devices, fallbackDevice = null) {
+    const deviceId = String(pick(record, 'device') ?? fallbackDevice ?? '').trim();
+    if (deviceId === '') {
+        throw new Error('Reading has no device ID');
+    }
+    const stage = devices[deviceId];
+    if (!stage) {
+        throw new Error(`Device ${deviceId} is not mapped to a stage`);
+    }
+
+    const celsius = pick(record, 'temperatureC');
+    let temperatureF = pick(record, 'temperatureF');
+    if ((temperatureF === undefined || temperatureF === '') && celsius !== undefined && celsius !== '') {
+        temperatureF = Math.round((Number(celsius) * 9 / 5 + 32) * 10) / 10;
+    }
+
+    return normalizeReading({
+        time: parseProbeTime(pick(record, 'time')),
+        stage,
+        temperatureF,
+        moisturePct: pick(record, 'moisturePct'),
+        deviceId
+    });
+}
+
+/**
+ * Keep the first reading per device in each interval
+ * @param {Array} readings - Readings with deviceId
+ * @param {number} intervalMinutes - Interval length (0 keeps everything)
+ * @returns {Array} Thinned readings, oldest first
+ */
+export function thinReadings(readings, intervalMinutes = DEFAULT_INTERVAL_MINUTES) {
+    const sorted = [...readings].sort((a, b) => a.time.localeCompare(b.time));
+    if (!(intervalMinutes > 0)) return sorted;
+
+    const lastKept = {};
+    return sorted.filter(reading => {
+        const minutes = Date.parse(`${reading.time}:00Z`) / 60000;
+        const key = reading.deviceId ?? reading.stage;
+        if (lastKept[key] !== undefined && minutes - lastKept[key] < intervalMinutes) {
+            return false;
+        }
+        lastKept[key] = minutes;
+        return true;
+    });
+}
+
+// ============================================
+// Ingestion
+// ============================================
+
+/**
+ * Device ID from an MQTT topic like "compost/probe-01/telemetry"
+ * @param {string} topic
+ * @returns {string|null}
+ */
+export function deviceFromTopic(topic) {
+    const parts = String(topic ?? '').split('/');
+    return parts.length >= 3 ? parts[parts.length - 2] : null;
+}
+
+/**
+ * Readings from one MQTT-style message
+ * @param {string} topic - e.g. "compost/probe-01/telemetry"
+ * @param {string|Object|Array} payload - JSON text (or bytes) or parsed JSON
+ * @param {Object} devices - { [deviceId]: stage }
+ * @returns {Object} { readings, errors }
+ */
+export function parseMessage(topic, payload, devices) {
+    let data = payload;
+    if (typeof payload !== 'object' || payload instanceof Uint8Array) {
+        const text = payload instanceof Uint8Array ? new TextDecoder().decode(payload) : String(payload);
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { readings: [], errors: [`${topic}: payload is not JSON`] };
+        }
+    }
+
+    const readings = [];
+    const errors = [];
+    (Array.isArray(data) ? data : [data]).forEach((record, index) => {
+        try {
+            readings.push(toReading(record, devices, deviceFromTopic(topic)));
+        } catch (e) {
+            errors.push(`${topic}${Array.isArray(data) ? ` [${index}]` : ''}: ${e.message}`);
+        }
+    });
+    return { readings, errors };
+}
+
+/**
+ * Readings from a data logger CSV (header row required)
+ * @param {string} text - CSV text
+ * @param {Object} devices - { [deviceId]: stage }
+ * @param {Object} options
+ * @param {string} options.deviceId - Device for files without a device column
+ * @param {number} options.intervalMinutes - Thin to one reading per interval
+ * @returns {Object} { readings, errors } (errors as "Row N: ...")
+ */
+export function parseLoggerCsv(text, devices, { deviceId = null, intervalMinutes = DEFAULT_INTERVAL_MINUTES } = {}) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.some(name => FIELD_ALIASES.time.includes(name.trim().toLowerCase()))) {
+        throw new Error('CSV needs a header row with a time column');
+    }
+
+    const readings = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        if (row.every(field => field.trim() === '')) return;
+        const record = Object.fromEntries(header.map((name, i) => [name.trim(), (row[i] ?? '').trim()]));
+        try {
+            readings.push(toReading(record, devices, deviceId));
+        } catch (e) {
+            errors.push(`Row ${index + 2}: ${e.message}`);
+        }
+    });
+
+    return { readings: thinReadings(readings, intervalMinutes), errors };
+}
+
+/**
+ * Subscribe an MQTT client (mqtt.js-style: subscribe, on('message'))
+ * @param {Object} client - Connected client or a mock broker
+ * @param {Object} params
+ * @param {Object} params.devices - { [deviceId]: stage }
+ * @param {Function} params.onReadings - Called with each message's readings
+ * @param {Function} params.onError - Called with each message's errors
+ * @param {string} params.topic - Topic filter
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProbes(client, { devices, onReadings, onError = () => {}, topic = DEFAULT_TOPIC }) {
+    const handler = (messageTopic, payload) => {
+        const { readings, errors } = parseMessage(messageTopic, payload, devices);
+        if (readings.length > 0) onReadings(readings);
+        if (errors.length > 0) onError(errors);
+    };
+
+    client.subscribe(topic);
+    client.on('message', handler);
+
+    return () => {
+        client.removeListener?.('message', handler);
+        client.unsubscribe?.(topic);
+    };
+}
+
+// ============================================
+// Device Map (localStorage)
+// ============================================
+
+/**
+ * Get the device → stage map from localStorage
+ * @returns {Object} { [deviceId]: stage }
+ */
+export function loadDevices() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        console.warn('Failed to load sensor devices:', e);
+        return {};
+    }
+}
+
+/**
+ * Map a device to a stage
+ * @returns {Object} Updated map
+ */
+export function saveDevice(deviceId, stage) {
+    const id = String(deviceId ?? '').trim();
+    if (id === '') {
+        throw new Error('Device needs an ID');
+    }
+    if (!STAGES.includes(stage)) {
+        throw new Error(`Unknown stage: ${stage}`);
+    }
+    const devices = { ...loadDevices(), [id]: stage };
+    writeDevices(devices);
+    return devices;
+}
+
+/**
+ * Remove a device mapping
+ * @returns {Object} Updated map
+ */
+export function deleteDevice(deviceId) {
+    const { [deviceId]: removed, ...devices } = loadDevices();
+    writeDevices(devices);
+    return devices;
+}
+
+function writeDevices(devices) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(devices));
+    } catch (e) {
+        console.warn('Failed to save sensor devices:', e);
+    }
+}
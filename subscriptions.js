@@ -0,0 +1,270 @@
+/**
+ * Compost Coordinator - Subscription Projection
+ *
+ * Month-by-month subscriber and cash projection across plans:
+ * - New households start on a monthly trial
+ * - Trial conversion into monthly or annual plans (plan mix)
+ * - Monthly churn (annual subscribers only leave at renewal)
+ * - Annual prepayment on signup anniversary or a fixed billing month
+ * - HOA contracts paid as lump sums (SUBSCRIPTION_PLANS.hoa price and term)
+ *
+ * Reports MRR (recurring revenue, spread evenly) alongside the cash
+ * actually collected each month - annual and HOA payments arrive in
+ * lumps, so cash in hand runs ahead of MRR. The dashboard's Projection
+ * panel starts it from the current model inputs.
+ *
+ * All functions are pure (no side effects) and testable.
+ */
+
+import { SUBSCRIPTION_PLANS, MONTH_NAMES, DEFAULT_ACTIVE_MONTHS } from './calculator.js';
+
+const DEFAULT_PROJECTION_MONTHS = 24;
+
+// Share of converted trials choosing each plan
+export const DEFAULT_PLAN_MIX = { monthly: 0.3, annual: 0.7 };
+
+// Fraction of subscribers lost per month
+export const DEFAULT_CHURN = { monthly: 0.05, annual: 0.01 };
+
+export const DEFAULT_TRIAL_CONVERSION = 0.8;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Share of annual subscribers lost at renewal from a monthly churn rate
+ * @param {number} monthlyChurn - Fraction lost per month
+ * @returns {number} Fraction lost over 12 months
+ */
+export function annualizeChurn(monthlyChurn) {
+    return 1 - Math.pow(1 - monthlyChurn, 12);
+}
+
+/**
+ * Months from the current month until the next fixed billing month
+ * @param {number} calendarMonth - Current 0-indexed calendar month
+ * @param {number} billingMonth - 0-indexed billing month
+ * @returns {number} 1-12 (12 when already in the billing month)
+ */
+function monthsUntilBilling(calendarMonth, billingMonth) {
+    return ((billingMonth - calendarMonth + 11) % 12) + 1;
+}
+
+function getSignups(signupsPerMonth, index) {
+    if (Array.isArray(signupsPerMonth)) {
+        return signupsPerMonth[index] || 0;
+    }
+    return signupsPerMonth;
+}
+
+function validateShare(value, name) {
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`${name} must be between 0 and 1: ${value}`);
+    }
+}
+
+// ============================================
+// Projection
+// ============================================
+
+/**
+ * Project subscribers, MRR and cash month by month
+ *
+ * Each month, in order: trials that have run `trialMonths` convert (or
+ * cancel), monthly subscribers churn, annual cohorts due for renewal
+ * renew or leave, then new signups start their trial.
+ *
+ * @param {Object} params
+ * @param {number} params.months - Months to project
+ * @param {number} params.startMonth - 0-indexed calendar month of index 0
+ * @param {number|Array<number>} params.signupsPerMonth - New trial households per month
+ * @param {Object} params.initial - Subscribers at start, e.g. { monthly: 5, annual: 10 }
+ * @param {number} params.trialMonths - Months on the monthly plan before choosing
+ * @param {number} params.trialConversion - Fraction of trials that stay on
+ * @param {Object} params.planMix - Share of converted trials per plan
+ * @param {Object} params.churn - Monthly churn per plan
+ * @param {number|null} params.annualBillingMonth - Calendar month all annual plans renew
+ *        (first payment prorated), or null to bill on signup anniversary
+ * @param {Array} params.hoaContracts - [{ name, households, startIndex, renewals }], priced by plans.hoa
+ * @param {Object} params.plans - Plan prices (default SUBSCRIPTION_PLANS)
+ * @returns {Object} { months, totals }
+ */
+export function projectSubscriptions({
+    months = DEFAULT_PROJECTION_MONTHS,
+    startMonth = DEFAULT_ACTIVE_MONTHS[0],
+    signupsPerMonth = 0,
+    initial = {},
+    trialMonths = 1,
+    trialConversion = DEFAULT_TRIAL_CONVERSION,
+    planMix = DEFAULT_PLAN_MIX,
+    churn = DEFAULT_CHURN,
+    annualBillingMonth = null,
+    hoaContracts = [],
+    plans = SUBSCRIPTION_PLANS
+} = {}) {
+    validateShare(trialConversion, 'Trial conversion');
+    validateShare(churn.monthly || 0, 'Monthly churn');
+    validateShare(churn.annual || 0, 'Annual churn');
+
+    const mixTotal = (planMix.monthly || 0) + (planMix.annual || 0);
+    const annualShare = mixTotal > 0 ? (planMix.annual || 0) / mixTotal : 0;
+    const renewalLoss = annualizeChurn(churn.annual || 0);
+
+    const monthlyPrice = plans.monthly.price;
+    const annualPrice = plans.annual.price;
+
+    let trials = []; // [{ startIndex, count }]
+    let monthly = initial.monthly || 0;
+    let annualCohorts = []; // [{ count, renewsAt }]
+    let cumulativeCash = 0;
+
+    // Add an annual cohort and return its first payment
+    const startAnnual = (count, index, calendarMonth) => {
+        if (count <= 0) return 0;
+        if (annualBillingMonth === null) {
+            annualCohorts.push({ count, renewsAt: index + 12 });
+            return count * annualPrice;
+        }
+        const prepaid = monthsUntilBilling(calendarMonth, annualBillingMonth);
+        annualCohorts.push({ count, renewsAt: index + prepaid });
+        return count * annualPrice * prepaid / 12;
+    };
+
+    const result = [];
+
+    for (let index = 0; index < months; index++) {
+        const calendarMonth = (startMonth + index) % 12;
+        let annualCash = 0;
+
+        if (index === 0) {
+            annualCash += startAnnual(initial.annual || 0, index, calendarMonth);
+        }
+
+        // Trials reaching the end of their trial
+        const ending = trials.filter(t => index - t.startIndex >= trialMonths);
+        trials = trials.filter(t => index - t.startIndex < trialMonths);
+        const endingCount = ending.reduce((sum, t) => sum + t.count, 0);
+        const converted = endingCount * trialConversion;
+        const toAnnual = converted * annualShare;
+
+        // Monthly churn, then converts join
+        const monthlyLost = monthly * (churn.monthly || 0);
+        monthly = monthly - monthlyLost + (converted - toAnnual);
+
+        // Annual renewals (churn applied at renewal)
+        let annualLost = 0;
+        for (const cohort of annualCohorts) {
+            if (cohort.renewsAt !== index) continue;
+            const lost = cohort.count * renewalLoss;
+            annualLost += lost;
+            cohort.count -= lost;
+            cohort.renewsAt = index + 12;
+            annualCash += cohort.count * annualPrice;
+        }
+        annualCohorts = annualCohorts.filter(c => c.count > 0);
+        annualCash += startAnnual(toAnnual, index, calendarMonth);
+
+        // New signups start on the monthly plan as a trial
+        const signups = getSignups(signupsPerMonth, index);
+        if (signups > 0) {
+            trials.push({ startIndex: index, count: signups });
+        }
+
+        const trialCount = trials.reduce((sum, t) => sum + t.count, 0);
+        const annual = annualCohorts.reduce((sum, c) => sum + c.count, 0);
+
+        // HOA contracts: lump sum at the start of each term
+        let hoa = 0;
+        let hoaMrr = 0;
+        let hoaCash = 0;
+        for (const contract of hoaContracts) {
+            const { price, termMonths } = plans.hoa;
+            const amount = contract.households * price;
+            const elapsed = index - (contract.startIndex || 0);
+            const terms = 1 + (contract.renewals ?? Infinity);
+            if (elapsed < 0 || elapsed >= termMonths * terms) continue;
+            hoa += contract.households;
+            hoaMrr += amount / termMonths;
+            if (elapsed % termMonths === 0) {
+                hoaCash += amount;
+            }
+        }
+
+        const monthlyCash = (trialCount + monthly) * monthlyPrice;
+        const cash = monthlyCash + annualCash + hoaCash;
+        cumulativeCash += cash;
+
+        const mrr = (trialCount + monthly) * monthlyPrice + annual * annualPrice / 12 + hoaMrr;
+
+        result.push({
+            index,
+            calendarMonth,
+            name: MONTH_NAMES[calendarMonth],
+            year: Math.floor((startMonth + index) / 12) + 1,
+            signups,
+            converted,
+            cancelled: (endingCount - converted) + monthlyLost + annualLost,
+            subscribers: {
+                trial: trialCount,
+                monthly,
+                annual,
+                hoa,
+                total: trialCount + monthly + annual + hoa
+            },
+            mrr,
+            cash: {
+                monthly: monthlyCash,
+                annual: annualCash,
+                hoa: hoaCash,
+                total: cash
+            },
+            cumulativeCash
+        });
+    }
+
+    const last = result[result.length - 1];
+
+    return {
+        months: result,
+        totals: {
+            signups: result.reduce((sum, m) => sum + m.signups, 0),
+            cancelled: result.reduce((sum, m) => sum + m.cancelled, 0),
+            cash: cumulativeCash,
+            endingSubscribers: last ? last.subscribers.total : 0,
+            endingMrr: last ? last.mrr : 0
+        }
+    };
+}
+
+/**
+ * Project subscriptions from the dashboard's model inputs
+ *
+ * Starts from the scenario's subscribers: its plan mix (HOA households
+ * as one contract), or every household on the flat monthly price.
+ * The scenario's own `plans` prices apply in both cases.
+ * Month 0 MRR matches calculateFullModel's subscription revenue.
+ *
+ * @param {Object} inputs - calculateFullModel inputs
+ * @param {Object} options - Other projectSubscriptions parameters (signups, churn, ...)
+ * @returns {Object} { months, totals }
+ */
+export function projectModelSubscriptions(inputs, options = {}) {
+    const { households, subscriptionPrice, planMix = null } = inputs;
+    const plans = { ...SUBSCRIPTION_PLANS, ...inputs.plans };
+
+    if (planMix) {
+        return projectSubscriptions({
+            ...options,
+            initial: { monthly: planMix.monthly || 0, annual: planMix.annual || 0 },
+            hoaContracts: planMix.hoa > 0 ? [{ name: 'HOA', households: planMix.hoa }] : [],
+            plans
+        });
+    }
+
+    return projectSubscriptions({
+        ...options,
+        initial: { monthly: households },
+        plans: { ...plans, monthly: { ...plans.monthly, price: subscriptionPrice } }
+    });
+}
@@ -0,0 +1,175 @@
+/**
+ * Invoicing and Payment Tests for Compost Coordinator
+ *
+ * Tests the accounts ledger:
+ * - Invoice and payment validation
+ * - Subscription billing runs (monthly, annual, HOA contract)
+ * - Invoices for delivered compost and tea
+ * - Balances, overdue invoices and customer totals
+ * - Monthly income report against calculateFullModel
+ */
+
+import * as accounting from '../accounting.js';
+import { calculateFullModel } from '../calculator.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+function invoiceError(data) {
+    try {
+        accounting.normalizeInvoice({ type: 'compost', customer: 'Garden Club', date: '2025-06-01', quantity: 5, unitPrice: 20, ...data });
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+const HOUSEHOLDS = [
+    { id: 1, address: '12 Elm St', plan: 'monthly', startDate: '2025-01-20' },
+    { id: 2, address: '40 Oak Ave', plan: 'annual', startDate: '2024-06-03' },
+    { id: 3, address: '7 Pine Ct', plan: 'hoa', startDate: '2024-06-10' },
+    { id: 4, address: '9 Birch Rd', plan: 'hoa', startDate: '2025-02-01' },
+    { id: 5, address: '3 Ash Ln', plan: 'monthly', startDate: '2025-07-01' }
+];
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeInvoice prices a subscription from its plan', 'Invoices', () => {
+    assertDeepEqual(accounting.normalizeInvoice({ type: 'subscription', plan: 'annual', customer: '40 Oak Ave', householdId: '2', date: '2025-06-01' }), {
+        date: '2025-06-01',
+        dueDate: '2025-07-01',
+        customer: '40 Oak Ave',
+        householdId: 2,
+        type: 'subscription',
+        plan: 'annual',
+        quantity: 1,
+        unitPrice: 250,
+        amount: 250,
+        description: 'Annual subscription',
+        notes: ''
+    });
+});
+
+test('normalizeInvoice validates products and prices', 'Invoices', () => {
+    assertEqual(invoiceError({}), null);
+    assertEqual(invoiceError({ type: 'mulch' }), 'Unknown invoice type: mulch');
+    assertEqual(invoiceError({ customer: '' }), 'Invoice needs a customer');
+    assertEqual(invoiceError({ quantity: -1 }), 'Garden Club: quantity must be positive');
+    assertEqual(invoiceError({ unitPrice: undefined }), 'Garden Club: invalid unit price "undefined"');
+    assertEqual(invoiceError({ type: 'subscription', plan: 'weekly' }), 'Unknown subscription plan: weekly');
+    assertEqual(accounting.normalizeInvoice({ type: 'tea', customer: 'Garden Club', date: '2025-06-01', quantity: 1.5, unitPrice: 15 }).description, '1.5 gal worm tea concentrate');
+});
+
+test('normalizePayment validates amount and method', 'Invoices', () => {
+    const error = (data) => {
+        try {
+            accounting.normalizePayment({ date: '2025-06-05', invoiceId: 'a', amount: 25, ...data });
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(error({}), null);
+    assertEqual(error({ invoiceId: '' }), 'Payment needs an invoice');
+    assertEqual(error({ amount: 0 }), 'Payment must be positive: 0');
+    assertEqual(error({ method: 'barter' }), 'Unknown payment method: barter');
+});
+
+// ============================================
+// Invoice Generation Tests
+// ============================================
+
+test('generateSubscriptionInvoices bills monthly, annual anniversaries and the HOA', 'Billing Run', () => {
+    const june = accounting.generateSubscriptionInvoices({ households: HOUSEHOLDS, month: '2025-06' });
+    assertDeepEqual(june.map(i => `${i.id} $${i.amount}`), [
+        'subscription-1-2025-06 $25',
+        'subscription-2-2025-06 $250',
+        'subscription-hoa-2025-06 $480'
+    ]);
+    assertEqual(june[2].description, 'HOA contract subscription (2 households)');
+
+    const july = accounting.generateSubscriptionInvoices({ households: HOUSEHOLDS, month: '2025-07', existing: [{ id: 'subscription-1-2025-07' }] });
+    assertDeepEqual(july.map(i => i.id), ['subscription-5-2025-07'], 'Already issued invoices are skipped');
+});
+
+test('invoiceFromOrder bills delivered compost and tea, not give-back', 'Billing Run', () => {
+    const prices = { compostPrice: 20, teaPrice: 15 };
+    const tea = accounting.invoiceFromOrder({
+        id: 'tea-1', type: 'tea', customer: 'Garden Club', date: '2025-06-01', gallons: 2, areaSqFt: 2000,
+        status: 'delivered', deliveredOn: '2025-06-07', notes: ''
+    }, prices);
+    assertEqual(tea.id, 'invoice-tea-1');
+    assertEqual(tea.date, '2025-06-07');
+    assertEqual(tea.amount, 30);
+    assertEqual(tea.description, 'Tea application, 2000 sq ft (2 gal concentrate)');
+
+    let error = null;
+    try {
+        accounting.invoiceFromOrder({ id: 'g', type: 'giveback', customer: '12 Elm St', status: 'delivered' }, prices);
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'Give-back deliveries are not invoiced');
+});
+
+// ============================================
+// Balance Tests
+// ============================================
+
+test('buildAccounts applies payments and flags overdue invoices', 'Balances', () => {
+    const invoices = [
+        accounting.normalizeInvoice({ id: 'a', type: 'subscription', customer: '12 Elm St', date: '2025-05-01' }),
+        accounting.normalizeInvoice({ id: 'b', type: 'compost', customer: 'Garden Club', date: '2025-06-01', quantity: 5, unitPrice: 20 }),
+        accounting.normalizeInvoice({ id: 'c', type: 'subscription', customer: '12 Elm St', date: '2025-06-01' }),
+        accounting.normalizeInvoice({ id: 'd', type: 'tea', customer: 'Garden Club', date: '2025-07-01', quantity: 1, unitPrice: 15 })
+    ];
+    const payments = [
+        accounting.normalizePayment({ date: '2025-05-03', invoiceId: 'a', amount: 25 }),
+        accounting.normalizePayment({ date: '2025-06-10', invoiceId: 'b', amount: 40 }),
+        accounting.normalizePayment({ date: '2025-06-10', invoiceId: 'c', amount: 30 }),
+        accounting.normalizePayment({ date: '2025-06-11', invoiceId: 'zzz', amount: 5 })
+    ];
+    const accounts = accounting.buildAccounts({ invoices, payments, asOf: '2025-07-15' });
+
+    assertDeepEqual(accounts.invoices.map(i => `${i.id} ${i.status} ${i.balance}`), [
+        'd open 15',
+        'b overdue 60',
+        'c credit -5',
+        'a paid 0'
+    ]);
+    assertDeepEqual(accounts.customers, [
+        { customer: 'Garden Club', invoiced: 115, paid: 40, balance: 75 },
+        { customer: '12 Elm St', invoiced: 50, paid: 55, balance: -5 }
+    ]);
+    assertDeepEqual(accounts.totals, { invoiced: 165, paid: 95, outstanding: 75, overdue: 60 });
+    assertEqual(accounts.unapplied.length, 1);
+});
+
+// ============================================
+// Income Report Tests
+// ============================================
+
+test('monthlyIncomeReport spreads annual plans and compares with the projection', 'Income Report', () => {
+    const model = calculateFullModel({ households: 15, compostPrice: 20, teaPrice: 15, subscriptionPrice: 25, givebackPerYear: 10 });
+    const invoices = [
+        accounting.normalizeInvoice({ type: 'subscription', plan: 'annual', customer: '40 Oak Ave', date: '2024-07-01' }),
+        accounting.normalizeInvoice({ type: 'subscription', plan: 'monthly', customer: '12 Elm St', date: '2025-06-01' }),
+        accounting.normalizeInvoice({ type: 'compost', customer: 'Garden Club', date: '2025-06-14', quantity: 5, unitPrice: 20 })
+    ];
+    const payments = [accounting.normalizePayment({ date: '2025-06-20', invoiceId: 'x', amount: 25 })];
+    const report = accounting.monthlyIncomeReport({ invoices, payments, year: 2025, projection: model.annual.months });
+
+    const june = report.months[5];
+    assertClose(june.earned.subscriptions, 250 / 12 + 25, 0.001);
+    assertEqual(june.earned.compost, 100);
+    assertEqual(june.collected, 25);
+    assertEqual(june.projected.total, model.annual.months[5].revenue.total);
+    assertClose(june.variance, june.earned.total - june.projected.total, 0.001);
+
+    assertClose(report.months[5 + 1].earned.subscriptions, 0, 0.001, 'Annual plan from July 2024 ends in June');
+    assertClose(report.totals.earned.subscriptions, 250 / 2 + 25, 0.001);
+    assertClose(report.totals.projected.total, model.annual.revenue, 0.001);
+});
@@ -0,0 +1,138 @@
+/**
+ * Break-Even Tests for Compost Coordinator
+ *
+ * Tests equipment payback analysis:
+ * - Phased equipment purchases
+ * - Cumulative cash curve
+ * - Payback month
+ * - Break-even household count
+ */
+
+import * as breakeven from '../breakeven.js';
+import { createSuite, assertEqual, assertClose } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const BASE_PARAMS = {
+    households: 15,
+    compostPrice: 20,
+    teaPrice: 15,
+    subscriptionPrice: 25,
+    givebackPerYear: 10
+};
+
+// ============================================
+// Equipment Purchase Tests
+// ============================================
+
+test('calculateEquipmentPurchases buys everything at start by default', 'Equipment Purchases', () => {
+    const result = breakeven.calculateEquipmentPurchases();
+    assertEqual(result.length, 5);
+    assertEqual(result.every(p => p.month === 0), true);
+    assertEqual(result.reduce((sum, p) => sum + p.cost, 0), 10560);
+});
+
+test('calculateEquipmentPurchases phases categories and skips lawn service', 'Equipment Purchases', () => {
+    const result = breakeven.calculateEquipmentPurchases({
+        includeLawnService: false,
+        purchaseMonths: { logistics: 12 }
+    });
+    assertEqual(result.some(p => p.category === 'lawnService'), false);
+    assertEqual(result.find(p => p.category === 'logistics').month, 12);
+});
+
+// ============================================
+// Cash Flow Tests
+// ============================================
+
+test('calculateCashFlow starts negative by the startup cost', 'Cash Flow', () => {
+    const result = breakeven.calculateCashFlow(BASE_PARAMS);
+    assertEqual(result.months.length, 36);
+    assertEqual(result.months[0].name, 'Mar', 'Starts at season open');
+    assertClose(result.months[0].cumulative, 375 - result.months[0].operatingCost - 10560, 0.001);
+    assertEqual(result.totalInvestment, 10560);
+});
+
+test('calculateCashFlow only earns subscriptions during ramp-up', 'Cash Flow', () => {
+    const result = breakeven.calculateCashFlow(BASE_PARAMS);
+    assertEqual(result.months[3].revenue, 375, 'June: first batch not finished');
+    assertEqual(result.months[4].revenue > 375, true, 'July: compost sales begin');
+});
+
+test('calculateCashFlow charges plan-mix fees and planned-route fuel during ramp-up', 'Cash Flow', () => {
+    const base = breakeven.calculateCashFlow(BASE_PARAMS);
+    const routed = breakeven.calculateCashFlow({ ...BASE_PARAMS, route: { miles: 40, hoursPerMonth: 12 } });
+    assertClose(routed.months[0].operatingCost - base.months[0].operatingCost, 25, 0.001, '25 more mi/week × 4 × $0.25');
+
+    // 15 annual subscribers: 1.25 payments a month instead of 15, on $312.50 instead of $375
+    const annual = breakeven.calculateCashFlow({ ...BASE_PARAMS, planMix: { annual: 15 } });
+    assertClose(annual.months[0].operatingCost - base.months[0].operatingCost, (312.5 - 375) * 0.029 + (1.25 - 15) * 0.3, 0.001);
+});
+
+test('calculateCashFlow finds the payback month', 'Cash Flow', () => {
+    const result = breakeven.calculateCashFlow(BASE_PARAMS);
+    assertEqual(result.paybackMonth, 6);
+    assertEqual(result.months[5].cumulative < 0, true);
+    assertEqual(result.months[6].cumulative >= 0, true);
+});
+
+test('calculateCashFlow pays back sooner when equipment is phased into year 2', 'Cash Flow', () => {
+    const upfront = breakeven.calculateCashFlow(BASE_PARAMS);
+    const phased = breakeven.calculateCashFlow({
+        ...BASE_PARAMS,
+        purchaseMonths: { logistics: 12, lawnService: 12 }
+    });
+    assertEqual(phased.paybackMonth < upfront.paybackMonth, true);
+    assertEqual(phased.months[12].equipment, 9900);
+    assertClose(phased.months[35].cumulative, upfront.months[35].cumulative, 0.01, 'Same total spend by month 36');
+});
+
+test('calculateCashFlow subtracts operating costs', 'Cash Flow', () => {
+    const base = breakeven.calculateCashFlow(BASE_PARAMS);
+    const result = breakeven.calculateCashFlow({ ...BASE_PARAMS, operatingCostPerMonth: 100 });
+    assertEqual(base.months[1].operatingCost > 0, true, 'Expense model applies without extra costs');
+    assertClose(result.months[1].netCash, base.months[1].netCash - 100, 0.001);
+});
+
+test('findPaybackMonth requires cumulative cash to stay positive', 'Cash Flow', () => {
+    const months = [-5, 2, -1, 3, 4].map((cumulative, index) => ({ index, cumulative }));
+    assertEqual(breakeven.findPaybackMonth(months), 3);
+    assertEqual(breakeven.findPaybackMonth([{ index: 0, cumulative: -1 }]), null);
+});
+
+// ============================================
+// Break-Even Household Tests
+// ============================================
+
+test('calculateBreakEvenHouseholds rises with operating costs', 'Break-Even', () => {
+    const low = breakeven.calculateBreakEvenHouseholds(BASE_PARAMS);
+    const high = breakeven.calculateBreakEvenHouseholds({ ...BASE_PARAMS, operatingCostPerMonth: 1000 });
+    assertEqual(high > low, true);
+    assertEqual(breakeven.calculateAnnualProfit({ ...BASE_PARAMS, households: high, operatingCostPerMonth: 1000 }) >= 0, true);
+    assertEqual(breakeven.calculateAnnualProfit({ ...BASE_PARAMS, households: high - 1, operatingCostPerMonth: 1000 }) < 0, true);
+});
+
+test('calculateBreakEvenHouseholds scales a plan mix with households', 'Break-Even', () => {
+    const flat = breakeven.calculateBreakEvenHouseholds({ ...BASE_PARAMS, households: 40 });
+    const allMonthly = breakeven.calculateBreakEvenHouseholds({ ...BASE_PARAMS, households: 40, planMix: { monthly: 40 } });
+    assertEqual(allMonthly, flat, 'All on the $25 monthly plan matches the $25 flat price');
+
+    const route = { miles: 2, hoursPerMonth: 1 };
+    assertEqual(breakeven.calculateBreakEvenHouseholds({ ...BASE_PARAMS, households: 40, route }), flat, 'Fixed route ignored');
+
+    const mixed = breakeven.calculateBreakEvenHouseholds({ ...BASE_PARAMS, households: 40, planMix: { monthly: 20, annual: 20 } });
+    assertEqual(breakeven.calculateAnnualProfit({ ...BASE_PARAMS, households: mixed, planMix: { monthly: mixed / 2, annual: mixed / 2 } }) >= 0, true);
+    assertEqual(breakeven.calculateAnnualProfit({ ...BASE_PARAMS, households: mixed - 1, planMix: { monthly: (mixed - 1) / 2, annual: (mixed - 1) / 2 } }) < 0, true);
+});
+
+test('calculateBreakEvenHouseholds returns null when unreachable', 'Break-Even', () => {
+    const result = breakeven.calculateBreakEvenHouseholds({
+        ...BASE_PARAMS,
+        subscriptionPrice: 0,
+        compostPrice: 0,
+        teaPrice: 0,
+        maxHouseholds: 20
+    });
+    assertEqual(result, null);
+});
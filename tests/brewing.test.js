@@ -0,0 +1,127 @@
+/**
+ * Worm Tea Brewing Tests for Compost Coordinator
+ *
+ * Tests brewing against the 50-gal vat:
+ * - Capacity from vat size and brew cycle
+ * - Batch plans for a month's demand
+ * - Logged batch validation and checks
+ * - Diluted tea per application site
+ */
+
+import * as brewing from '../brewing.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+function batchError(data) {
+    try {
+        brewing.normalizeBatch({ start: '2025-06-01T08:00', end: '2025-06-03T08:00', concentrateGallons: 40, castingsGallons: 8, ...data });
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// ============================================
+// Capacity Tests
+// ============================================
+
+test('calculateTeaCapacity uses the 50-gal vat and 72-hour cycle', 'Tea Capacity', () => {
+    const capacity = brewing.calculateTeaCapacity();
+    assertEqual(brewing.VAT_GALLONS, 50);
+    assertEqual(capacity.batchGallons, 45, '90% fill');
+    assertEqual(capacity.cycleHours, 72, '48 hr aeration + 24 hr turnaround');
+    assertEqual(capacity.batchesPerMonth, 9, '28 days / 3 days');
+    assertEqual(capacity.concentratePerMonth, 405);
+    assertEqual(capacity.dilutedPerMonth, 4050);
+    assertClose(capacity.castingsPerMonth, 81, 0.001);
+});
+
+test('calculateTeaCapacity scales with vats, not households', 'Tea Capacity', () => {
+    assertEqual(brewing.calculateTeaCapacity({ vats: 2 }).concentratePerMonth, 810);
+    assertEqual(brewing.calculateTeaCapacity({ cycle: { ...brewing.BREW_CYCLE, aerationHours: 24 } }).batchesPerMonth, 14);
+});
+
+// ============================================
+// Batch Plan Tests
+// ============================================
+
+test('planBatches schedules back-to-back batches for the demand', 'Batch Plans', () => {
+    const plan = brewing.planBatches({ demandGallons: 100, start: '2025-06-02T08:00' });
+    assertDeepEqual(plan.batches.map(b => b.concentrateGallons), [45, 45, 10]);
+    assertDeepEqual(plan.batches.map(b => b.start), ['2025-06-02T08:00', '2025-06-05T08:00', '2025-06-08T08:00']);
+    assertEqual(plan.batches[0].end, '2025-06-04T08:00');
+    assertEqual(plan.unmetGallons, 0);
+    assertClose(plan.castingsGallons, 20, 0.001);
+});
+
+test('planBatches reports demand beyond the vat capacity', 'Batch Plans', () => {
+    const plan = brewing.planBatches({ demandGallons: 500, start: '2025-06-02T08:00' });
+    assertEqual(plan.batches.length, 9);
+    assertEqual(plan.unmetGallons, 95);
+});
+
+// ============================================
+// Batch Log Tests
+// ============================================
+
+test('normalizeBatch defaults aeration to the brew time', 'Batch Log', () => {
+    assertDeepEqual(brewing.normalizeBatch({
+        start: '2025-06-01T08:00',
+        end: '2025-06-03T10:00',
+        concentrateGallons: '40',
+        castingsGallons: '8'
+    }), {
+        start: '2025-06-01T08:00',
+        end: '2025-06-03T10:00',
+        concentrateGallons: 40,
+        castingsGallons: 8,
+        aerationHours: 50,
+        notes: ''
+    });
+});
+
+test('normalizeBatch rejects batches that do not fit the vat', 'Batch Log', () => {
+    assertEqual(batchError({ concentrateGallons: 60 }), '60 gal exceeds the 50-gal vat');
+    assertEqual(batchError({ end: '2025-05-31T08:00' }), 'Brew ends before it starts: 2025-06-01T08:00 to 2025-05-31T08:00');
+    assertEqual(batchError({ aerationHours: 60 }), 'Aeration must be between 0 and 48 hours: 60');
+});
+
+test('summarizeBatch flags short aeration and light castings', 'Batch Log', () => {
+    const good = brewing.summarizeBatch(brewing.normalizeBatch({
+        start: '2025-06-01T08:00', end: '2025-06-03T08:00', concentrateGallons: 40, castingsGallons: 8
+    }));
+    assertEqual(good.dilutedGallons, 400);
+    assertDeepEqual(good.warnings, []);
+
+    const weak = brewing.summarizeBatch(brewing.normalizeBatch({
+        start: '2025-06-01T08:00', end: '2025-06-03T08:00', concentrateGallons: 40, castingsGallons: 2, aerationHours: 12
+    }));
+    assertEqual(weak.warnings.length, 2);
+});
+
+// ============================================
+// Application Tests
+// ============================================
+
+test('planApplications dilutes tea by site area', 'Applications', () => {
+    const plan = brewing.planApplications({
+        sites: [{ name: 'Garden A', areaSqFt: 500 }, { name: 'Garden B', areaSqFt: 1500 }],
+        concentrateGallons: 10
+    });
+    assertDeepEqual(plan.sites.map(s => s.dilutedGallons), [5, 15]);
+    assertDeepEqual(plan.sites.map(s => s.concentrateGallons), [0.5, 1.5]);
+    assertEqual(plan.concentrateNeeded, 2);
+    assertEqual(plan.coverage, 1);
+});
+
+test('planApplications scales every site down when concentrate is short', 'Applications', () => {
+    const plan = brewing.planApplications({
+        sites: [{ name: 'Garden A', areaSqFt: 1000 }, { name: 'Garden B', areaSqFt: 3000 }],
+        concentrateGallons: 2
+    });
+    assertEqual(plan.coverage, 0.5);
+    assertDeepEqual(plan.sites.map(s => s.dilutedGallons), [5, 15]);
+    assertEqual(plan.concentrateUsed, 2);
+});
@@ -3,40 +3,18 @@
  *
  * Tests the business logic for calculating:
  * - Input volumes from households
- * - Output volumes (compost, tea)
+ * - Output volumes (compost, tea capped by the vat)
  * - Revenue from all streams
  * - Labor hours per task
  * - Hourly rate
  */
 
 import * as calc from '../calculator.js';
+import config from '../config.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
 
-// Simple test framework
-const tests = [];
-
-function test(name, group, fn) {
-    tests.push({ name, group, fn });
-}
-
-function assertEqual(actual, expected, message = '') {
-    if (actual !== expected) {
-        throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
-    }
-}
-
-function assertClose(actual, expected, tolerance = 0.01, message = '') {
-    if (Math.abs(actual - expected) > tolerance) {
-        throw new Error(`${message}\nExpected: ${expected} (±${tolerance})\nActual: ${actual}`);
-    }
-}
-
-function assertDeepEqual(actual, expected, message = '') {
-    const actualStr = JSON.stringify(actual);
-    const expectedStr = JSON.stringify(expected);
-    if (actualStr !== expectedStr) {
-        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
-    }
-}
+const { test, runTests } = createSuite();
+export { runTests };
 
 // ============================================
 // Input Volume Tests
@@ -66,6 +44,46 @@ test('calculateInputVolumes handles zero households', 'Input Volumes', () => {
     assertEqual(result.foodWastePerWeek, 0);
 });
 
+test('calculateInputVolumes accepts a housing mix', 'Input Volumes', () => {
+    const result = calc.calculateInputVolumes({ sfRented: 4, condo: 2, apartment: 2 }, 0);
+    assertEqual(result.cardboardPerWeek, 4 * 6 + 2 * 4 + 2 * 3);
+    assertEqual(result.foodWastePerWeek, 4 * 2.5 + 2 * 2 + 2 * 1.5);
+    assertEqual(result.grassPerWeek, 0, 'No yards');
+});
+
+test('calculateInputVolumes adds seasonal yard waste by month', 'Input Volumes', () => {
+    const jan = calc.calculateInputVolumes({ sfOwned: 10 }, 0);
+    const may = calc.calculateInputVolumes({ sfOwned: 10 }, 4);
+    const nov = calc.calculateInputVolumes({ sfOwned: 10 }, 10);
+    assertEqual(jan.yardWastePerMonth, 0, 'No yard waste in January');
+    assertEqual(may.grassPerWeek, 50, '10 homes × 5 gal grass');
+    assertEqual(nov.leavesPerWeek, 250, '10 homes × 25 gal leaves');
+    assertEqual(nov.totalPerWeek, 60 + 25 + 250);
+});
+
+test('calculateInputVolumes averages yard waste over the year when no month given', 'Input Volumes', () => {
+    const result = calc.calculateInputVolumes({ sfOwned: 12 });
+    // Grass: 29 gal-weeks/year, leaves: 40 gal-weeks/year
+    assertClose(result.grassPerWeek, 29, 0.01);
+    assertClose(result.leavesPerWeek, 40, 0.01);
+});
+
+test('calculateFullModel accepts a housing mix', 'Input Volumes', () => {
+    const result = calc.calculateFullModel({
+        housingMix: { sfOwned: 10, sfRented: 5, condo: 6, apartment: 0 },
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    assertEqual(result.households, 21);
+    assertEqual(result.revenue.subscriptions, 21 * 25);
+    assertEqual(result.inputs.cardboardPerWeek, 15 * 6 + 6 * 4);
+    const may = result.annual.months[4];
+    const jan = result.annual.months[0];
+    assertEqual(may.collected > jan.collected, true, 'Grass season collects more');
+});
+
 // ============================================
 // Output Volume Tests
 // ============================================
@@ -82,6 +100,7 @@ test('calculateOutputVolumes returns correct worm tea volumes', 'Output Volumes'
     const result = calc.calculateOutputVolumes(inputs);
     assertEqual(result.wormTeaConcentrate, 20, 'Worm tea concentrate: 20 gal');
     assertEqual(result.wormTeaDiluted, 200, 'Worm tea diluted: 200 gal (10:1 ratio)');
+    assertClose(result.wormTeaCastings, 4, 0.001, '2% of 200 gal castings, 1 gal per 5 gal concentrate');
 });
 
 test('calculateOutputVolumes scales with input', 'Output Volumes', () => {
@@ -90,6 +109,21 @@ test('calculateOutputVolumes scales with input', 'Output Volumes', () => {
     assertClose(result.finishedCompostPerMonth, 400, 10, 'Double input = double output');
 });
 
+test('Worm tea stops growing once the vat is the limit', 'Output Volumes', () => {
+    const capacity = calc.calculateTeaCapacity().concentratePerMonth;
+    assertEqual(capacity, 405, '9 batches of 45 gal in a 4-week month');
+
+    const model = (households) => calc.calculateFullModel({
+        households, compostPrice: 20, teaPrice: 15, subscriptionPrice: 25, givebackPerYear: 10
+    });
+    assertClose(model(150).outputs.wormTeaConcentrate, 200, 0.001, 'Below capacity tea still scales');
+    assertEqual(model(400).outputs.wormTeaConcentrate, capacity);
+    assertEqual(model(800).outputs.wormTeaConcentrate, capacity);
+    assertEqual(model(800).revenue.tea, capacity * 15, 'Tea revenue capped with it');
+    assertEqual(calc.calculateNodeMetrics(model(800)).tea['brew cycles'], calc.calculateTeaCapacity().batchesPerMonth,
+        'Brew cycles count 45-gal batches, like the batch planner');
+});
+
 // ============================================
 // Sellable Output Tests
 // ============================================
@@ -223,6 +257,64 @@ test('calculateHourlyRate handles zero hours', 'Hourly Rate', () => {
     assertEqual(result, 0, 'Zero hours = zero rate (avoid division by zero)');
 });
 
+// ============================================
+// Operating Expense Tests
+// ============================================
+
+const BASE_PARAMS = {
+    households: 15,
+    compostPrice: 20,
+    teaPrice: 15,
+    subscriptionPrice: 25,
+    givebackPerYear: 10
+};
+
+test('calculateExpenses itemizes monthly operating costs', 'Operating Expenses', () => {
+    const model = calc.calculateFullModel(BASE_PARAMS);
+    const result = model.expenses;
+    assertClose(result.fuel, 20, 0.01, '60 route miles + 20 delivery miles at $0.25');
+    assertClose(result.supplies, 18.13, 0.01, 'Bags + bucket replacement');
+    assertClose(result.insurance, 50, 0.01);
+    assertClose(result.fees, 20 / 60, 0.01, 'DBA filing spread over 5 years');
+    assertClose(result.paymentProcessing, model.revenue.total * 0.029 + 25 * 0.30, 0.01);
+    assertClose(result.total,
+        result.fuel + result.supplies + result.electricity + result.insurance + result.fees + result.paymentProcessing,
+        0.001);
+});
+
+test('calculateExpenses charges co-op filing fees', 'Operating Expenses', () => {
+    const dba = calc.calculateFullModel(BASE_PARAMS);
+    const coop = calc.calculateFullModel({ ...BASE_PARAMS, legalStructure: 'coop' });
+    assertClose(coop.expenses.fees, (350 / 5 + 20) / 12, 0.01);
+    assertEqual(coop.netIncome < dba.netIncome, true);
+});
+
+test('calculateExpenses rejects unknown legal structures', 'Operating Expenses', () => {
+    let threw = false;
+    try {
+        calc.calculateFullModel({ ...BASE_PARAMS, legalStructure: 'llc' });
+    } catch (e) {
+        threw = true;
+    }
+    assertEqual(threw, true);
+});
+
+test('calculateFullModel reports gross revenue, net income and net hourly rate', 'Operating Expenses', () => {
+    const result = calc.calculateFullModel(BASE_PARAMS);
+    assertEqual(result.grossRevenue, result.revenue.total);
+    assertClose(result.netIncome, result.revenue.total - result.expenses.total, 0.001);
+    assertClose(result.netHourlyRate, result.netIncome / result.labor.total, 0.001);
+    assertEqual(result.netHourlyRate < result.hourlyRate, true);
+    assertClose(result.annual.netIncome, result.annual.revenue - result.annual.expenses, 0.001);
+});
+
+test('calculateAnnualSchedule winter expenses skip deliveries and electricity', 'Operating Expenses', () => {
+    const result = calc.calculateAnnualSchedule(BASE_PARAMS);
+    const jan = result.months[0];
+    assertEqual(jan.expenses.electricity, 0);
+    assertClose(jan.expenses.fuel, 15, 0.01, 'Collection route only');
+});
+
 // ============================================
 // Full Model Integration Test
 // ============================================
@@ -263,29 +355,164 @@ test('calculateFullModel updates correctly with price changes', 'Integration', (
 });
 
 // ============================================
-// Run all tests
+// Seasonal Schedule Tests
 // ============================================
 
-export function runTests() {
-    const results = [];
-
-    for (const t of tests) {
-        try {
-            t.fn();
-            results.push({
-                name: t.name,
-                group: t.group,
-                passed: true
-            });
-        } catch (error) {
-            results.push({
-                name: t.name,
-                group: t.group,
-                passed: false,
-                error: error.message
-            });
+test('calculateAnnualSchedule returns 12 months with Mar-Nov active by default', 'Seasonal Schedule', () => {
+    const result = calc.calculateAnnualSchedule(BASE_PARAMS);
+    assertEqual(result.months.length, 12);
+    assertDeepEqual(result.months.filter(m => m.active).map(m => m.name),
+        ['Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov']);
+    assertEqual(result.totals.activeMonths, 9);
+    assertEqual(result.totals.winterMonths, 3);
+});
+
+test('calculateAnnualSchedule stockpiles winter inputs with collection-only labor', 'Seasonal Schedule', () => {
+    const result = calc.calculateAnnualSchedule(BASE_PARAMS);
+    const [jan, feb] = result.months;
+    assertEqual(jan.stockpile, 960, 'Dec + Jan inputs stockpiled');
+    assertEqual(feb.stockpile, 1440, 'Dec-Feb inputs stockpiled');
+    assertEqual(feb.processed, 0);
+    assertEqual(feb.labor.total, 16, 'Winter: collection only');
+    assertEqual(feb.revenue.total, 375, 'Winter: subscriptions only');
+});
+
+test('calculateAnnualSchedule catches up on the stockpile in spring', 'Seasonal Schedule', () => {
+    const result = calc.calculateAnnualSchedule(BASE_PARAMS);
+    const mar = result.months[2];
+    const apr = result.months[3];
+    const may = result.months[4];
+    assertEqual(mar.processed, 480 + 720, 'Half the stockpile in March');
+    assertEqual(apr.stockpile, 0, 'Stockpile cleared by end of April');
+    assertEqual(may.processed, 480, 'Steady state from May');
+    assertClose(may.labor.total, 40.4, 0.5);
+    assertEqual(mar.labor.total > may.labor.total, true, 'Catch-up months take more labor');
+});
+
+test('calculateAnnualSchedule processes every gallon collected in the year', 'Seasonal Schedule', () => {
+    const result = calc.calculateAnnualSchedule(BASE_PARAMS);
+    const collected = result.months.reduce((sum, m) => sum + m.collected, 0);
+    const processed = result.months.reduce((sum, m) => sum + m.processed, 0);
+    assertClose(processed, collected, 0.01);
+    const giveback = result.months.reduce((sum, m) => sum + m.giveback, 0);
+    assertClose(giveback, 150, 0.01, '15 households × 10 gal/year');
+});
+
+test('calculateAnnualSchedule respects custom active months', 'Seasonal Schedule', () => {
+    const result = calc.calculateAnnualSchedule({
+        ...BASE_PARAMS,
+        activeMonths: [3, 4, 5, 6, 7, 8, 9],
+        catchUpMonths: 1
+    });
+    assertEqual(result.totals.activeMonths, 7);
+    assertEqual(result.months[3].processed, 480 * 6, 'Apr clears 5 months of stockpile');
+    assertEqual(result.months[4].processed, 480);
+});
+
+test('calculateFullModel annual hourly rate comes from the schedule', 'Seasonal Schedule', () => {
+    const result = calc.calculateFullModel(BASE_PARAMS);
+    assertEqual(result.annual.months.length, 12);
+    assertClose(result.annual.hourlyRate, result.annual.revenue / result.annual.hours, 0.01);
+    assertEqual(result.annual.hourlyRate > 0, true);
+});
+
+// ============================================
+// Node Metrics Tests
+// ============================================
+
+test('calculateNodeMetrics matches base model for 15 households', 'Node Metrics', () => {
+    const model = calc.calculateFullModel({
+        households: 15,
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    const result = calc.calculateNodeMetrics(model);
+    assertEqual(result.households['homes'], 15);
+    assertEqual(result.households['gal/week input'], 120, '15 × 8 gal/week');
+    assertEqual(result.collection['hr/mo'], 16);
+    assertClose(result.foodWasteProcessing['hr/mo'], 3, 0.01, '45 min/week × 4');
+    assertClose(result.stage1['weeks'], 4, 0.1, '~479 gal bin at 120 gal/week');
+    assertClose(result.stage4['gal/mo'], 200, 5);
+    assertEqual(result.tea['brew cycles'], 1, '20 gal fits one 45-gal batch');
+    assertEqual(result.delivery['stops'], 10);
+    assertClose(result.stage3['worm activity'], 120 * calc.PILE_RETENTION_PER_MOVE ** 2, 0.001, '~67 gal/week after two moves');
+    assertClose(result.stage4['worm return'], 1, 0.05, 'One harvest a month');
+});
+
+test('calculateNodeMetrics returns every metric config.nodes lists', 'Node Metrics', () => {
+    const model = calc.calculateFullModel({ households: 15, compostPrice: 20, teaPrice: 15, subscriptionPrice: 25, givebackPerYear: 10 });
+    const result = calc.calculateNodeMetrics(model);
+    for (const node of Object.values(config.nodes)) {
+        for (const unit of node.metrics) {
+            assertEqual(Number.isFinite(result[node.id]?.[unit]), true, `${node.id} ${unit}`);
         }
     }
+});
+
+test('calculateNodeMetrics follows household count', 'Node Metrics', () => {
+    const model = calc.calculateFullModel({
+        households: 30,
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    const result = calc.calculateNodeMetrics(model);
+    assertEqual(result.households['homes'], 30);
+    assertEqual(result.collection['hr/mo'], 32, 'Collection doubles');
+    assertClose(result.stage1['weeks'], 2, 0.1, 'Stage 1 fills twice as fast');
+    assertClose(result.purchasers['$/mo revenue'], model.revenue.compost + model.revenue.tea, 0.01);
+});
+
+// ============================================
+// Edge Volume Tests
+// ============================================
+
+test('calculateEdgeVolumes reports collection flows per week', 'Edge Volumes', () => {
+    const model = calc.calculateFullModel({
+        households: 15,
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    const result = calc.calculateEdgeVolumes(model);
+    assertEqual(result['food-households-collection'].volume, 30);
+    assertEqual(result['food-households-collection'].unit, 'gal/week');
+    assertEqual(result['cardboard-processing-stage1'].volume, 90);
+    assertEqual(result['cardboard-processing-stage1'].galPerWeek, 90);
+});
+
+test('calculateEdgeVolumes shrinks material through the pile stages', 'Edge Volumes', () => {
+    const model = calc.calculateFullModel({
+        households: 15,
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    const result = calc.calculateEdgeVolumes(model);
+    const s12 = result['compost-stage1-stage2'].volume;
+    const s23 = result['compost-stage2-stage3'].volume;
+    const s34 = result['compost-stage3-stage4'].volume;
+    assertEqual(s12 < 480 && s23 < s12 && s34 < s23, true, 'Each move carries less material');
+    assertClose(s34, 200, 5, 'Stage 4 receives finished compost');
+    assertEqual(result['compost-stage3-stage4'].unit, 'gal/mo');
+    assertClose(result['compost-stage3-stage4'].galPerWeek, 50, 2, 'Monthly volume normalized to weekly');
+});
 
-    return results;
-}
+test('calculateEdgeVolumes splits finished compost between sales and give-back', 'Edge Volumes', () => {
+    const model = calc.calculateFullModel({
+        households: 15,
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10
+    });
+    const result = calc.calculateEdgeVolumes(model);
+    assertClose(result['giveback-delivery-households'].volume, 12.5, 0.01, '15 × 10 gal / 12');
+    assertClose(result['products-delivery-purchasers'].volume, model.outputs.sellableCompost + 20, 0.01);
+    assertEqual(result['worms-stage4-stage3'], undefined, 'Worm migration has no volume');
+});
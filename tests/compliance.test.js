@@ -0,0 +1,163 @@
+/**
+ * Compliance Tests for Compost Coordinator
+ *
+ * Tests the 14-15 year old hour limits:
+ * - Summer period (June 1 through Labor Day)
+ * - Daily and weekly hours, school vs non-school
+ * - Time of day and school hours
+ * - Equipment rules alongside hour limits
+ */
+
+import * as compliance from '../compliance.js';
+import { parseTime } from '../crew.js';
+import { YOUTH_LABOR } from '../calculator.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const MAYA = { id: 'maya', name: 'Maya', age: 14 };
+const JO = { id: 'jo', name: 'Jo', age: 17 };
+
+// Oct 6, 2025 is a Monday (school year); Jul 7, 2025 is a Monday (summer)
+const SCHOOL_WEEK = '2025-10-06';
+const SUMMER_WEEK = '2025-07-07';
+
+function shift(workerId, day, start, end, name = 'Sort and clean', equipment = 'handTools') {
+    return { workerId, name, day, start: parseTime(start), end: parseTime(end), equipment };
+}
+
+function types(report, workerId) {
+    return report.workers.find(w => w.workerId === workerId).violations.map(v => v.type);
+}
+
+// ============================================
+// Calendar Tests
+// ============================================
+
+test('getLaborDay finds the first Monday of September', 'Compliance Calendar', () => {
+    assertEqual(compliance.getLaborDay(2025), '2025-09-01');
+    assertEqual(compliance.getLaborDay(2026), '2026-09-07');
+});
+
+test('isSummerDate covers June 1 through Labor Day', 'Compliance Calendar', () => {
+    assertEqual(compliance.isSummerDate('2025-05-31'), false);
+    assertEqual(compliance.isSummerDate('2025-06-01'), true);
+    assertEqual(compliance.isSummerDate('2025-09-01'), true);
+    assertEqual(compliance.isSummerDate('2025-09-02'), false);
+});
+
+test('getDefaultSchoolDays uses weekdays outside summer', 'Compliance Calendar', () => {
+    assertDeepEqual(compliance.getDefaultSchoolDays(SCHOOL_WEEK), ['mon', 'tue', 'wed', 'thu', 'fri']);
+    assertDeepEqual(compliance.getDefaultSchoolDays(SUMMER_WEEK), []);
+    // Labor Day week: Monday is still summer
+    assertDeepEqual(compliance.getDefaultSchoolDays('2025-09-01'), ['tue', 'wed', 'thu', 'fri']);
+});
+
+// ============================================
+// Hour Limit Tests
+// ============================================
+
+test('checkCompliance passes a legal school week', 'Compliance Hours', () => {
+    const report = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'tue', '15:30', '18:00'), shift('maya', 'sat', '08:00', '14:00')],
+        weekStart: SCHOOL_WEEK
+    });
+    assertEqual(report.schoolWeek, true);
+    assertEqual(report.compliant, true);
+    assertEqual(report.workers[0].totalMinutes, 510);
+});
+
+test('checkCompliance flags more than 3 hours on a school day', 'Compliance Hours', () => {
+    const report = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'wed', '15:00', '18:30')],
+        weekStart: SCHOOL_WEEK
+    });
+    assertDeepEqual(types(report, 'maya'), ['daily-hours']);
+    assertEqual(report.workers[0].violations[0].message, 'Wed: 3.5 hr exceeds the 3 hr limit on a school day');
+});
+
+test('checkCompliance flags more than 18 hours in a school week', 'Compliance Hours', () => {
+    const shifts = ['sat', 'sun'].map(day => shift('maya', day, '08:00', '16:00'))
+        .concat([shift('maya', 'mon', '15:00', '18:00')]);
+    const report = compliance.checkCompliance({ workers: [MAYA], shifts, weekStart: SCHOOL_WEEK });
+    assertDeepEqual(types(report, 'maya'), ['weekly-hours']);
+});
+
+test('checkCompliance allows 8-hour days and 40-hour weeks in summer', 'Compliance Hours', () => {
+    const shifts = ['mon', 'tue', 'wed', 'thu', 'fri'].map(day => shift('maya', day, '08:00', '16:00'));
+    const report = compliance.checkCompliance({ workers: [MAYA], shifts, weekStart: SUMMER_WEEK });
+    assertEqual(report.schoolWeek, false);
+    assertEqual(report.compliant, true);
+
+    const over = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [...shifts, shift('maya', 'sat', '08:00', '09:00')],
+        weekStart: SUMMER_WEEK
+    });
+    assertDeepEqual(types(over, 'maya'), ['weekly-hours']);
+});
+
+// ============================================
+// Time of Day Tests
+// ============================================
+
+test('checkCompliance enforces 7pm during the school year and 9pm in summer', 'Compliance Time of Day', () => {
+    const school = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'sat', '17:00', '20:00')],
+        weekStart: SCHOOL_WEEK
+    });
+    assertDeepEqual(types(school, 'maya'), ['time-of-day']);
+
+    const summer = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'sat', '17:00', '20:00')],
+        weekStart: SUMMER_WEEK
+    });
+    assertEqual(summer.compliant, true);
+});
+
+test('checkCompliance flags work during school hours', 'Compliance Time of Day', () => {
+    const report = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'thu', '14:00', '15:30')],
+        weekStart: SCHOOL_WEEK
+    });
+    assertDeepEqual(types(report, 'maya'), ['school-hours']);
+});
+
+test('checkCompliance honors custom school days and rules', 'Compliance Time of Day', () => {
+    const rules = { ...YOUTH_LABOR.hourLimits, schoolDay: { maxHours: 4 } };
+    const report = compliance.checkCompliance({
+        workers: [MAYA],
+        shifts: [shift('maya', 'wed', '15:00', '18:30')],
+        weekStart: SCHOOL_WEEK,
+        schoolDays: ['mon', 'tue', 'wed'],
+        rules
+    });
+    assertEqual(report.compliant, true);
+});
+
+// ============================================
+// Coverage and Equipment Tests
+// ============================================
+
+test('checkCompliance skips hour limits for 16+ but still checks equipment', 'Compliance Coverage', () => {
+    const report = compliance.checkCompliance({
+        workers: [JO, MAYA],
+        shifts: [
+            shift('jo', 'wed', '09:00', '20:00', 'Drive route', 'atv'),
+            shift('maya', 'sat', '08:00', '09:00', 'Mow', 'zeroTurn')
+        ],
+        weekStart: SCHOOL_WEEK
+    });
+    const jo = report.workers.find(w => w.workerId === 'jo');
+    assertEqual(jo.covered, false);
+    assertDeepEqual(types(report, 'jo'), ['equipment']);
+    assertEqual(jo.violations[0].message, 'Wed 09:00-20:00 Drive route: atv requires 4-H Tractor Safety');
+    assertDeepEqual(types(report, 'maya'), ['equipment']);
+    assertEqual(report.compliant, false);
+});
@@ -0,0 +1,163 @@
+/**
+ * Crew Scheduling Tests for Compost Coordinator
+ *
+ * Tests weekly crew scheduling against YOUTH_LABOR:
+ * - Worker validation
+ * - Equipment eligibility (age + certification)
+ * - Weekly tasks from getTaskBreakdown
+ * - Assignment into availability windows, unfilled shifts
+ */
+
+import * as crew from '../crew.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const MAYA = { id: 'maya', name: 'Maya', age: 14, certifications: [], availability: { sat: [['08:00', '12:00']] } };
+const ELI = { id: 'eli', name: 'Eli', age: 14, certifications: ['4-H Tractor Safety'], availability: { sat: [['09:00', '11:00']] } };
+const JO = { id: 'jo', name: 'Jo', age: 17, certifications: ['Drivers license'], availability: { wed: [['16:00', '18:00']] } };
+
+function task(name, minutes, equipment = 'handTools') {
+    return { name, category: 'test', minutes, equipment, days: crew.DAYS };
+}
+
+// ============================================
+// Worker Tests
+// ============================================
+
+test('normalizeWorker validates age and availability', 'Crew Workers', () => {
+    const worker = crew.normalizeWorker({ name: ' Sam ', age: '15', availability: { mon: [['15:30', '17:00']] } });
+    assertDeepEqual(worker, { id: 'Sam', name: 'Sam', age: 15, certifications: [], availability: { mon: [['15:30', '17:00']] } });
+
+    const message = (data) => {
+        try {
+            crew.normalizeWorker(data);
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message({ age: 14 }), 'Worker needs a name');
+    assertEqual(message({ name: 'A', age: 'x' }), 'A: invalid age "x"');
+    assertEqual(message({ name: 'A', age: 14, availability: { funday: [] } }), 'A: unknown day "funday"');
+    assertEqual(message({ name: 'A', age: 14, availability: { mon: [['17:00', '15:00']] } }),
+        'A: mon window 17:00-15:00 ends before it starts');
+});
+
+test('parseTime and formatTime convert HH:MM', 'Crew Workers', () => {
+    assertEqual(crew.parseTime('15:30'), 930);
+    assertEqual(crew.formatTime(930), '15:30');
+    assertEqual(crew.formatTime(545.4), '09:05');
+});
+
+test('parseTime rejects hours and minutes out of range', 'Crew Workers', () => {
+    const message = (time) => {
+        try {
+            crew.parseTime(time);
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message('23:59'), null);
+    assertEqual(message('25:00'), 'Invalid time: 25:00');
+    assertEqual(message('24:00'), 'Invalid time: 24:00');
+    assertEqual(message('12:60'), 'Invalid time: 12:60');
+});
+
+test('parseAvailability reads day windows and round-trips', 'Crew Workers', () => {
+    const availability = crew.parseAvailability('Sat 08:00-12:00, mon 15:30 - 18:00, sat 13:00-15:00');
+    assertDeepEqual(availability, { sat: [['08:00', '12:00'], ['13:00', '15:00']], mon: [['15:30', '18:00']] });
+    assertEqual(crew.formatAvailability(availability), 'mon 15:30-18:00, sat 08:00-12:00, sat 13:00-15:00');
+});
+
+// ============================================
+// Eligibility Tests
+// ============================================
+
+test('checkEligibility refuses uncertified 14-year-olds on zero-turn and ATV', 'Crew Eligibility', () => {
+    const maya = crew.normalizeWorker(MAYA);
+    assertDeepEqual(crew.checkEligibility(maya, 'zeroTurn'), { eligible: false, reason: 'zeroTurn requires 4-H Tractor Safety' });
+    assertEqual(crew.checkEligibility(maya, 'atv').eligible, false);
+    assertEqual(crew.checkEligibility(crew.normalizeWorker(ELI), 'atv').eligible, true);
+});
+
+test('checkEligibility applies the co-op 4-H policy to the shredder', 'Crew Eligibility', () => {
+    assertDeepEqual(crew.checkEligibility(crew.normalizeWorker(MAYA), 'electricShredder'),
+        { eligible: false, reason: 'electricShredder requires 4-H Tractor Safety (co-op policy)' });
+    assertEqual(crew.checkEligibility(crew.normalizeWorker(ELI), 'electricShredder').eligible, true);
+    assertEqual(crew.checkEligibility(crew.normalizeWorker({ name: 'Pat', age: 19 }), 'electricShredder').eligible, true, 'Adults are not youth');
+});
+
+test('checkEligibility refuses sub-16 workers on truck driving', 'Crew Eligibility', () => {
+    const licensed15 = crew.normalizeWorker({ name: 'Kai', age: 15, certifications: ['Drivers license'] });
+    assertDeepEqual(crew.checkEligibility(licensed15, 'truckDriving'), { eligible: false, reason: 'truckDriving requires age 16+' });
+    assertEqual(crew.checkEligibility(crew.normalizeWorker(JO), 'truckDriving').eligible, true);
+});
+
+test('checkEligibility allows hand tools from 12', 'Crew Eligibility', () => {
+    assertEqual(crew.checkEligibility(crew.normalizeWorker({ name: 'Ben', age: 12 }), 'handTools').eligible, true);
+    assertEqual(crew.checkEligibility(crew.normalizeWorker({ name: 'Ben', age: 11 }), 'handTools').eligible, false);
+});
+
+// ============================================
+// Weekly Task Tests
+// ============================================
+
+test('getWeeklyTasks converts task breakdown into weekly shifts', 'Crew Tasks', () => {
+    const tasks = crew.getWeeklyTasks({ households: 15 });
+    const drive = tasks.find(t => t.name === 'Drive route');
+    assertClose(drive.minutes, 45, 0.001);
+    assertEqual(drive.equipment, 'atv');
+    assertEqual(tasks.find(t => t.name === 'Shred (90 gal)').equipment, 'electricShredder');
+    assertClose(tasks.find(t => t.name === 'Move pile 1→2').minutes, 15, 0.001, '60 min/month');
+});
+
+test('getWeeklyTasks uses truck driving rules for a truck route and adds extra tasks', 'Crew Tasks', () => {
+    const tasks = crew.getWeeklyTasks({
+        households: 15,
+        vehicle: 'truck',
+        extraTasks: [{ name: 'Mow common area', category: 'lawnService', minutes: 90, equipment: 'zeroTurn' }]
+    });
+    assertEqual(tasks.find(t => t.name === 'Drive route').equipment, 'truckDriving');
+    assertEqual(tasks[tasks.length - 1].equipment, 'zeroTurn');
+    assertDeepEqual(tasks[tasks.length - 1].days, crew.DAYS);
+});
+
+// ============================================
+// Scheduling Tests
+// ============================================
+
+test('scheduleWeek puts equipment tasks only on eligible workers', 'Crew Schedule', () => {
+    const result = crew.scheduleWeek({
+        workers: [MAYA, ELI],
+        tasks: [task('Mow', 60, 'zeroTurn'), task('Sort', 30)]
+    });
+    const mow = result.assignments.find(a => a.name === 'Mow');
+    assertEqual(mow.workerId, 'eli');
+    assertEqual(crew.formatTime(mow.start), '09:00');
+    assertEqual(result.assignments.find(a => a.name === 'Sort').workerId, 'maya', 'Least-loaded eligible worker');
+    assertEqual(result.unfilled.length, 0);
+});
+
+test('scheduleWeek books tasks back to back without overlap', 'Crew Schedule', () => {
+    const result = crew.scheduleWeek({
+        workers: [MAYA],
+        tasks: [task('A', 90), task('B', 60), task('C', 120)]
+    });
+    const times = result.assignments.map(a => `${crew.formatTime(a.start)}-${crew.formatTime(a.end)}`);
+    assertDeepEqual(times, ['08:00-10:00', '10:00-11:30'], 'Longest first: C then A');
+    assertEqual(result.unfilled[0].name, 'B');
+    assertEqual(result.unfilled[0].reason, 'No eligible worker has a 60-minute opening');
+    assertEqual(result.minutesByWorker.maya, 210);
+});
+
+test('scheduleWeek reports unfilled shifts with eligibility reasons', 'Crew Schedule', () => {
+    const result = crew.scheduleWeek({
+        workers: [MAYA, ELI],
+        tasks: [task('Deliver', 75, 'truckDriving')]
+    });
+    assertEqual(result.assignments.length, 0);
+    assertEqual(result.unfilled[0].reason, 'No eligible worker: truckDriving requires age 16+');
+});
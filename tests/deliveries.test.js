@@ -0,0 +1,151 @@
+/**
+ * Delivery Planning Tests for Compost Coordinator
+ *
+ * Tests delivery scheduling:
+ * - Order validation (tea gallons from application area)
+ * - Delivery days in the active season
+ * - Give-back drops per subscriber
+ * - Scheduling against stops per day and inventory on hand
+ */
+
+import * as deliveries from '../deliveries.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+function orderError(data) {
+    try {
+        deliveries.normalizeOrder({ type: 'compost', customer: 'Garden Club', date: '2025-06-01', gallons: 5, ...data });
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+function order(id, type, customer, date, gallons, extra = {}) {
+    return deliveries.normalizeOrder({ id, type, customer, date, gallons, ...extra });
+}
+
+const HOUSEHOLDS = [
+    { id: 1, address: '12 Elm St', startDate: '2024-05-01' },
+    { id: 2, address: '40 Oak Ave', startDate: '2025-06-15' },
+    { id: 3, address: '7 Pine Ct', startDate: '2025-10-02' },
+    { id: 4, address: '9 Birch Rd', startDate: '2026-01-10' }
+];
+
+// ============================================
+// Order Tests
+// ============================================
+
+test('normalizeOrder validates type, customer and gallons', 'Delivery Orders', () => {
+    assertEqual(orderError({}), null);
+    assertEqual(orderError({ type: 'mulch' }), 'Unknown order type: mulch');
+    assertEqual(orderError({ customer: ' ' }), 'Order needs a customer');
+    assertEqual(orderError({ date: '6/1/2025' }), 'Date must be YYYY-MM-DD: 6/1/2025');
+    assertEqual(orderError({ gallons: 0 }), 'Garden Club: gallons must be positive');
+});
+
+test('normalizeOrder sizes tea applications from the site area', 'Delivery Orders', () => {
+    assertDeepEqual(deliveries.normalizeOrder({ type: 'tea', customer: 'Garden Club', householdId: '2', date: '2025-06-01', areaSqFt: '2000' }), {
+        type: 'tea',
+        customer: 'Garden Club',
+        householdId: 2,
+        date: '2025-06-01',
+        gallons: 2,
+        areaSqFt: 2000,
+        status: 'open',
+        deliveredOn: null,
+        notes: ''
+    });
+});
+
+// ============================================
+// Season Tests
+// ============================================
+
+test('deliveryDays lists each Saturday of the active season', 'Delivery Season', () => {
+    const days = deliveries.deliveryDays({ from: '2025-01-01', to: '2025-12-31' });
+    assertEqual(days[0], '2025-03-01');
+    assertEqual(days[days.length - 1], '2025-11-29');
+    assertEqual(days.length, 40);
+    assertDeepEqual(deliveries.deliveryDays({ from: '2025-06-02', to: '2025-06-12', weekday: 'wed' }), ['2025-06-04', '2025-06-11']);
+});
+
+test('planGiveback splits 10 gal into drops and prorates late joiners', 'Delivery Season', () => {
+    const drops = deliveries.planGiveback({ households: HOUSEHOLDS, year: 2025, givebackPerYear: 10 });
+    assertDeepEqual(drops.map(d => `${d.customer} ${d.date} ${d.gallons}`), [
+        '12 Elm St 2025-03-01 3.3',
+        '12 Elm St 2025-06-01 3.3',
+        '12 Elm St 2025-09-01 3.3',
+        '40 Oak Ave 2025-06-15 3.3',
+        '40 Oak Ave 2025-09-01 3.3',
+        '7 Pine Ct 2025-10-02 2.2'
+    ]);
+});
+
+test('planGiveback spreads what is still owed over the remaining drops', 'Delivery Season', () => {
+    const delivered = order('giveback-1-2025-03', 'giveback', '12 Elm St', '2025-03-01', 4, { householdId: 1, status: 'delivered' });
+    const drops = deliveries.planGiveback({ households: HOUSEHOLDS.slice(0, 1), year: 2025, orders: [delivered], givebackPerYear: 10 });
+    assertDeepEqual(drops.map(d => `${d.id} ${d.gallons}`), ['giveback-1-2025-06 3', 'giveback-1-2025-09 3']);
+});
+
+// ============================================
+// Scheduling Tests
+// ============================================
+
+test('scheduleDeliveries waits for stock and shares a stop per customer', 'Delivery Scheduling', () => {
+    const transactions = [
+        { date: '2025-06-01', type: 'harvest', product: 'compost', gallons: 20 },
+        { date: '2025-06-05', type: 'brew', product: 'tea', gallons: 10 },
+        { date: '2025-06-20', type: 'harvest', product: 'compost', gallons: 30 }
+    ];
+    const orders = [
+        order('a', 'compost', 'Garden Club', '2025-06-01', 15),
+        order('b', 'giveback', '12 Elm St', '2025-06-01', 10, { householdId: 1 }),
+        order('c', 'tea', 'garden club', '2025-06-01', 4),
+        order('d', 'compost', 'Done Already', '2025-06-01', 5, { status: 'delivered' })
+    ];
+    const plan = deliveries.scheduleDeliveries({
+        orders,
+        days: deliveries.deliveryDays({ from: '2025-06-01', to: '2025-06-30' }),
+        transactions
+    });
+
+    assertDeepEqual(plan.days.map(d => d.date), ['2025-06-07', '2025-06-21']);
+    assertEqual(plan.days[0].stops.length, 1, 'Sale and tea for the same customer');
+    assertDeepEqual(plan.days[0].gallons, { compost: 15, tea: 4 });
+    assertEqual(plan.days[0].minutes, 30);
+    assertEqual(plan.days[1].stops[0].customer, '12 Elm St', 'Give-back waits for the next harvest');
+    assertEqual(plan.unscheduled.length, 0);
+});
+
+test('scheduleDeliveries caps stops per day', 'Delivery Scheduling', () => {
+    const transactions = [{ date: '2025-06-01', type: 'harvest', product: 'compost', gallons: 50 }];
+    const orders = [
+        order('a', 'compost', 'Garden Club', '2025-06-01', 1),
+        order('b', 'compost', 'School Farm', '2025-06-01', 1)
+    ];
+    const plan = deliveries.scheduleDeliveries({ orders, days: ['2025-06-07'], transactions, stopsPerDay: 1 });
+    assertEqual(plan.days[0].stops[0].customer, 'Garden Club');
+    assertDeepEqual(plan.unscheduled.map(u => `${u.order.id}: ${u.reason}`), ['b: All 1 stops taken']);
+});
+
+test('scheduleDeliveries does not deliver expired tea', 'Delivery Scheduling', () => {
+    const transactions = [{ date: '2025-06-05', type: 'brew', product: 'tea', gallons: 10 }];
+    const orders = [
+        order('a', 'tea', 'Garden Club', '2025-06-10', 4),
+        order('b', 'tea', 'School Farm', '2025-06-25', 4),
+        order('c', 'compost', 'Late Order', '2025-12-01', 1)
+    ];
+    const plan = deliveries.scheduleDeliveries({
+        orders,
+        days: deliveries.deliveryDays({ from: '2025-06-01', to: '2025-12-31' }),
+        transactions
+    });
+    assertDeepEqual(plan.days.map(d => d.date), ['2025-06-14']);
+    assertDeepEqual(plan.unscheduled.map(u => `${u.order.id}: ${u.reason}`), [
+        'b: Not enough tea concentrate on hand',
+        'c: No delivery day on or after its date'
+    ]);
+});
@@ -0,0 +1,86 @@
+/**
+ * Feedstock Tests for Compost Coordinator
+ *
+ * Tests the C:N and moisture calculations:
+ * - Per-material composition
+ * - Blended C:N ratio and moisture
+ * - Window warnings
+ * - Browns add / hold-back suggestions
+ */
+
+import * as feedstock from '../feedstock.js';
+import { createSuite, assertEqual, assertClose } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// ============================================
+// Blend Tests
+// ============================================
+
+test('calculateMixBalance returns the material C:N for a single material', 'Feedstock Blend', () => {
+    const result = feedstock.calculateMixBalance({ food: 10 });
+    assertClose(result.cnRatio, 15, 0.01, 'Food waste alone is 15:1');
+    assertClose(result.moisture, 0.8, 0.001);
+});
+
+test('calculateMixBalance weights by nitrogen, not volume', 'Feedstock Blend', () => {
+    const result = feedstock.calculateMixBalance({ cardboard: 90, food: 30 });
+    // Volume ratio is 3:1 browns, but the blend sits well below cardboard's 350:1
+    assertClose(result.cnRatio, 44, 1);
+    assertClose(result.moisture, 0.555, 0.01);
+});
+
+test('calculateMixBalance handles an empty mix', 'Feedstock Blend', () => {
+    const result = feedstock.calculateMixBalance({});
+    assertEqual(result.cnRatio, 0);
+    assertEqual(result.moisture, 0);
+});
+
+test('getMaterialComposition rejects unknown materials', 'Feedstock Blend', () => {
+    let threw = false;
+    try {
+        feedstock.getMaterialComposition('plastic');
+    } catch (e) {
+        threw = true;
+    }
+    assertEqual(threw, true);
+});
+
+// ============================================
+// Warning & Suggestion Tests
+// ============================================
+
+test('analyzeWeeklyLoad warns when household load is carbon heavy', 'Feedstock Warnings', () => {
+    const result = feedstock.analyzeWeeklyLoad(15);
+    assertEqual(result.warnings.length, 1);
+    assertEqual(result.warnings[0].type, 'cn-high');
+    const cardboard = result.suggestions.find(s => s.material === 'cardboard');
+    assertEqual(cardboard.action, 'hold back');
+    assertClose(cardboard.resultingCnRatio, 30, 0.01);
+    assertEqual(result.suggestions.some(s => s.material === 'leaves'), false, 'No leaves in mix to hold back');
+});
+
+test('analyzeMix suggests adding browns to a green-heavy mix', 'Feedstock Warnings', () => {
+    const result = feedstock.analyzeMix({ food: 30, grass: 40 });
+    assertEqual(result.warnings.some(w => w.type === 'cn-low'), true);
+    assertEqual(result.warnings.some(w => w.type === 'moisture-high'), true);
+    const leaves = result.suggestions.find(s => s.material === 'leaves');
+    assertEqual(leaves.action, 'add');
+    const balanced = feedstock.calculateMixBalance({ food: 30, grass: 40, leaves: leaves.gallons });
+    assertClose(balanced.cnRatio, 30, 0.01);
+});
+
+test('analyzeMix has no warnings inside the target window', 'Feedstock Warnings', () => {
+    const result = feedstock.analyzeMix({ cardboard: 30, food: 30, leaves: 20 });
+    assertEqual(result.cnRatio >= 25 && result.cnRatio <= 35, true, `C:N ${result.cnRatio}`);
+    assertEqual(result.warnings.length, 0);
+    assertEqual(result.suggestions.length, 0);
+});
+
+test('analyzeWeeklyLoad adds extra materials to the household load', 'Feedstock Warnings', () => {
+    const base = feedstock.analyzeWeeklyLoad(15);
+    const withGrass = feedstock.analyzeWeeklyLoad(15, { grass: 60 });
+    assertEqual(withGrass.totals.gallons, base.totals.gallons + 60);
+    assertEqual(withGrass.cnRatio < base.cnRatio, true, 'Grass lowers C:N');
+});
@@ -0,0 +1,40 @@
+/**
+ * Pile probe fixtures for sensors.test.js
+ *
+ * A data logger export (5-minute samples, Celsius) and the MQTT
+ * messages two probes publish.
+ */
+
+export const DEVICES = {
+    'probe-01': 'stage1',
+    'probe-03': 'stage3'
+};
+
+export const LOGGER_CSV = `Device_ID,Timestamp,Temp_C,Moisture
+probe-01,2025-06-07 08:00:00,57.2,58
+probe-01,2025-06-07 08:05:00,57.4,58
+probe-01,2025-06-07 08:55:00,57.9,57
+probe-01,2025-06-07 09:00:00,58.1,57
+probe-03,2025-06-07 08:00:00,24.0,62
+probe-09,2025-06-07 08:00:00,20.0,50
+probe-03,2025-06-07 09:00:00,,
+`;
+
+export const MESSAGES = [
+    {
+        topic: 'compost/probe-01/telemetry',
+        payload: '{"time":"2025-06-08T08:00","temperatureF":140,"moisturePct":55}'
+    },
+    {
+        topic: 'compost/probe-03/telemetry',
+        payload: '[{"time":"2025-06-08T08:00","tempF":81},{"time":"2025-06-08T09:00","tempF":88}]'
+    },
+    {
+        topic: 'compost/probe-02/telemetry',
+        payload: '{"time":"2025-06-08T08:00","temperatureF":120}'
+    },
+    {
+        topic: 'compost/probe-01/telemetry',
+        payload: 'battery low'
+    }
+];
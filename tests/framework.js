@@ -0,0 +1,60 @@
+/**
+ * Minimal test framework shared by all test suites
+ *
+ * Each suite creates its own registry with createSuite() and exports
+ * runTests() for test-runner.html.
+ */
+
+export function createSuite() {
+    const tests = [];
+
+    function test(name, group, fn) {
+        tests.push({ name, group, fn });
+    }
+
+    function runTests() {
+        const results = [];
+
+        for (const t of tests) {
+            try {
+                t.fn();
+                results.push({
+                    name: t.name,
+                    group: t.group,
+                    passed: true
+                });
+            } catch (error) {
+                results.push({
+                    name: t.name,
+                    group: t.group,
+                    passed: false,
+                    error: error.message
+                });
+            }
+        }
+
+        return results;
+    }
+
+    return { test, runTests };
+}
+
+export function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
+    }
+}
+
+export function assertClose(actual, expected, tolerance = 0.01, message = '') {
+    if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`${message}\nExpected: ${expected} (±${tolerance})\nActual: ${actual}`);
+    }
+}
+
+export function assertDeepEqual(actual, expected, message = '') {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr !== expectedStr) {
+        throw new Error(`${message}\nExpected: ${expectedStr}\nActual: ${actualStr}`);
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Governance Phase Tests for Compost Coordinator
+ *
+ * Tests the GOVERNANCE.md phase triggers and member votes:
+ * - Worker activity and tenure from timesheets
+ * - Phase 1 → 2 (3+ youth active 6+ months)
+ * - Phase 2 → 3 ($10k/year revenue or 5+ workers)
+ * - Vote validation and tallies
+ */
+
+import * as governance from '../governance.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const AS_OF = '2025-09-15';
+
+function worker(id, age, startDate = undefined) {
+    return { id, name: id, age, ...(startDate ? { startDate } : {}) };
+}
+
+// One entry at the start and one recent entry
+function worked(id, firstDate, lastDate = '2025-09-10') {
+    return [
+        { workerId: id, date: firstDate, category: 'collection', task: 'Drive route', minutes: 60 },
+        { workerId: id, date: lastDate, category: 'collection', task: 'Drive route', minutes: 60 }
+    ];
+}
+
+// ============================================
+// Worker Activity Tests
+// ============================================
+
+test('monthsBetween counts whole calendar months', 'Worker Activity', () => {
+    assertEqual(governance.monthsBetween('2025-03-15', '2025-09-15'), 6);
+    assertEqual(governance.monthsBetween('2025-03-16', '2025-09-15'), 5);
+    assertEqual(governance.monthsBetween('2024-11-01', '2025-02-01'), 3);
+});
+
+test('summarizeWorkers uses timesheets for activity and tenure', 'Worker Activity', () => {
+    const entries = [...worked('maya', '2025-02-01'), ...worked('jo', '2025-01-01', '2025-07-01')];
+    const [maya, jo, sam] = governance.summarizeWorkers(
+        [worker('maya', 15), worker('jo', 16), worker('sam', 14, '2024-09-01')],
+        entries,
+        AS_OF
+    );
+
+    assertEqual(maya.active, true);
+    assertEqual(maya.tenureMonths, 7);
+    assertEqual(jo.active, false, 'Last logged more than 30 days ago');
+    assertEqual(jo.tenureMonths, 0);
+    assertEqual(sam.active, false, 'Start date without logged time');
+    assertEqual(sam.firstDate, '2024-09-01');
+});
+
+test('trailingYearRevenue sums the 12 months ending with asOf', 'Worker Activity', () => {
+    const history = [
+        { month: '2024-09', amount: 1000 },
+        { month: '2024-10', amount: 2000 },
+        { month: '2025-09', amount: 3000 },
+        { month: '2025-10', amount: 4000 }
+    ];
+    assertEqual(governance.trailingYearRevenue(history, AS_OF), 5000);
+    assertEqual(governance.trailingYearRevenue([{ month: '2025-01', amount: 10 }], '2025-12-31'), 10);
+});
+
+// ============================================
+// Phase Trigger Tests
+// ============================================
+
+test('Phase 1 → 2 needs 3 youth active for 6+ months', 'Phase Triggers', () => {
+    const workers = [worker('maya', 15), worker('jo', 16), worker('sam', 14), worker('ari', 19)];
+    const entries = [
+        ...worked('maya', '2025-01-10'),
+        ...worked('jo', '2025-03-01'),
+        ...worked('sam', '2025-06-01'),
+        ...worked('ari', '2024-01-01')
+    ];
+    const result = governance.evaluateGovernance({ phase: 1, workers, entries, asOf: AS_OF });
+
+    assertEqual(result.next.phase, 2);
+    assertEqual(result.next.triggers[0].current, 2, 'Sam too new, Ari not youth');
+    assertClose(result.next.progress, 2 / 3, 0.001);
+    assertEqual(result.next.ready, false);
+
+    const later = governance.evaluateGovernance({
+        phase: 1,
+        workers,
+        entries: [...entries, ...['maya', 'jo', 'sam'].flatMap(id => worked(id, '2025-06-01', '2025-12-10'))],
+        asOf: '2025-12-15'
+    });
+    assertEqual(later.next.ready, true);
+});
+
+test('Phase 2 → 3 on $10k/year revenue or 5 active workers', 'Phase Triggers', () => {
+    const workers = ['a', 'b', 'c'].map(id => worker(id, 15));
+    const entries = ['a', 'b', 'c'].flatMap(id => worked(id, '2025-01-01'));
+    const revenueHistory = [{ month: '2025-06', amount: 6000 }];
+
+    const result = governance.evaluateGovernance({ phase: 2, workers, entries, revenueHistory, asOf: AS_OF });
+    assertEqual(result.revenue, 6000);
+    assertDeepEqual(result.next.triggers.map(t => t.met), [false, false]);
+    assertClose(result.next.progress, 0.6, 0.001, 'Closest trigger');
+
+    const revenue = governance.evaluateGovernance({
+        phase: 2,
+        workers,
+        entries,
+        revenueHistory: [...revenueHistory, { month: '2025-08', amount: 4000 }],
+        asOf: AS_OF
+    });
+    assertEqual(revenue.next.ready, true, 'Revenue alone is enough');
+});
+
+test('Phase 3 has no next phase', 'Phase Triggers', () => {
+    const result = governance.evaluateGovernance({ phase: 3, workers: [], entries: [], asOf: AS_OF });
+    assertEqual(result.next, null);
+});
+
+// ============================================
+// Member Vote Tests
+// ============================================
+
+test('normalizeDecision requires equipment over $500', 'Member Votes', () => {
+    const base = { date: AS_OF, type: 'equipment', title: 'Second shredder' };
+    let error = null;
+    try {
+        governance.normalizeDecision({ ...base, amount: 400 });
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'Equipment purchase of $400 is under $500 - the operator decides without a vote');
+    assertEqual(governance.normalizeDecision({ ...base, amount: 650 }).amount, 650);
+});
+
+test('normalizeDecision rejects unknown choices', 'Member Votes', () => {
+    let error = null;
+    try {
+        governance.normalizeDecision({ date: AS_OF, type: 'bylaws', title: 'Quorum', ballots: { maya: 'maybe' } });
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'maya: vote must be yes, no or abstain');
+});
+
+test('tallyVotes passes on a majority of votes cast, binding in Phase 3', 'Member Votes', () => {
+    const decision = governance.normalizeDecision({
+        date: AS_OF,
+        type: 'pricing',
+        title: 'Raise subscription to $30/mo',
+        ballots: { maya: 'yes', jo: 'yes', sam: 'no', ari: 'abstain' }
+    });
+    assertDeepEqual(governance.tallyVotes(decision, 3), { yes: 2, no: 1, abstain: 1, passed: true, binding: true });
+    assertEqual(governance.tallyVotes(decision, 2).binding, false, 'Advisory before Phase 3');
+    assertEqual(governance.tallyVotes({ ballots: { maya: 'yes', jo: 'no' } }, 3).passed, false, 'Tie fails');
+});
@@ -0,0 +1,144 @@
+/**
+ * Inventory Ledger Tests for Compost Coordinator
+ *
+ * Tests compost and tea stock on hand:
+ * - Running balances for harvests, give-back and sales
+ * - Tea concentrate shelf life (first in, first out)
+ * - Shortfalls and projected sales warnings
+ */
+
+import * as inventory from '../inventory.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+function tx(date, type, gallons, product = undefined) {
+    return inventory.normalizeTransaction({ date, type, gallons, product });
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeTransaction sets the product from the type', 'Inventory Ledger', () => {
+    assertDeepEqual(inventory.normalizeTransaction({ date: '2025-06-01', type: 'harvest', gallons: '40', notes: ' Bin A ' }), {
+        date: '2025-06-01',
+        type: 'harvest',
+        product: 'compost',
+        gallons: 40,
+        notes: 'Bin A'
+    });
+    assertEqual(tx('2025-06-01', 'brew', 10).product, 'tea');
+    assertEqual(tx('2025-06-01', 'sale', 2, 'tea').product, 'tea');
+});
+
+test('normalizeTransaction rejects bad entries', 'Inventory Ledger', () => {
+    const message = (data) => {
+        try {
+            inventory.normalizeTransaction({ date: '2025-06-01', type: 'harvest', gallons: 5, ...data });
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message({ type: 'theft' }), 'Unknown inventory transaction: theft');
+    assertEqual(message({ type: 'sale', product: undefined }), 'Unknown product: undefined');
+    assertEqual(message({ gallons: -5 }), 'Gallons must be positive: -5');
+});
+
+// ============================================
+// Balance Tests
+// ============================================
+
+test('buildLedger keeps running compost balances', 'Inventory Ledger', () => {
+    const ledger = inventory.buildLedger([
+        tx('2025-06-10', 'sale', 15, 'compost'),
+        tx('2025-06-01', 'harvest', 40),
+        tx('2025-06-05', 'giveback', 10)
+    ]);
+    assertDeepEqual(ledger.rows.map(r => r.balance.compost), [40, 30, 15]);
+    assertEqual(ledger.balances.compost, 15);
+    assertEqual(ledger.shortfalls.length, 0);
+});
+
+test('buildLedger counts same-day harvests before sales', 'Inventory Ledger', () => {
+    const ledger = inventory.buildLedger([
+        tx('2025-06-01', 'sale', 10, 'compost'),
+        tx('2025-06-01', 'harvest', 40)
+    ]);
+    assertDeepEqual(ledger.rows.map(r => r.type), ['harvest', 'sale']);
+    assertEqual(ledger.shortfalls.length, 0);
+});
+
+test('buildLedger records shortfalls without going negative', 'Inventory Ledger', () => {
+    const ledger = inventory.buildLedger([
+        tx('2025-06-01', 'harvest', 10),
+        tx('2025-06-02', 'giveback', 25)
+    ]);
+    const [, giveback] = ledger.rows;
+    assertEqual(giveback.change, -10);
+    assertEqual(giveback.shortfall, 15);
+    assertEqual(ledger.balances.compost, 0);
+    assertEqual(ledger.shortfalls.length, 1);
+});
+
+// ============================================
+// Tea Shelf Life Tests
+// ============================================
+
+test('buildLedger sells the oldest tea first and writes off expired tea', 'Tea Shelf Life', () => {
+    const ledger = inventory.buildLedger([
+        tx('2025-06-01', 'brew', 10),
+        tx('2025-06-10', 'brew', 10),
+        tx('2025-06-12', 'sale', 6, 'tea'),
+        tx('2025-06-20', 'sale', 2, 'tea')
+    ]);
+
+    // Jun 1 lot: 10 - 6 sold = 4 left, expires Jun 15
+    const expired = ledger.rows.find(r => r.type === 'expired');
+    assertEqual(expired.date, '2025-06-15');
+    assertEqual(expired.gallons, 4);
+    assertEqual(ledger.balances.tea, 8);
+    assertDeepEqual(ledger.teaLots, [{ date: '2025-06-10', expiresOn: '2025-06-24', remaining: 8 }]);
+});
+
+test('buildLedger expires tea up to asOf', 'Tea Shelf Life', () => {
+    const transactions = [tx('2025-06-01', 'brew', 10)];
+    assertEqual(inventory.buildLedger(transactions, { asOf: '2025-06-14' }).balances.tea, 10);
+    assertEqual(inventory.buildLedger(transactions, { asOf: '2025-06-15' }).balances.tea, 0);
+    assertEqual(inventory.buildLedger(transactions, { asOf: '2025-06-14', teaShelfLifeDays: 7 }).balances.tea, 0);
+});
+
+// ============================================
+// Projected Sales Tests
+// ============================================
+
+test('checkProjectedSales warns when projected sales exceed stock', 'Projected Sales', () => {
+    const transactions = [
+        tx('2025-06-01', 'harvest', 50),
+        tx('2025-06-01', 'brew', 10),
+        tx('2025-06-05', 'sale', 20, 'compost'),
+        tx('2025-07-01', 'harvest', 100) // after asOf
+    ];
+    const warnings = inventory.checkProjectedSales({
+        transactions,
+        asOf: '2025-06-05',
+        projected: { compost: 45, tea: 8 }
+    });
+    assertEqual(warnings.length, 1);
+    assertEqual(warnings[0].product, 'compost');
+    assertEqual(warnings[0].available, 30);
+    assertEqual(warnings[0].shortfall, 15);
+});
+
+test('checkProjectedSales ignores tea that expires before the period ends', 'Projected Sales', () => {
+    const warnings = inventory.checkProjectedSales({
+        transactions: [tx('2025-06-01', 'brew', 10)],
+        asOf: '2025-06-05',
+        projected: { tea: 5 },
+        until: '2025-06-30'
+    });
+    assertEqual(warnings.length, 1);
+    assertClose(warnings[0].available, 0, 0.001);
+});
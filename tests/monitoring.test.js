@@ -0,0 +1,133 @@
+/**
+ * Pile Monitoring Tests for Compost Coordinator
+ *
+ * Tests temperature and moisture readings:
+ * - Reading validation
+ * - Stage 1 pathogen kill (131°F for 3 days)
+ * - Too-hot and per-stage moisture alerts
+ */
+
+import * as monitoring from '../monitoring.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+function reading(time, stage, temperatureF, moisturePct = null) {
+    return monitoring.normalizeReading({ time, stage, temperatureF, moisturePct });
+}
+
+// Daily 8am Stage 1 readings starting Jun 1
+function stage1Days(temperatures) {
+    return temperatures.map((t, i) => reading(`2025-06-${String(i + 1).padStart(2, '0')}T08:00`, 'stage1', t));
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeReading accepts temperature or moisture alone', 'Readings', () => {
+    assertDeepEqual(monitoring.normalizeReading({ time: '2025-06-01T08:00', stage: 'stage1', temperatureF: '142' }), {
+        time: '2025-06-01T08:00',
+        stage: 'stage1',
+        temperatureF: 142,
+        moisturePct: null,
+        notes: ''
+    });
+    assertEqual(reading('2025-06-01T08:00', 'stage2', '', 55).moisturePct, 55);
+});
+
+test('normalizeReading rejects bad readings', 'Readings', () => {
+    const message = (data) => {
+        try {
+            monitoring.normalizeReading({ time: '2025-06-01T08:00', stage: 'stage1', temperatureF: 140, ...data });
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message({ stage: 'stage5' }), 'Unknown stage: stage5');
+    assertEqual(message({ temperatureF: '', moisturePct: '' }), 'Reading needs a temperature or a moisture value');
+    assertEqual(message({ moisturePct: 120 }), 'Moisture must be 0-100%: 120');
+    assertEqual(message({ time: '2025-06-01' }), 'Time must be YYYY-MM-DDTHH:MM: 2025-06-01');
+});
+
+// ============================================
+// Pathogen Kill Tests
+// ============================================
+
+test('findLongestRun holds temperature until the next reading below it', 'Pathogen Kill', () => {
+    const series = stage1Days([120, 133, 135, 128, 132, 134, 136, 133]);
+    assertDeepEqual(monitoring.findLongestRun(series.slice(0, 4), 131), {
+        start: '2025-06-02T08:00',
+        end: '2025-06-04T08:00',
+        hours: 48
+    });
+    assertDeepEqual(monitoring.findLongestRun(series, 131, '2025-06-09T08:00'), {
+        start: '2025-06-05T08:00',
+        end: '2025-06-09T08:00',
+        hours: 96
+    }, 'Still hot: runs to asOf');
+    assertEqual(monitoring.findLongestRun(series, 131).hours, 72, 'No asOf: runs to the last reading');
+    assertEqual(monitoring.findLongestRun(stage1Days([100, 120]), 131), null);
+});
+
+test('checkPathogenKill needs 131°F held for 3 days', 'Pathogen Kill', () => {
+    assertEqual(monitoring.checkPathogenKill(stage1Days([133, 135, 138]), '2025-06-04T08:00').met, true, 'Three daily readings');
+    assertEqual(monitoring.checkPathogenKill(stage1Days([133, 135, 138]), '2025-06-03T20:00').met, false, 'Not yet 3 days');
+    assertEqual(monitoring.checkPathogenKill(stage1Days([133, 135, 128, 134]), '2025-06-05T08:00').met, false);
+});
+
+test('checkAlerts flags Stage 1 that never gets hot', 'Pathogen Kill', () => {
+    const alerts = monitoring.checkAlerts(stage1Days([95, 104, 110]), '2025-06-04T08:00');
+    assertEqual(alerts.length, 1);
+    assertEqual(alerts[0].type, 'not-thermophilic');
+    assertEqual(alerts[0].message, 'Stage 1 has not reached 131°F in 14 days (max 110°F) - check moisture and greens');
+});
+
+test('checkAlerts flags Stage 1 that does not hold temperature', 'Pathogen Kill', () => {
+    const alerts = monitoring.checkAlerts(stage1Days([133, 136, 125, 120]), '2025-06-05T08:00');
+    assertEqual(alerts[0].type, 'pathogen-kill');
+    assertEqual(alerts[0].message, 'Stage 1 held 131°F+ for 2.0 of 3 days needed for pathogen kill');
+});
+
+test('checkAlerts only looks at recent Stage 1 readings', 'Pathogen Kill', () => {
+    const alerts = monitoring.checkAlerts(stage1Days([100]), '2025-07-01T08:00');
+    assertEqual(alerts.length, 0);
+});
+
+// ============================================
+// Temperature and Moisture Alerts
+// ============================================
+
+test('checkAlerts flags Stage 3 too hot for worms', 'Stage Alerts', () => {
+    const readings = [
+        reading('2025-06-01T08:00', 'stage3', 92),
+        reading('2025-06-02T08:00', 'stage3', 78)
+    ];
+    assertEqual(monitoring.checkAlerts(readings, '2025-06-01T12:00')[0].message, 'Stage 3 at 92°F is above 85°F - too hot for worms');
+    assertEqual(monitoring.checkAlerts(readings, '2025-06-02T12:00').length, 0, 'Cooled down');
+});
+
+test('checkAlerts flags overheated Stage 1 and moisture outside 40-65%', 'Stage Alerts', () => {
+    const readings = [
+        ...stage1Days([150, 158, 162, 165]),
+        reading('2025-06-03T08:00', 'stage2', null, 30)
+    ];
+    const alerts = monitoring.checkAlerts(readings, '2025-06-04T12:00');
+    assertDeepEqual(alerts.map(a => a.type), ['too-hot', 'too-dry']);
+    assertEqual(alerts[1].message, 'Stage 2 moisture 30% is outside 40-65%');
+});
+
+test('checkAlerts holds worm stages to a wetter 60-85% band', 'Stage Alerts', () => {
+    const readings = [
+        reading('2025-06-03T08:00', 'stage2', null, 75),
+        reading('2025-06-03T08:00', 'stage3', null, 75),
+        reading('2025-06-03T08:00', 'stage4', null, 50)
+    ];
+    const alerts = monitoring.checkAlerts(readings, '2025-06-04T12:00');
+    assertDeepEqual(alerts.map(a => `${a.stage} ${a.type}`), ['stage2 too-wet', 'stage4 too-dry']);
+    assertEqual(alerts[0].message, 'Stage 2 moisture 75% is outside 40-65%');
+    assertEqual(alerts[1].message, 'Stage 4 moisture 50% is outside 60-85%');
+    assertDeepEqual(monitoring.STAGE_MOISTURE.stage3, { min: 60, max: 85 });
+});
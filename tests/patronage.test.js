@@ -0,0 +1,148 @@
+/**
+ * Member Payout Tests for Compost Coordinator
+ *
+ * Tests the GOVERNANCE.md profit distribution:
+ * - Equipment fund, member base pay, then consulting, each from what is left
+ * - GOVERNANCE.md percentages as defaults
+ * - Retained earnings and founder share of the surplus
+ * - Member payouts by hours and weighted task hours
+ */
+
+import * as patronage from '../patronage.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const MEMBERS = [
+    { id: 'maya', name: 'Maya', hours: 30 },
+    { id: 'jo', name: 'Jo', hours: 10 }
+];
+
+// ============================================
+// Distribution Tests
+// ============================================
+
+test('calculateDistribution defaults to the GOVERNANCE.md percentages', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 4200, revenue: 4425, members: MEMBERS, founderHours: 10 });
+
+    assertClose(result.equipmentFund.paid, 442.5, 0.001, '10% of revenue');
+    assertEqual(result.workerPay.paid, 0, 'No base pay unless one is set');
+    assertEqual(result.consulting.paid, 500, '10 hr × $50');
+    assertClose(result.surplus, 3257.5, 0.001);
+    assertClose(result.memberPool, 1628.75, 0.001, '50% to members');
+    assertClose(result.retained, 977.25, 0.001, '30% growth fund');
+    assertClose(result.founderShare, 651.5, 0.001, '20% founder share');
+});
+
+test('calculateDistribution pays a set base pay before consulting and the surplus', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 4200, revenue: 4425, members: MEMBERS, founderHours: 10, workerRate: 15 });
+
+    assertClose(result.equipmentFund.paid, 442.5, 0.001, '10% of revenue');
+    assertEqual(result.workerPay.paid, 600, '40 hr × $15');
+    assertEqual(result.consulting.paid, 500, '10 hr × $50');
+    assertClose(result.surplus, 2657.5, 0.001);
+    assertClose(result.memberPool, 1328.75, 0.001, '50% to members');
+    assertClose(result.retained, 797.25, 0.001, '30% growth fund');
+    assertClose(result.founderShare, 531.5, 0.001, '20% founder share');
+    assertClose(result.totals.founderTotal, 1031.5, 0.001);
+});
+
+test('calculateDistribution pays base pay by hours and the surplus by patronage', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 4200, revenue: 4425, members: MEMBERS, founderHours: 10, workerRate: 15 });
+    const [maya, jo] = result.members;
+
+    assertClose(maya.share, 0.75, 0.001);
+    assertEqual(maya.basePay, 450);
+    assertClose(maya.payout, 1446.5625, 0.001);
+    assertClose(jo.payout, 482.1875, 0.001);
+    assertClose(maya.effectiveRate, jo.effectiveRate, 0.001, 'Same rate for every member');
+    assertClose(result.totals.memberTotal, 600 + 1328.75, 0.001);
+});
+
+test('calculateDistribution weights task hours', 'Distribution', () => {
+    const result = patronage.calculateDistribution({
+        netIncome: 1000,
+        revenue: 0,
+        workerRate: 0,
+        retainedPct: 0,
+        founderSharePct: 0,
+        weights: { delivery: 2 },
+        members: [
+            { id: 'maya', hoursByCategory: { collection: 10 } },
+            { id: 'jo', hoursByCategory: { delivery: 5 } }
+        ]
+    });
+
+    assertEqual(result.totals.weightedHours, 20);
+    assertDeepEqual(result.members.map(m => m.payout), [500, 500]);
+    assertDeepEqual(result.members.map(m => m.effectiveRate), [50, 100]);
+});
+
+test('calculateDistribution funds equipment and members before consulting', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 1000, revenue: 3000, members: MEMBERS, founderHours: 10, workerRate: 15 });
+    assertEqual(result.equipmentFund.paid, 300);
+    assertEqual(result.workerPay.paid, 600);
+    assertEqual(result.consulting.paid, 100);
+    assertEqual(result.consulting.unpaid, 400);
+    assertEqual(result.surplus, 0);
+    assertDeepEqual(result.members.map(m => m.payout), [450, 150]);
+});
+
+test('calculateDistribution prorates base pay the co-op cannot cover', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 400, revenue: 1000, members: MEMBERS, founderHours: 4, workerRate: 15 });
+    assertEqual(result.workerPay.paid, 300);
+    assertEqual(result.workerPay.unpaid, 300);
+    assertDeepEqual(result.members.map(m => m.payout), [225, 75]);
+    assertEqual(result.consulting.paid, 0);
+});
+
+test('calculateDistribution pays nothing from a loss', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: -500, revenue: 1000, members: MEMBERS, founderHours: 4 });
+    assertEqual(result.equipmentFund.unpaid, 100);
+    assertEqual(result.consulting.unpaid, 200);
+    assertEqual(result.totals.memberTotal, 0);
+});
+
+test('calculateDistribution retains the member pool when nobody logged hours', 'Distribution', () => {
+    const result = patronage.calculateDistribution({ netIncome: 1000, revenue: 0, members: [] });
+    assertEqual(result.memberPool, 0);
+    assertClose(result.retained, 800, 0.01);
+});
+
+test('calculateDistribution rejects percentages over 100%', 'Distribution', () => {
+    let error = null;
+    try {
+        patronage.calculateDistribution({ netIncome: 1000, revenue: 1000, members: MEMBERS, retainedPct: 0.6, founderSharePct: 0.5 });
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error !== null, true);
+});
+
+// ============================================
+// Patronage Hours Tests
+// ============================================
+
+test('sumTimesheetHours totals minutes per worker and category in range', 'Patronage Hours', () => {
+    const entries = [
+        { workerId: 'maya', date: '2025-09-02', category: 'collection', minutes: 90 },
+        { workerId: 'maya', date: '2025-09-09', category: 'collection', minutes: 30 },
+        { workerId: 'jo', date: '2025-09-03', category: 'delivery', minutes: 60 },
+        { workerId: 'jo', date: '2025-10-01', category: 'delivery', minutes: 60 }
+    ];
+    assertDeepEqual(patronage.sumTimesheetHours(entries, { from: '2025-09-01', to: '2025-09-30' }), {
+        maya: { collection: 2 },
+        jo: { delivery: 1 }
+    });
+});
+
+test('calculatePatronage rejects negative hours', 'Patronage Hours', () => {
+    let error = null;
+    try {
+        patronage.calculatePatronage({ name: 'Maya', hours: -1 });
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'Maya: invalid hours "-1"');
+});
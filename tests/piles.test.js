@@ -0,0 +1,93 @@
+/**
+ * Pile Simulator Tests for Compost Coordinator
+ *
+ * Tests the week-by-week pile inventory model:
+ * - Weekly additions to Stage 1
+ * - Monthly stage transitions with shrinkage
+ * - Harvest from Stage 4
+ * - Overflow / empty bin flags
+ */
+
+import * as piles from '../piles.js';
+import { BIN_CAPACITY } from '../calculator.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// ============================================
+// Stage Transition Tests
+// ============================================
+
+test('simulatePiles fills Stage 1 with weekly input', 'Pile Simulator', () => {
+    const result = piles.simulatePiles({ households: 10, weeks: 4 });
+    // 10 households × 8 gal/week
+    assertDeepEqual(result.weeks.map(w => w.piles.stage1), [80, 160, 240, 320]);
+    assertEqual(result.weeks[3].moved, false, 'No move before week 4');
+});
+
+test('simulatePiles advances piles on move weeks with shrinkage', 'Pile Simulator', () => {
+    const result = piles.simulatePiles({ households: 10, weeks: 5 });
+    const week4 = result.weeks[4];
+    assertEqual(week4.moved, true);
+    assertClose(week4.piles.stage2, 320 * 0.747, 1, 'Stage 1 batch moves to Stage 2 and shrinks');
+    assertEqual(week4.piles.stage1, 80, 'Stage 1 restarts with this week\'s input');
+});
+
+test('simulatePiles harvests finished compost from Stage 4', 'Pile Simulator', () => {
+    const result = piles.simulatePiles({ households: 15, weeks: 17 });
+    // First batch: 480 gal → Stage 4 at week 12 → harvested at week 16
+    assertEqual(result.weeks[15].harvested, 0);
+    assertClose(result.weeks[16].harvested, 200, 1, '480 gal input → ~200 gal finished');
+    assertClose(result.totals.harvested, 200, 1);
+});
+
+test('simulatePiles accepts weekly input overrides', 'Pile Simulator', () => {
+    const result = piles.simulatePiles({ weeks: 3, weeklyInputs: [10, 0, 30] });
+    assertDeepEqual(result.weeks.map(w => w.piles.stage1), [10, 10, 40]);
+    assertEqual(result.totals.added, 40);
+});
+
+// ============================================
+// Capacity Flag Tests
+// ============================================
+
+test('simulatePiles flags empty stages during startup', 'Pile Capacity', () => {
+    const result = piles.simulatePiles({ households: 10, weeks: 12 });
+    assertEqual(result.totals.emptyWeeks.stage1, 0);
+    assertEqual(result.totals.emptyWeeks.stage2, 4, 'Stage 2 empty until first move');
+    assertEqual(result.totals.emptyWeeks.stage4, 12, 'Stage 4 empty for the first 12 weeks');
+});
+
+test('simulatePiles flags Stage 1 overflow when input exceeds bin capacity', 'Pile Capacity', () => {
+    const small = piles.simulatePiles({ households: 14, weeks: 8 });
+    assertEqual(small.totals.overflowWeeks.stage1, 0, '448 gal/month fits a 479 gal bin');
+
+    const large = piles.simulatePiles({ households: 20, weeks: 8 });
+    assertEqual(large.totals.overflowWeeks.stage1 > 0, true, '640 gal/month overflows');
+    const flag = large.weeks[3].flags.find(f => f.stage === 'stage1');
+    assertEqual(flag.type, 'overflow');
+});
+
+test('getPileFlags compares each pile with capacity', 'Pile Capacity', () => {
+    const flags = piles.getPileFlags({ stage1: BIN_CAPACITY + 1, stage2: 100, stage3: 0, stage4: 50 });
+    assertDeepEqual(flags.map(f => `${f.stage}:${f.type}`), ['stage1:overflow', 'stage3:empty']);
+});
+
+test('simulatePiles starts from initial inventory', 'Pile Capacity', () => {
+    const result = piles.simulatePiles({
+        households: 10,
+        weeks: 1,
+        initial: { stage2: 200, stage3: 150, stage4: 100 }
+    });
+    assertEqual(result.weeks[0].flags.length, 0, 'No empty piles');
+});
+
+test('summarizeStages reports peak volume and the first overflow week', 'Pile Capacity', () => {
+    const summary = piles.summarizeStages(piles.simulatePiles({ households: 20, weeks: 8 }));
+    assertDeepEqual(summary.map(s => s.stage), piles.STAGES);
+    assertEqual(summary[0].peak, 640);
+    assertEqual(summary[0].firstOverflow, 2, '3 weeks × 160 gal passes 479 gal');
+    assertEqual(summary[3].firstOverflow, null);
+    assertEqual(summary[3].emptyWeeks, 8);
+});
@@ -0,0 +1,108 @@
+/**
+ * Business Plan Report Tests for Compost Coordinator
+ *
+ * Tests the report against calculator.js:
+ * - README table layouts and formatting
+ * - Revenue, labor and capital totals
+ * - Seasonal periods
+ * - YOUTH_LABOR policy
+ */
+
+import * as report from '../report.js';
+import { calculateStartupCost, YOUTH_LABOR } from '../calculator.js';
+import { normalizeScenario } from '../scenarios.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const DEFAULTS = { households: 15, subscriptionPrice: 25, compostPrice: 20, teaPrice: 15, givebackPerYear: 10, includeLawnService: true };
+
+function section(result, id) {
+    return result.sections.find(s => s.id === id);
+}
+
+function cells(sec) {
+    return sec.rows.map(r => r.cells);
+}
+
+// ============================================
+// Formatting Tests
+// ============================================
+
+test('formatMoney matches the README', 'Report Formatting', () => {
+    assertEqual(report.formatMoney(3700), '$3,700');
+    assertEqual(report.formatMoney(0.333), '$0.33');
+    assertEqual(report.formatMoney(25), '$25');
+    assertEqual(report.formatMoney(-1234.4), '-$1,234');
+    assertEqual(report.formatMonthRange([2, 3]), 'Mar-Apr (2)');
+    assertEqual(report.formatMonthRange([5]), 'Jun (1)');
+});
+
+// ============================================
+// Table Tests
+// ============================================
+
+test('Revenue Streams table for the default 15 households', 'Report Tables', () => {
+    const result = report.buildReport({ name: 'Default', inputs: DEFAULTS });
+    const revenue = section(result, 'revenue');
+    assertDeepEqual(revenue.columns, ['Stream', 'Units', 'Price', 'Monthly']);
+    assertDeepEqual(cells(revenue), [
+        ['Waste pickup subscription', '15 households', '$25/mo', '$375'],
+        ['Vermicompost sales', '187.5 gal', '$20/gal', '$3,750'],
+        ['Worm tea application', '20 gal', '$15/gal', '$300'],
+        ['Total', '', '', '$4,425']
+    ]);
+    assertEqual(revenue.rows[3].kind, 'total');
+});
+
+test('Labor table lists each task and sums to the model total', 'Report Tables', () => {
+    const result = report.buildReport({ name: 'Default', inputs: DEFAULTS });
+    const rows = section(result, 'labor').rows;
+    const categories = rows.filter(r => r.kind === 'category');
+    assertDeepEqual(categories.map(r => r.cells[0]), Object.values(report.LABOR_CATEGORIES));
+    assertEqual(rows[1].cells.join(' | '), 'Drive route | 3.00 | 45 min/week');
+    assertEqual(rows[rows.length - 1].cells[1], result.model.labor.total.toFixed(1));
+});
+
+test('Capital table totals calculateStartupCost and drops lawn service', 'Report Tables', () => {
+    const withLawn = report.buildReport({ name: 'Lawn', inputs: DEFAULTS });
+    const without = report.buildReport({ name: 'No lawn', inputs: { ...DEFAULTS, includeLawnService: false } });
+    const total = (result) => section(result, 'capital').rows.find(r => r.kind === 'total').cells[2];
+
+    assertEqual(total(withLawn), report.formatMoney(calculateStartupCost(true)));
+    assertEqual(total(without), report.formatMoney(calculateStartupCost(false)));
+    assertEqual(cells(section(without, 'capital')).some(c => c[0] === 'Lawn Service'), false);
+});
+
+test('Seasonal table groups catch-up, active and winter months', 'Report Tables', () => {
+    const result = report.buildReport({ name: 'Default', inputs: DEFAULTS });
+    const seasonal = cells(section(result, 'seasonal'));
+    assertDeepEqual(seasonal.map(c => `${c[0]} ${c[1]}`), [
+        'Spring catch-up Mar-Apr (2)',
+        'Active May-Nov (7)',
+        'Winter Dec-Feb (3)',
+        'Annual 12'
+    ]);
+    assertEqual(seasonal[3][2], `${Math.round(result.model.annual.hours)} hours, ${report.formatMoney(result.model.annual.hourlyRate)}/hr`);
+    assertEqual(seasonal[3][3], report.formatMoney(result.model.annual.revenue));
+    assertEqual(section(result, 'monthly').rows.length, 13);
+});
+
+test('Inputs table shows a shared scenario\'s plan mix and route', 'Report Tables', () => {
+    const scenario = normalizeScenario({
+        name: 'Roster',
+        inputs: { ...DEFAULTS, planMix: { monthly: 10, annual: 5 }, route: { miles: 14.2, hoursPerMonth: 9.5 } }
+    });
+    const inputs = cells(section(report.buildReport(scenario), 'inputs'));
+    assertDeepEqual(inputs.find(c => c[0] === 'Plan mix'), ['Plan mix', '10 Monthly, 5 Annual']);
+    assertDeepEqual(inputs.find(c => c[0] === 'Collection route'), ['Collection route', '14.2 mi/week planned, 9.5 hours/month']);
+    assertEqual(inputs.find(c => c[0] === 'Subscription')[1], 'By plan (see revenue)');
+});
+
+test('Youth labor section lists every legal minimum', 'Report Tables', () => {
+    const youth = section(report.buildReport({ name: 'Default', inputs: DEFAULTS }), 'youth');
+    assertEqual(youth.rows.length, Object.keys(YOUTH_LABOR.legalMinimums).length);
+    assertDeepEqual(youth.rows.find(r => r.cells[0] === 'Truck driving').cells.slice(0, 2), ['Truck driving', '16']);
+    assertEqual(youth.notes[0].startsWith(`Co-op policy: ${YOUTH_LABOR.coopPolicy.rule}`), true);
+});
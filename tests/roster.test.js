@@ -0,0 +1,131 @@
+/**
+ * Customer Roster Tests for Compost Coordinator
+ *
+ * Tests the pure roster functions (IndexedDB storage is browser-only):
+ * - Household validation
+ * - Roster summary and model inputs
+ * - CSV export / import
+ */
+
+import * as roster from '../roster.js';
+import { calculateFullModel, calculateMRR } from '../calculator.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const HOUSEHOLDS = [
+    { id: 1, address: '101 Eagle Crest Dr', lat: 42.9634, lng: -85.6681, housingType: 'sfOwned', plan: 'annual', startDate: '2025-03-01', buckets: 2, givebackOwed: 10, givebackDelivered: 5, notes: '' },
+    { id: 2, address: '103 Eagle Crest Dr', lat: 42.9636, lng: -85.6679, housingType: 'sfOwned', plan: 'monthly', startDate: '2025-04-15', buckets: 1, givebackOwed: 10, givebackDelivered: 10, notes: 'Side gate' },
+    { id: 3, address: '12 Falcon Ct, Unit B', lat: null, lng: null, housingType: 'condo', plan: 'monthly', startDate: '2025-06-01', buckets: 1, givebackOwed: 5, givebackDelivered: 0, notes: 'Leave at "back" door' }
+];
+
+function throws(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeHousehold fills defaults and converts numbers', 'Roster Validation', () => {
+    const result = roster.normalizeHousehold({
+        address: ' 5 Osprey Ln ',
+        startDate: '2025-05-01',
+        buckets: '2',
+        givebackOwed: ''
+    });
+    assertDeepEqual(result, {
+        address: '5 Osprey Ln',
+        lat: null,
+        lng: null,
+        housingType: 'sfOwned',
+        plan: 'monthly',
+        startDate: '2025-05-01',
+        buckets: 2,
+        givebackOwed: 0,
+        givebackDelivered: 0,
+        notes: ''
+    });
+});
+
+test('normalizeHousehold rejects invalid fields', 'Roster Validation', () => {
+    assertEqual(throws(() => roster.normalizeHousehold({ startDate: '2025-05-01' })), 'Household needs an address');
+    assertEqual(throws(() => roster.normalizeHousehold({ address: 'A', startDate: '2025-05-01', housingType: 'castle' })),
+        'A: unknown housing type "castle"');
+    assertEqual(throws(() => roster.normalizeHousehold({ address: 'A', startDate: '2025-05-01', plan: 'weekly' })),
+        'A: unknown plan "weekly"');
+    assertEqual(throws(() => roster.normalizeHousehold({ address: 'A', startDate: '5/1/2025' })),
+        'A: start date must be YYYY-MM-DD');
+    assertEqual(throws(() => roster.normalizeHousehold({ address: 'A', startDate: '2025-05-01', buckets: -1 })),
+        'A: invalid buckets "-1"');
+    assertEqual(throws(() => roster.normalizeHousehold({ address: 'A', startDate: '2025-05-01', lat: 95 })),
+        'A: invalid latitude "95"');
+});
+
+// ============================================
+// Summary Tests
+// ============================================
+
+test('summarizeRoster counts housing types, plans and give-back', 'Roster Summary', () => {
+    const summary = roster.summarizeRoster(HOUSEHOLDS);
+    assertEqual(summary.households, 3);
+    assertDeepEqual(summary.housingMix, { sfOwned: 2, condo: 1 });
+    assertDeepEqual(summary.planMix, { annual: 1, monthly: 2 });
+    assertEqual(summary.buckets, 4);
+    assertEqual(summary.givebackOutstanding, 10);
+});
+
+test('summarizeRoster only counts households started by the cutoff', 'Roster Summary', () => {
+    const summary = roster.summarizeRoster(HOUSEHOLDS, '2025-05-01');
+    assertEqual(summary.households, 2);
+    assertDeepEqual(summary.housingMix, { sfOwned: 2 });
+});
+
+test('rosterToModelInputs feeds calculateFullModel', 'Roster Summary', () => {
+    const model = calculateFullModel({
+        compostPrice: 20,
+        teaPrice: 15,
+        subscriptionPrice: 25,
+        givebackPerYear: 10,
+        ...roster.rosterToModelInputs(HOUSEHOLDS)
+    });
+    assertEqual(model.households, 3);
+    assertClose(model.revenue.subscriptions, calculateMRR({ annual: 1, monthly: 2 }), 0.01);
+});
+
+// ============================================
+// CSV Tests
+// ============================================
+
+test('exportRosterCsv quotes commas and quotes', 'Roster CSV', () => {
+    const csv = roster.exportRosterCsv(HOUSEHOLDS);
+    const lines = csv.trim().split('\n');
+    assertEqual(lines[0], roster.ROSTER_FIELDS.join(','));
+    assertEqual(lines[3], '3,"12 Falcon Ct, Unit B",,,condo,monthly,2025-06-01,1,5,0,"Leave at ""back"" door"');
+});
+
+test('importRosterCsv round-trips an export', 'Roster CSV', () => {
+    const imported = roster.importRosterCsv(roster.exportRosterCsv(HOUSEHOLDS));
+    assertDeepEqual(imported, HOUSEHOLDS);
+});
+
+test('importRosterCsv matches columns by header and skips blank lines', 'Roster CSV', () => {
+    const csv = 'startDate,address,plan\r\n2025-07-01,9 Heron Way,annual\r\n\r\n';
+    const imported = roster.importRosterCsv(csv);
+    assertEqual(imported.length, 1);
+    assertEqual(imported[0].address, '9 Heron Way');
+    assertEqual(imported[0].plan, 'annual');
+    assertEqual(imported[0].id, undefined, 'New household without id');
+});
+
+test('importRosterCsv reports the failing row', 'Roster CSV', () => {
+    const csv = 'address,startDate\n1 Kite St,2025-01-01\n2 Kite St,soon\n';
+    assertEqual(throws(() => roster.importRosterCsv(csv)), 'Row 3: 2 Kite St: start date must be YYYY-MM-DD');
+    assertEqual(throws(() => roster.importRosterCsv('name,plan\n')), 'Roster file is missing the "address" column');
+});
@@ -0,0 +1,139 @@
+/**
+ * Route Planner Tests for Compost Coordinator
+ *
+ * Tests the weekly collection route:
+ * - Distances
+ * - Nearest-neighbor ordering and 2-opt improvement
+ * - Drive, stop and cleaning time
+ * - Planned hours feeding calculateLabor / calculateFullModel
+ */
+
+import * as routes from '../routes.js';
+import * as calc from '../calculator.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// ~0.01° latitude ≈ 0.69 mi
+const DEPOT = { lat: 42.96, lng: -85.67 };
+
+function stopAt(id, dLat, dLng) {
+    return { id, lat: DEPOT.lat + dLat, lng: DEPOT.lng + dLng };
+}
+
+// ============================================
+// Distance Tests
+// ============================================
+
+test('distanceMiles measures straight-line distance', 'Route Distance', () => {
+    assertClose(routes.distanceMiles(DEPOT, stopAt('a', 0.01, 0)), 0.691, 0.005);
+    assertEqual(routes.distanceMiles(DEPOT, DEPOT), 0);
+});
+
+test('tourMiles returns to the depot', 'Route Distance', () => {
+    const a = stopAt('a', 0.01, 0);
+    assertClose(routes.tourMiles(DEPOT, [a]), 2 * routes.distanceMiles(DEPOT, a), 0.0001);
+});
+
+// ============================================
+// Ordering Tests
+// ============================================
+
+test('nearestNeighborOrder visits the closest stop next', 'Route Ordering', () => {
+    const stops = [stopAt('far', 0.03, 0), stopAt('near', 0.01, 0), stopAt('mid', 0.02, 0)];
+    const order = routes.nearestNeighborOrder(DEPOT, stops);
+    assertDeepEqual(order.map(s => s.id), ['near', 'mid', 'far']);
+});
+
+test('twoOpt removes crossing legs', 'Route Ordering', () => {
+    // Depot + three corners of a square, visited diagonally (legs cross)
+    const crossed = [stopAt('a', 0.01, 0), stopAt('b', 0, 0.01), stopAt('c', 0.01, 0.01)];
+    const improved = routes.twoOpt(DEPOT, crossed);
+    assertEqual(routes.tourMiles(DEPOT, improved) < routes.tourMiles(DEPOT, crossed), true);
+    assertEqual(improved[1].id, 'c', 'Walks around the square');
+});
+
+// ============================================
+// Route Plan Tests
+// ============================================
+
+test('planRoute estimates drive, stop and cleaning time', 'Route Plan', () => {
+    const stops = [stopAt('a', 0.01, 0), stopAt('b', 0.02, 0)];
+    const route = routes.planRoute({ depot: DEPOT, stops, vehicle: 'atvTrailer' });
+    const miles = 2 * routes.distanceMiles(DEPOT, stops[1]) * routes.ROAD_CIRCUITY;
+    assertClose(route.miles, miles, 0.001);
+    assertClose(route.driveMinutes, miles / 12 * 60, 0.01);
+    assertEqual(route.stopMinutes, 2 * routes.STOP_MINUTES);
+    assertEqual(route.cleaningMinutes, 2 * routes.CLEANING_MINUTES_PER_STOP);
+    assertClose(route.hoursPerMonth, route.minutesPerWeek / 60 * 4, 0.001);
+});
+
+test('planRoute drives faster by truck', 'Route Plan', () => {
+    const stops = [stopAt('a', 0.02, 0.02)];
+    const atv = routes.planRoute({ depot: DEPOT, stops, vehicle: 'atvTrailer' });
+    const truck = routes.planRoute({ depot: DEPOT, stops, vehicle: 'truck' });
+    assertEqual(truck.driveMinutes < atv.driveMinutes, true);
+    assertEqual(truck.miles, atv.miles);
+});
+
+test('planRoute rejects unknown vehicles and missing coordinates', 'Route Plan', () => {
+    const message = (fn) => {
+        try {
+            fn();
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message(() => routes.planRoute({ depot: DEPOT, stops: [], vehicle: 'bike' })), 'Unknown vehicle: bike');
+    assertEqual(message(() => routes.planRoute({ depot: DEPOT, stops: [{ address: '1 Elm St', lat: null, lng: null }] })),
+        'Missing coordinates for 1 Elm St');
+});
+
+// ============================================
+// Labor Integration Tests
+// ============================================
+
+test('calculateLabor uses planned collection hours', 'Route Labor', () => {
+    assertEqual(calc.calculateLabor(15).collection, 16);
+    assertEqual(calc.calculateLabor(15, { collectionHours: 9.5 }).collection, 9.5);
+});
+
+test('calculateFullModel uses the planned route for labor and fuel', 'Route Labor', () => {
+    const stops = Array.from({ length: 15 }, (_, i) => stopAt(i, 0.002 * (i % 5), 0.003 * Math.floor(i / 5)));
+    const route = routes.planRoute({ depot: DEPOT, stops });
+    const params = { households: 15, compostPrice: 20, teaPrice: 15, subscriptionPrice: 25, givebackPerYear: 10 };
+    const model = calc.calculateFullModel({ ...params, route });
+    assertClose(model.labor.collection, route.hoursPerMonth, 0.0001);
+    assertClose(model.annual.months[0].labor.collection, route.hoursPerMonth, 0.0001, 'Winter collection too');
+    assertClose(model.expenses.fuel, (route.miles * 4 + 20) * 0.25, 0.001, 'Route miles + delivery miles');
+});
+
+test('planRosterRoute explains when the linear estimate stays in use', 'Route Labor', () => {
+    const households = [stopAt(1, 0.01, 0), stopAt(2, 0, 0.01)];
+    assertEqual(routes.planRosterRoute({ depot: null, vehicle: 'atvTrailer', households }).reason, 'No depot set');
+    assertEqual(routes.planRosterRoute({ depot: DEPOT, vehicle: 'atvTrailer', households: [...households, { id: 3 }] }).reason,
+        '1 address has no coordinates');
+
+    const { route, reason } = routes.planRosterRoute({ depot: DEPOT, vehicle: 'atvTrailer', households });
+    assertEqual(reason, null);
+    assertEqual(route.stops.length, 2);
+});
+
+test('normalizeRouteSettings validates the depot', 'Route Labor', () => {
+    const message = (data) => {
+        try {
+            routes.normalizeRouteSettings({ vehicle: 'atvTrailer', ...data });
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertDeepEqual(routes.normalizeRouteSettings({ depot: { lat: '42.96', lng: '-85.67' }, vehicle: 'truck' }),
+        { depot: { lat: 42.96, lng: -85.67 }, vehicle: 'truck' });
+    assertDeepEqual(routes.normalizeRouteSettings({ depot: { lat: '', lng: '' }, vehicle: 'truck' }), { depot: null, vehicle: 'truck' });
+    assertEqual(message({ depot: { lat: '95', lng: '-85' } }), 'Invalid depot latitude: 95');
+    assertEqual(message({ depot: { lat: '42.9', lng: '' } }), 'Invalid depot longitude: ');
+    assertEqual(message({ vehicle: 'bike' }), 'Unknown vehicle: bike');
+});
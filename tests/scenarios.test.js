@@ -0,0 +1,156 @@
+/**
+ * Scenario Tests for Compost Coordinator
+ *
+ * Tests scenario handling:
+ * - Validation / normalization
+ * - JSON export and import
+ * - URL hash encoding
+ * - Side-by-side comparison
+ */
+
+import * as scenarios from '../scenarios.js';
+import { calculateFullModel } from '../calculator.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+const BASE_INPUTS = {
+    households: 15,
+    subscriptionPrice: 25,
+    compostPrice: 20,
+    teaPrice: 15,
+    givebackPerYear: 10,
+    includeLawnService: true
+};
+
+function assertThrows(fn, message = '') {
+    let threw = false;
+    try {
+        fn();
+    } catch (e) {
+        threw = true;
+    }
+    assertEqual(threw, true, message);
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeScenario keeps model inputs and trims the name', 'Scenario Validation', () => {
+    const result = scenarios.normalizeScenario({ name: '  Eagle Crest ', inputs: BASE_INPUTS });
+    assertEqual(result.name, 'Eagle Crest');
+    assertEqual(result.inputs.households, 15);
+    assertEqual(result.inputs.housingMix, null);
+});
+
+test('normalizeScenario derives households from a housing mix', 'Scenario Validation', () => {
+    const result = scenarios.normalizeScenario({
+        name: 'Mixed',
+        inputs: { ...BASE_INPUTS, housingMix: { sfOwned: 10, condo: 6 } }
+    });
+    assertEqual(result.inputs.households, 16);
+});
+
+test('normalizeScenario rejects missing names and bad values', 'Scenario Validation', () => {
+    assertThrows(() => scenarios.normalizeScenario({ name: '', inputs: BASE_INPUTS }), 'Empty name');
+    assertThrows(() => scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, teaPrice: 'abc' } }), 'Non-numeric price');
+    assertThrows(() => scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, housingMix: { castle: 1 } } }), 'Unknown housing type');
+    assertThrows(() => scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, legalStructure: 'llc' } }), 'Unknown legal structure');
+    assertThrows(() => scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, planMix: { weekly: 3 } } }), 'Unknown plan');
+    assertThrows(() => scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, route: { miles: 'far', hoursPerMonth: 9 } } }), 'Invalid route');
+});
+
+test('normalizeScenario keeps the legal structure, defaulting to DBA', 'Scenario Validation', () => {
+    assertEqual(scenarios.normalizeScenario({ name: 'A', inputs: BASE_INPUTS }).inputs.legalStructure, 'dba');
+    assertEqual(scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, legalStructure: 'coop' } }).inputs.legalStructure, 'coop');
+});
+
+test('upsertScenario replaces a scenario with the same name', 'Scenario Validation', () => {
+    const first = scenarios.normalizeScenario({ name: 'A', inputs: BASE_INPUTS });
+    const second = scenarios.normalizeScenario({ name: 'A', inputs: { ...BASE_INPUTS, households: 30 } });
+    const result = scenarios.upsertScenario([first], second);
+    assertEqual(result.length, 1);
+    assertEqual(result[0].inputs.households, 30);
+});
+
+// ============================================
+// Export / Import Tests
+// ============================================
+
+test('exportScenarios round-trips through importScenarios', 'Scenario Files', () => {
+    const list = [
+        scenarios.normalizeScenario({ name: 'A', inputs: BASE_INPUTS }),
+        scenarios.normalizeScenario({ name: 'B', inputs: { ...BASE_INPUTS, households: 40 } })
+    ];
+    const result = scenarios.importScenarios(scenarios.exportScenarios(list));
+    assertDeepEqual(result, list);
+});
+
+test('importScenarios accepts a single bare scenario', 'Scenario Files', () => {
+    const result = scenarios.importScenarios(JSON.stringify({ name: 'Solo', inputs: BASE_INPUTS }));
+    assertEqual(result.length, 1);
+    assertEqual(result[0].name, 'Solo');
+});
+
+test('importScenarios rejects invalid JSON', 'Scenario Files', () => {
+    assertThrows(() => scenarios.importScenarios('{not json'));
+});
+
+// ============================================
+// URL Hash Tests
+// ============================================
+
+test('encodeScenarioHash round-trips through decodeScenarioHash', 'Scenario Links', () => {
+    const scenario = scenarios.normalizeScenario({
+        name: 'Oak & Elm HOA',
+        inputs: { ...BASE_INPUTS, includeLawnService: false, legalStructure: 'coop', housingMix: { sfOwned: 12, apartment: 8 } }
+    });
+    const hash = scenarios.encodeScenarioHash(scenario);
+    assertEqual(hash.startsWith('#'), true);
+    assertDeepEqual(scenarios.decodeScenarioHash(hash), scenario);
+});
+
+test('Plan mix and planned route round-trip through files and links', 'Scenario Links', () => {
+    const route = { vehicle: 'atvTrailer', stops: [{ id: 'h1' }], miles: 14.2, hoursPerMonth: 9.5 };
+    const scenario = scenarios.normalizeScenario({
+        name: 'Roster',
+        inputs: { ...BASE_INPUTS, planMix: { monthly: 10, annual: 4, hoa: 1 }, route }
+    });
+    assertDeepEqual(scenario.inputs.route, { miles: 14.2, hoursPerMonth: 9.5 }, 'Only what the model uses');
+    assertDeepEqual(scenarios.decodeScenarioHash(scenarios.encodeScenarioHash(scenario)), scenario);
+    assertDeepEqual(scenarios.importScenarios(scenarios.exportScenarios([scenario])), [scenario]);
+
+    const dashboard = calculateFullModel({ ...BASE_INPUTS, planMix: { monthly: 10, annual: 4, hoa: 1 }, route });
+    const shared = calculateFullModel(scenarios.decodeScenarioHash(scenarios.encodeScenarioHash(scenario)).inputs);
+    assertEqual(shared.revenue.subscriptions, dashboard.revenue.subscriptions, 'Priced by plan');
+    assertEqual(shared.labor.collection, dashboard.labor.collection, 'Planned collection hours');
+    assertEqual(shared.netIncome, dashboard.netIncome);
+});
+
+test('decodeScenarioHash ignores hashes without a scenario', 'Scenario Links', () => {
+    assertEqual(scenarios.decodeScenarioHash(''), null);
+    assertEqual(scenarios.decodeScenarioHash('#design'), null);
+});
+
+// ============================================
+// Comparison Tests
+// ============================================
+
+test('compareScenarios diffs model outputs against the first scenario', 'Scenario Compare', () => {
+    const result = scenarios.compareScenarios([
+        { name: 'Base', inputs: BASE_INPUTS },
+        { name: 'Double', inputs: { ...BASE_INPUTS, households: 30 } }
+    ]);
+    assertDeepEqual(result.names, ['Base', 'Double']);
+    const subs = result.rows.find(r => r.label === 'Subscriptions/mo');
+    assertDeepEqual(subs.values, [375, 750]);
+    assertDeepEqual(subs.diffs, [0, 375]);
+});
+
+test('compareScenarios limits to three scenarios', 'Scenario Compare', () => {
+    const list = [10, 20, 30, 40].map(n => ({ name: `${n}`, inputs: { ...BASE_INPUTS, households: n } }));
+    const result = scenarios.compareScenarios(list);
+    assertEqual(result.names.length, scenarios.MAX_COMPARE);
+});
@@ -0,0 +1,134 @@
+/**
+ * Pile Probe Ingestion Tests for Compost Coordinator
+ *
+ * Tests sensor data against fixtures and a mock broker:
+ * - Data logger CSV (Celsius, 5-minute samples)
+ * - MQTT-style JSON messages
+ * - Device ID → stage mapping
+ * - Merging into the monitoring history
+ */
+
+import * as sensors from '../sensors.js';
+import { mergeReadings, checkAlerts } from '../monitoring.js';
+import { DEVICES, LOGGER_CSV, MESSAGES } from './fixtures/probe-data.js';
+import { createSuite, assertEqual, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// In-memory broker with the mqtt.js client surface used by subscribeProbes
+function createMockBroker() {
+    const handlers = [];
+    const subscriptions = [];
+    return {
+        subscriptions,
+        subscribe(topic) {
+            subscriptions.push(topic);
+        },
+        unsubscribe(topic) {
+            subscriptions.splice(subscriptions.indexOf(topic), 1);
+        },
+        on(event, handler) {
+            if (event === 'message') handlers.push(handler);
+        },
+        removeListener(event, handler) {
+            handlers.splice(handlers.indexOf(handler), 1);
+        },
+        publish(topic, payload) {
+            handlers.forEach(handler => handler(topic, payload));
+        }
+    };
+}
+
+// ============================================
+// Parsing Tests
+// ============================================
+
+test('parseProbeTime keeps wall-clock times', 'Probe Parsing', () => {
+    assertEqual(sensors.parseProbeTime('2025-06-07 08:05:00'), '2025-06-07T08:05');
+    assertEqual(sensors.parseProbeTime('2025-06-07T08:05'), '2025-06-07T08:05');
+    let error = null;
+    try {
+        sensors.parseProbeTime('yesterday');
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'Unreadable time: yesterday');
+});
+
+test('toReading converts Celsius and maps the device to a stage', 'Probe Parsing', () => {
+    assertDeepEqual(sensors.toReading({ device: 'probe-01', ts: '2025-06-07 08:00', temp_c: '55', moisture: '60' }, DEVICES), {
+        time: '2025-06-07T08:00',
+        stage: 'stage1',
+        temperatureF: 131,
+        moisturePct: 60,
+        deviceId: 'probe-01',
+        notes: ''
+    });
+});
+
+test('parseLoggerCsv thins samples to one per hour and reports bad rows', 'Probe Parsing', () => {
+    const { readings, errors } = sensors.parseLoggerCsv(LOGGER_CSV, DEVICES);
+    assertDeepEqual(readings.map(r => `${r.deviceId} ${r.time}`), [
+        'probe-01 2025-06-07T08:00',
+        'probe-03 2025-06-07T08:00',
+        'probe-01 2025-06-07T09:00'
+    ]);
+    assertDeepEqual(errors, [
+        'Row 7: Device probe-09 is not mapped to a stage',
+        'Row 8: Reading needs a temperature or a moisture value'
+    ]);
+});
+
+test('parseLoggerCsv uses a fixed device for single-probe files', 'Probe Parsing', () => {
+    const csv = 'time,temperature_f\n2025-06-07T08:00,128\n';
+    const { readings } = sensors.parseLoggerCsv(csv, DEVICES, { deviceId: 'probe-03', intervalMinutes: 0 });
+    assertEqual(readings[0].stage, 'stage3');
+    assertEqual(readings[0].temperatureF, 128);
+});
+
+test('parseMessage reads the device from the topic', 'Probe Parsing', () => {
+    const [single, batch, unmapped, garbled] = MESSAGES.map(m => sensors.parseMessage(m.topic, m.payload, DEVICES));
+    assertEqual(single.readings[0].stage, 'stage1');
+    assertDeepEqual(batch.readings.map(r => r.temperatureF), [81, 88]);
+    assertDeepEqual(unmapped.errors, ['compost/probe-02/telemetry: Device probe-02 is not mapped to a stage']);
+    assertDeepEqual(garbled.errors, ['compost/probe-01/telemetry: payload is not JSON']);
+});
+
+// ============================================
+// Broker Tests
+// ============================================
+
+test('subscribeProbes delivers readings from a mock broker', 'Probe Broker', () => {
+    const broker = createMockBroker();
+    const received = [];
+    const errors = [];
+    const unsubscribe = sensors.subscribeProbes(broker, {
+        devices: DEVICES,
+        onReadings: readings => received.push(...readings),
+        onError: messages => errors.push(...messages)
+    });
+
+    assertDeepEqual(broker.subscriptions, ['compost/+/telemetry']);
+    MESSAGES.forEach(m => broker.publish(m.topic, new TextEncoder().encode(m.payload)));
+    assertEqual(received.length, 3);
+    assertEqual(errors.length, 2);
+
+    unsubscribe();
+    broker.publish(MESSAGES[0].topic, MESSAGES[0].payload);
+    assertEqual(received.length, 3, 'No readings after unsubscribing');
+    assertDeepEqual(broker.subscriptions, []);
+});
+
+test('Probe readings merge into the monitoring history and raise alerts', 'Probe Broker', () => {
+    const manual = [{ id: 'manual-1', time: '2025-06-08T07:00', stage: 'stage3', temperatureF: 75, moisturePct: null, notes: '' }];
+    const probe = MESSAGES
+        .flatMap(m => sensors.parseMessage(m.topic, m.payload, DEVICES).readings)
+        .map(r => ({ ...r, id: `${r.deviceId}-${r.time}` }));
+
+    const history = mergeReadings(mergeReadings(manual, probe), probe);
+    assertEqual(history.length, 4, 'Re-sending the same messages does not duplicate');
+
+    const alerts = checkAlerts(history, '2025-06-08T10:00');
+    assertEqual(alerts.some(a => a.stage === 'stage3' && a.type === 'too-hot'), true);
+});
@@ -0,0 +1,164 @@
+/**
+ * Subscription Projection Tests for Compost Coordinator
+ *
+ * Tests plan-based subscription revenue:
+ * - MRR from a plan mix
+ * - Trial conversion and churn
+ * - Annual prepayment timing
+ * - HOA lump-sum contracts
+ */
+
+import * as subscriptions from '../subscriptions.js';
+import * as calc from '../calculator.js';
+import { createSuite, assertEqual, assertClose } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// ============================================
+// Plan Mix Tests
+// ============================================
+
+test('calculateMRR spreads annual and HOA plans over 12 months', 'Plan Mix', () => {
+    assertClose(calc.calculateMRR({ monthly: 5, annual: 10 }), 5 * 25 + 10 * 250 / 12, 0.01);
+    assertClose(calc.calculateMRR({ hoa: 40 }), 40 * 20, 0.01, '$240/household/yr HOA contract');
+});
+
+test('calculateMRR rejects unknown plans', 'Plan Mix', () => {
+    let threw = false;
+    try {
+        calc.calculateMRR({ weekly: 3 });
+    } catch (e) {
+        threw = true;
+    }
+    assertEqual(threw, true);
+});
+
+test('calculateFullModel prices subscriptions by plan mix', 'Plan Mix', () => {
+    const params = { households: 15, compostPrice: 20, teaPrice: 15, subscriptionPrice: 25, givebackPerYear: 10 };
+    const flat = calc.calculateFullModel(params);
+    const mixed = calc.calculateFullModel({ ...params, planMix: { monthly: 5, annual: 10 } });
+    assertClose(mixed.revenue.subscriptions, calc.calculateMRR({ monthly: 5, annual: 10 }), 0.01);
+    assertEqual(mixed.revenue.subscriptions < flat.revenue.subscriptions, true, 'Annual plan is discounted');
+    assertEqual(mixed.expenses.paymentProcessing < flat.expenses.paymentProcessing, true, 'Fewer card payments');
+});
+
+test('countSubscriptionPayments bills HOA contracts as one invoice', 'Plan Mix', () => {
+    assertClose(calc.countSubscriptionPayments({ monthly: 6, annual: 12, hoa: 40 }), 6 + 1 + 1 / 12, 0.001);
+});
+
+// ============================================
+// Projection Tests
+// ============================================
+
+test('projectSubscriptions holds steady with no signups or churn', 'Projection', () => {
+    const result = subscriptions.projectSubscriptions({
+        initial: { monthly: 10 },
+        churn: { monthly: 0, annual: 0 }
+    });
+    assertEqual(result.months.length, 24);
+    assertEqual(result.months[23].subscribers.total, 10);
+    assertEqual(result.months[0].mrr, 250);
+    assertEqual(result.totals.cash, 24 * 250);
+});
+
+test('projectSubscriptions converts trials by plan mix', 'Projection', () => {
+    const result = subscriptions.projectSubscriptions({
+        signupsPerMonth: [10],
+        trialConversion: 0.8,
+        planMix: { monthly: 0.25, annual: 0.75 },
+        churn: { monthly: 0, annual: 0 }
+    });
+    assertEqual(result.months[0].subscribers.trial, 10);
+    assertEqual(result.months[0].cash.monthly, 250, 'Trial month billed monthly');
+
+    const [, second] = result.months;
+    assertClose(second.converted, 8, 0.001);
+    assertClose(second.subscribers.monthly, 2, 0.001);
+    assertClose(second.subscribers.annual, 6, 0.001);
+    assertClose(second.cancelled, 2, 0.001);
+    assertClose(second.cash.annual, 6 * 250, 0.001, 'Annual prepaid at conversion');
+});
+
+test('projectSubscriptions applies monthly churn', 'Projection', () => {
+    const result = subscriptions.projectSubscriptions({
+        months: 3,
+        initial: { monthly: 100 },
+        churn: { monthly: 0.1, annual: 0 }
+    });
+    assertClose(result.months[2].subscribers.monthly, 100 * 0.9 * 0.9 * 0.9, 0.001);
+});
+
+test('projectSubscriptions churns annual subscribers at renewal only', 'Projection', () => {
+    const result = subscriptions.projectSubscriptions({
+        initial: { annual: 100 },
+        churn: { monthly: 0, annual: 0.02 }
+    });
+    assertEqual(result.months[11].subscribers.annual, 100);
+    assertClose(result.months[12].subscribers.annual, 100 * Math.pow(0.98, 12), 0.001);
+    assertClose(result.months[12].cash.annual, 100 * Math.pow(0.98, 12) * 250, 0.01, 'Renewal payment');
+    assertEqual(result.months[6].cash.annual, 0);
+});
+
+test('projectSubscriptions prorates annual plans to a fixed billing month', 'Projection', () => {
+    // Start in March, annual plans all renew in January
+    const result = subscriptions.projectSubscriptions({
+        startMonth: 2,
+        initial: { annual: 12 },
+        annualBillingMonth: 0,
+        churn: { monthly: 0, annual: 0 }
+    });
+    assertClose(result.months[0].cash.annual, 12 * 250 * 10 / 12, 0.001, 'Mar-Dec prepaid');
+    assertEqual(result.months[10].name, 'Jan');
+    assertClose(result.months[10].cash.annual, 12 * 250, 0.001, 'Full renewal in January');
+});
+
+test('projectSubscriptions collects HOA contracts as lump sums', 'Projection', () => {
+    const result = subscriptions.projectSubscriptions({
+        hoaContracts: [{ name: 'Eagle Crest', households: 40, startIndex: 2, renewals: 0 }]
+    });
+    assertEqual(result.months[1].subscribers.hoa, 0);
+    assertEqual(result.months[2].cash.hoa, 9600, '40 × $240 HOA plan price');
+    assertEqual(result.months[3].cash.hoa, 0);
+    assertEqual(result.months[3].mrr, 800);
+    assertEqual(result.months[13].subscribers.hoa, 40);
+    assertEqual(result.months[14].subscribers.hoa, 0, 'Contract not renewed');
+    assertEqual(result.months[3].cumulativeCash, 9600);
+});
+
+test('projectSubscriptions rejects rates outside 0-1', 'Projection', () => {
+    let threw = false;
+    try {
+        subscriptions.projectSubscriptions({ trialConversion: 1.5 });
+    } catch (e) {
+        threw = true;
+    }
+    assertEqual(threw, true);
+});
+
+test('projectModelSubscriptions starts from the model\'s subscription revenue', 'Projection', () => {
+    const flat = { households: 15, subscriptionPrice: 30, compostPrice: 20, teaPrice: 15, givebackPerYear: 10 };
+    const mixed = { ...flat, planMix: { monthly: 5, annual: 6, hoa: 20 } };
+    const steady = { churn: { monthly: 0, annual: 0 } };
+
+    for (const inputs of [flat, mixed]) {
+        const result = subscriptions.projectModelSubscriptions(inputs, steady);
+        assertClose(result.months[0].mrr, calc.calculateFullModel(inputs).revenue.subscriptions, 0.001);
+    }
+    const result = subscriptions.projectModelSubscriptions(mixed, steady);
+    assertEqual(result.months[0].subscribers.total, 31);
+    assertEqual(result.months[0].cash.hoa, 20 * calc.SUBSCRIPTION_PLANS.hoa.price);
+});
+
+test('projectModelSubscriptions uses the scenario\'s plan prices', 'Projection', () => {
+    const plans = {
+        ...calc.SUBSCRIPTION_PLANS,
+        monthly: { ...calc.SUBSCRIPTION_PLANS.monthly, price: 28 },
+        hoa: { ...calc.SUBSCRIPTION_PLANS.hoa, price: 300 }
+    };
+    const inputs = { households: 31, subscriptionPrice: 25, compostPrice: 20, teaPrice: 15, givebackPerYear: 10, plans,
+        planMix: { monthly: 5, annual: 6, hoa: 20 } };
+    const result = subscriptions.projectModelSubscriptions(inputs, { churn: { monthly: 0, annual: 0 } });
+    assertClose(result.months[0].mrr, calc.calculateFullModel(inputs).revenue.subscriptions, 0.001);
+    assertEqual(result.months[0].cash.hoa, 20 * 300);
+});
@@ -0,0 +1,119 @@
+/**
+ * Timesheet Tests for Compost Coordinator
+ *
+ * Tests logged labor against the model:
+ * - Entry validation against task names
+ * - Logged hours per month vs getTaskBreakdown / calculateLabor
+ * - Suggested per-task minutes for recalibration
+ */
+
+import * as timesheets from '../timesheets.js';
+import { createSuite, assertEqual, assertClose, assertDeepEqual } from './framework.js';
+
+const { test, runTests } = createSuite();
+export { runTests };
+
+// Four weeks: Mon Sep 1 - Sun Sep 28, 2025 (one model month)
+const FROM = '2025-09-01';
+const TO = '2025-09-28';
+
+function entry(task, minutes, date = '2025-09-06', category = 'collection') {
+    return timesheets.normalizeEntry({ workerId: 'maya', date, category, task, minutes });
+}
+
+function findTask(report, category, task) {
+    return report.categories.find(c => c.category === category).tasks.find(t => t.task === task);
+}
+
+// ============================================
+// Validation Tests
+// ============================================
+
+test('normalizeEntry accepts model task names', 'Timesheet Entries', () => {
+    assertDeepEqual(entry('Drive route', '50'), {
+        workerId: 'maya',
+        date: '2025-09-06',
+        category: 'collection',
+        task: 'Drive route',
+        minutes: 50,
+        notes: ''
+    });
+    assertEqual(timesheets.getTaskNames('cardboard').includes('Shred (90 gal)'), true);
+});
+
+test('normalizeEntry rejects unknown tasks and bad values', 'Timesheet Entries', () => {
+    const message = (data) => {
+        try {
+            timesheets.normalizeEntry({ workerId: 'maya', date: FROM, category: 'collection', task: 'Drive route', minutes: 10, ...data });
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assertEqual(message({ task: 'Nap' }), 'Unknown collection task: Nap');
+    assertEqual(message({ category: 'lawn' }), 'Unknown task category: lawn');
+    assertEqual(message({ minutes: 0 }), 'Minutes must be positive: 0');
+    assertEqual(message({ date: '9/1/2025' }), 'Date must be YYYY-MM-DD: 9/1/2025');
+    assertEqual(message({ workerId: '' }), 'Timesheet entry needs a worker');
+});
+
+// ============================================
+// Variance Tests
+// ============================================
+
+test('calculateLaborVariance converts logged minutes to hours per month', 'Labor Variance', () => {
+    // 60 min/week for 4 weeks vs modeled 45 min/week
+    const entries = ['2025-09-06', '2025-09-13', '2025-09-20', '2025-09-27'].map(date => entry('Drive route', 60, date));
+    const report = timesheets.calculateLaborVariance({ entries, households: 15, from: FROM, to: TO });
+    assertEqual(report.weeks, 4);
+
+    const drive = findTask(report, 'collection', 'Drive route');
+    assertClose(drive.modeledHours, 3, 0.001);
+    assertClose(drive.loggedHours, 4, 0.001);
+    assertClose(drive.varianceHours, 1, 0.001);
+    assertClose(drive.variancePct, 1 / 3, 0.001);
+    assertEqual(drive.entries, 4);
+    assertDeepEqual(drive.current, { minPerWeek: 45 });
+    assertDeepEqual(drive.suggested, { minPerWeek: 60 });
+});
+
+test('calculateLaborVariance compares categories with calculateLabor', 'Labor Variance', () => {
+    const report = timesheets.calculateLaborVariance({
+        entries: [entry('Drive route', 240)],
+        households: 15,
+        from: FROM,
+        to: TO
+    });
+    const collection = report.categories.find(c => c.category === 'collection');
+    assertClose(collection.modeledHours, 16, 0.001);
+    assertClose(collection.loggedHours, 4, 0.001);
+    assertClose(collection.varianceHours, -12, 0.001);
+    assertEqual(findTask(report, 'collection', 'Bucket cleaning').suggested, null, 'Nothing logged');
+});
+
+test('calculateLaborVariance scales suggestions back to the 15-household base', 'Labor Variance', () => {
+    // 30 households: modeled 90 min/week drive; logged 120 min/week
+    const entries = ['2025-09-06', '2025-09-13', '2025-09-20', '2025-09-27'].map(date => entry('Drive route', 120, date));
+    const report = timesheets.calculateLaborVariance({ entries, households: 30, from: FROM, to: TO });
+    assertDeepEqual(findTask(report, 'collection', 'Drive route').suggested, { minPerWeek: 60 });
+});
+
+test('calculateLaborVariance suggests monthly minutes for monthly tasks', 'Labor Variance', () => {
+    const report = timesheets.calculateLaborVariance({
+        entries: [entry('Harvest Stage 4', 90, '2025-09-15', 'composting')],
+        households: 15,
+        from: FROM,
+        to: TO
+    });
+    assertDeepEqual(findTask(report, 'composting', 'Harvest Stage 4').suggested, { minPerMonth: 90 });
+});
+
+test('calculateLaborVariance ignores entries outside the period', 'Labor Variance', () => {
+    const report = timesheets.calculateLaborVariance({
+        entries: [entry('Drive route', 60, '2025-08-31'), entry('Drive route', 60, '2025-09-29')],
+        households: 15,
+        from: FROM,
+        to: TO
+    });
+    assertEqual(report.totals.loggedHours, 0);
+});
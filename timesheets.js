@@ -0,0 +1,223 @@
+/**
+ * Compost Coordinator - Timesheets
+ *
+ * Workers log minutes against the same task names the model uses
+ * (getTaskBreakdown / config.nodes tasks). The variance report compares
+ * logged hours per month with calculateLabor and suggests new per-task
+ * minutes for recalibrating config.nodes tasks.
+ *
+ * Validation and reporting functions are pure and testable; entries
+ * are persisted in localStorage.
+ */
+
+import { WEEKS_PER_MONTH, calculateLabor, getTaskBreakdown } from './calculator.js';
+import { SCHEDULED_CATEGORIES } from './crew.js';
+
+const STORAGE_KEY = 'compost-timesheets';
+const BASE_HOUSEHOLDS = 15; // config.nodes task minutes are for 15 households
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Task names loggable for a category
+ * @param {string} category - Task breakdown category
+ * @returns {Array<string>}
+ */
+export function getTaskNames(category) {
+    return getTaskBreakdown(category, BASE_HOUSEHOLDS).map(task => task.name);
+}
+
+/**
+ * Validate and normalize a timesheet entry
+ * @param {Object} data - { id, workerId, date, category, task, minutes, notes }
+ * @returns {Object} Normalized entry (id only if one was given)
+ * @throws {Error} If a field is missing or the task is not in the model
+ */
+export function normalizeEntry(data) {
+    const workerId = String(data?.workerId ?? '').trim();
+    if (workerId === '') {
+        throw new Error('Timesheet entry needs a worker');
+    }
+
+    const date = String(data.date ?? '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error(`Date must be YYYY-MM-DD: ${data.date}`);
+    }
+
+    if (!SCHEDULED_CATEGORIES.includes(data.category)) {
+        throw new Error(`Unknown task category: ${data.category}`);
+    }
+    if (!getTaskNames(data.category).includes(data.task)) {
+        throw new Error(`Unknown ${data.category} task: ${data.task}`);
+    }
+
+    const minutes = Number(data.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new Error(`Minutes must be positive: ${data.minutes}`);
+    }
+
+    const entry = {};
+    if (data.id !== undefined && data.id !== null && data.id !== '') {
+        entry.id = String(data.id);
+    }
+
+    return Object.assign(entry, {
+        workerId,
+        date,
+        category: data.category,
+        task: data.task,
+        minutes,
+        notes: String(data.notes ?? '').trim()
+    });
+}
+
+// ============================================
+// Variance Report
+// ============================================
+
+function percent(variance, modeled) {
+    return modeled > 0 ? variance / modeled : null;
+}
+
+/**
+ * Suggested config.nodes task minutes from logged hours
+ * Scaled tasks are converted back to the 15-household base.
+ */
+function suggestMinutes(task, loggedHoursPerMonth) {
+    const base = getTaskBreakdown(task.category, BASE_HOUSEHOLDS).find(t => t.name === task.name);
+    const scale = base.hoursPerMonth > 0 ? task.hoursPerMonth / base.hoursPerMonth : 1;
+    const baseHours = scale > 0 ? loggedHoursPerMonth / scale : loggedHoursPerMonth;
+
+    return base.minPerWeek !== undefined
+        ? { minPerWeek: Math.round((baseHours * 60) / WEEKS_PER_MONTH) }
+        : { minPerMonth: Math.round(baseHours * 60) };
+}
+
+/**
+ * Compare logged hours with the labor model over a date range
+ *
+ * Logged minutes are converted to hours per month (4-week months, as in
+ * the model) and compared task by task with getTaskBreakdown, and
+ * category by category with calculateLabor.
+ *
+ * @param {Object} params
+ * @param {Array} params.entries - Timesheet entries
+ * @param {number} params.households - Households served during the period
+ * @param {string} params.from - First day, YYYY-MM-DD
+ * @param {string} params.to - Last day, YYYY-MM-DD (inclusive)
+ * @returns {Object} { from, to, weeks, categories, totals }
+ */
+export function calculateLaborVariance({ entries, households, from, to }) {
+    const days = (Date.parse(to) - Date.parse(from)) / MS_PER_DAY + 1;
+    if (!(days > 0)) {
+        throw new Error(`Report period ${from} to ${to} is empty`);
+    }
+    const weeks = days / 7;
+    const months = weeks / WEEKS_PER_MONTH;
+
+    const inPeriod = entries.filter(e => e.date >= from && e.date <= to);
+    const labor = calculateLabor(households);
+
+    const categories = SCHEDULED_CATEGORIES.map(category => {
+        const tasks = getTaskBreakdown(category, households).map(task => {
+            const matching = inPeriod.filter(e => e.category === category && e.task === task.name);
+            const logged = matching.reduce((sum, e) => sum + e.minutes, 0);
+            const loggedHours = logged / 60 / months;
+            const varianceHours = loggedHours - task.hoursPerMonth;
+
+            return {
+                task: task.name,
+                modeledHours: task.hoursPerMonth,
+                loggedHours,
+                varianceHours,
+                variancePct: percent(varianceHours, task.hoursPerMonth),
+                entries: matching.length,
+                current: task.minPerWeek !== undefined ? { minPerWeek: task.minPerWeek } : { minPerMonth: task.minPerMonth },
+                suggested: logged > 0 ? suggestMinutes({ ...task, category }, loggedHours) : null
+            };
+        });
+
+        // calculateLabor's category figure where it has one, else the task sum
+        const modeledHours = labor[category] ?? tasks.reduce((sum, t) => sum + t.modeledHours, 0);
+        const loggedHours = tasks.reduce((sum, t) => sum + t.loggedHours, 0);
+        const varianceHours = loggedHours - modeledHours;
+
+        return {
+            category,
+            modeledHours,
+            loggedHours,
+            varianceHours,
+            variancePct: percent(varianceHours, modeledHours),
+            tasks
+        };
+    });
+
+    const modeledHours = categories.reduce((sum, c) => sum + c.modeledHours, 0);
+    const loggedHours = categories.reduce((sum, c) => sum + c.loggedHours, 0);
+
+    return {
+        from,
+        to,
+        weeks,
+        categories,
+        totals: {
+            modeledHours,
+            loggedHours,
+            varianceHours: loggedHours - modeledHours,
+            variancePct: percent(loggedHours - modeledHours, modeledHours)
+        }
+    };
+}
+
+// ============================================
+// Storage (localStorage)
+// ============================================
+
+/**
+ * Get logged entries from localStorage
+ * @returns {Array} Entries, newest first
+ */
+export function loadEntries() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load timesheets:', e);
+        return [];
+    }
+}
+
+/**
+ * Log a timesheet entry
+ * @returns {Array} Updated entries
+ */
+export function saveEntry(entry) {
+    const normalized = normalizeEntry(entry);
+    normalized.id = normalized.id ?? `${normalized.workerId}-${normalized.date}-${Date.now()}`;
+    const entries = [normalized, ...loadEntries().filter(e => e.id !== normalized.id)]
+        .sort((a, b) => b.date.localeCompare(a.date));
+    writeEntries(entries);
+    return entries;
+}
+
+/**
+ * Delete an entry by id
+ * @returns {Array} Updated entries
+ */
+export function deleteEntry(id) {
+    const entries = loadEntries().filter(e => e.id !== id);
+    writeEntries(entries);
+    return entries;
+}
+
+function writeEntries(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch (e) {
+        console.warn('Failed to save timesheets:', e);
+    }
+}